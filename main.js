@@ -5,11 +5,20 @@
 
 // Core/NPM Modules
 const path    = require('path');
+const _       = require('lodash');
 
 
 // Local Modules
 const constraints       = require('./src/constraint');
 const generateTestCases = require('./src/testgenerator');
+const differentialTest  = require('./src/differential');
+const coverageGuided    = require('./src/coverage');
+const seedRandom        = require('./src/random');
+const parseArguments    = require('./src/cli');
+const { writeReport }   = require('./src/report');
+const applyHints        = require('./src/hints');
+const stateSequences    = require('./src/sequences');
+const findCrashes       = require('./src/crashes');
 
 
 // Polyfills
@@ -18,21 +27,133 @@ require('./src/format-polyfill');
 
 
 /**
- * Parse an input file and generate test cases for it.
+ * Parse the command line and generate test cases for each input file.
+ * Run with `--help` for the available options.
+ *
+ * @returns {Promise} Resolved once every test file is written.
  */
-(module.exports.main = function() {
+(module.exports.main = async function() {
 
-    // Parse file input, defaulting to subject.js if not provided
-    let args = process.argv.slice(2);
-    if( args.length === 0 ) {
-        args = ["subject.js"];
+    // Parse command line, defaulting to subject.js if no input is provided
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+        options.seed = seedRandom(options.seed);
+        let hintsFile = options.hintsFile || applyHints.findHintsFile('.');
+        options.hints = hintsFile ? applyHints.loadHints(hintsFile) : {};
+    }
+    catch (e) {
+        console.error(`${e.message}\nRun with --help for usage.`);
+        process.exitCode = 1;
+        return;
+    }
+
+    if( options.help ) {
+        process.stdout.write(parseArguments.usage);
+        return;
+    }
+    if( options.diff ) {
+        return diff(options.inputs[0], options.inputs[1], options);
+    }
+
+    let outputs = {};
+    if( !options.dryRun && options.report === undefined && !options.crashes ) {
+        try {
+            outputs = parseArguments.outputPaths(options);
+            _.uniq(_.map(outputs, output => path.dirname(output))).forEach(parseArguments.ensureDirectory);
+        }
+        catch (e) {
+            console.error(e.message);
+            process.exitCode = 1;
+            return;
+        }
+    }
+
+    // Generating tests for the generator itself would run it again, so it is never an input.
+    for( let filePath of _.without(options.inputs, __filename) ) {
+        try {
+            await generate(filePath, outputs[filePath], options);
+        }
+        catch (e) {
+            console.error(`Could not generate tests for ${path.relative('.', filePath)}: ${e.message}`);
+            process.exitCode = 1;
+        }
     }
-    let filePath = path.resolve(args[0]);
 
-    // Initialize constraints based on input file
-    let functionConstraints = constraints(filePath);
+})();
+
+
+/**
+ * Generate test cases for a single input file.
+ *
+ * @param   {String}  filePath Path of the input file.
+ * @param   {String}  output   Path of the test file to write.
+ * @param   {Object}  options  Parsed command line options.
+ * @returns {Promise}          Resolved once the test file is written.
+ */
+async function generate(filePath, output, options) {
+
+    // Every file is generated from the same seed, so each one can be reproduced on its own.
+    seedRandom(options.seed);
+
+    // Initialize constraints based on input file, along with the hints of the project
+    let functionConstraints = applyHints(parseArguments.selectFunctions(constraints(filePath, { dryRun: options.dryRun }), options), options.hints);
+
+    // Dry runs make no calls to the module, so they find no call sequences either
+    if( options.dryRun ) {
+        process.stdout.write(parseArguments.formatConstraints(path.relative('.', filePath), functionConstraints) + '\n');
+        return;
+    }
+
+    // Find the call sequences putting the module-level state in the states its functions test
+    if( options.sequences ) {
+        stateSequences(filePath, functionConstraints);
+    }
+
+    // Refine constraints with coverage feedback
+    if( options.iterations > 0 ) {
+        functionConstraints = coverageGuided(filePath, functionConstraints, options.iterations, options);
+    }
+
+    // Report the constraints and the test cases passing them instead of writing tests
+    if( options.report !== undefined ) {
+        parseArguments.ensureDirectory(path.resolve(options.report));
+        for( let file of writeReport(filePath, functionConstraints, options.report, options) ) {
+            console.log(`Wrote ${path.relative('.', file)}`);
+        }
+        return;
+    }
+
+    // Report the crashes of the generated inputs instead of writing tests
+    if( options.crashes ) {
+        let findings = await findCrashes(filePath, functionConstraints, options);
+        process.stdout.write(findCrashes.formatCrashes(path.relative('.', filePath), findings) + '\n');
+        return;
+    }
 
     // Generate test cases
-    generateTestCases(filePath, functionConstraints);
+    await generateTestCases(filePath, functionConstraints, _.assign({}, options, { output }));
+}
 
-})();
\ No newline at end of file
+
+/**
+ * Differential testing mode. Print the behavioral differences between two
+ * implementations of the same module.
+ *
+ * @param   {String}  first   Path of the first implementation.
+ * @param   {String}  second  Path of the second implementation.
+ * @param   {Object}  options Parsed command line options.
+ * @returns {Promise}         Resolved once the report is printed.
+ */
+async function diff(first, second, options) {
+
+    // Generate inputs from both implementations and compare their outcomes.
+    let leftConstraints  = applyHints(parseArguments.selectFunctions(constraints(first), options), options.hints);
+    let rightConstraints = applyHints(parseArguments.selectFunctions(constraints(second), options), options.hints);
+    if( options.sequences ) {
+        stateSequences(first, leftConstraints);
+        stateSequences(second, rightConstraints);
+    }
+    let differences = await differentialTest(first, second, leftConstraints, rightConstraints, options);
+    process.stdout.write(differentialTest.formatReport(path.relative('.', first), path.relative('.', second), differences));
+}
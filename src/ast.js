@@ -0,0 +1,66 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+// Local Modules
+const { functionTypes } = require('./functions');
+
+
+
+/**
+ * Child nodes of a node, in the order of its properties. Locations are not
+ * children, and neither are the values of other properties not holding nodes.
+ *
+ * @param   {Object}   node ESTree node.
+ * @returns {Object[]}      Child nodes.
+ */
+function childNodes(node) {
+
+    let children = [];
+    for( let key in node ) {
+        let child = node[key];
+        if( key === 'range' || key === 'loc' || typeof child !== 'object' || child === null ) continue;
+        for( let item of _.isArray(child) ? child : [child] ) {
+            if( item && item.type ) {
+                children.push(item);
+            }
+        }
+    }
+    return children;
+}
+
+
+/**
+ * Call a visitor on every node of a tree, depth first, along with its parent.
+ * A child the filter rejects is neither visited nor entered.
+ *
+ * @param {Object}   node     ESTree node.
+ * @param {Function} visitor  Visitor called as `visitor(node, parent)`.
+ * @param {Function} [enter]  Filter called with each child node, entering all of them by default.
+ * @param {Object}   [parent] Parent node, or null for the root.
+ */
+function walk(node, visitor, enter = null, parent = null) {
+    visitor(node, parent);
+    for( let child of childNodes(node) ) {
+        if( !enter || enter(child) ) {
+            walk(child, visitor, enter, node);
+        }
+    }
+}
+
+
+/**
+ * Call a visitor on every node of a tree like `walk`, not entering nested functions.
+ *
+ * @param {Object}   node    ESTree node.
+ * @param {Function} visitor Visitor called as `visitor(node, parent)`.
+ */
+function walkFunction(node, visitor) {
+    walk(node, visitor, child => !_.includes(functionTypes, child.type));
+}
+
+
+// Export
+module.exports = walk;
+module.exports.walkFunction = walkFunction;
+module.exports.childNodes = childNodes;
@@ -0,0 +1,74 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+
+/**
+ * Boundary values of a comparison against a numeric constant: the constant
+ * itself and its closest neighbours on either side. Integers are neighboured
+ * by c-1 and c+1, other numbers by the nearest representable doubles, so that
+ * `x < c`, `x <= c`, `x > c` and `x >= c` are each observed on both sides of
+ * the boundary and on it.
+ *
+ * @param   {Number}   constant Compared constant.
+ * @returns {Number[]}          Value below, on and above the boundary, without duplicates.
+ */
+function boundaryValues(constant) {
+    if( !_.isFinite(constant) ) {
+        return [constant];
+    }
+    if( _.isInteger(constant) && Number.isSafeInteger(constant) ) {
+        return [constant - 1, constant, constant + 1];
+    }
+    return _.uniq([nextFloat(constant, -1), constant, nextFloat(constant, 1)]);
+}
+
+
+/**
+ * Nearest representable double next to a number.
+ *
+ * @param   {Number} value     Finite number.
+ * @param   {Number} direction 1 for the next larger double, -1 for the next smaller one.
+ * @returns {Number}           Neighbouring double.
+ */
+function nextFloat(value, direction) {
+    if( value === 0 ) {
+        return direction * Number.MIN_VALUE;
+    }
+
+    // Doubles of the same sign are ordered like their bit patterns.
+    let buffer = new DataView(new ArrayBuffer(8));
+    buffer.setFloat64(0, value);
+    let high = buffer.getUint32(0), low = buffer.getUint32(4);
+    let step = (value > 0) === (direction > 0) ? 1 : -1;
+
+    low += step;
+    if( low > 0xFFFFFFFF ) { low = 0; high += 1; }
+    if( low < 0 )          { low = 0xFFFFFFFF; high -= 1; }
+    buffer.setUint32(0, high);
+    buffer.setUint32(4, low);
+    return buffer.getFloat64(0);
+}
+
+
+/**
+ * Value of a numeric constant node, including negated literals.
+ *
+ * @param   {Object}           node Esprima expression node.
+ * @returns {Number|undefined}      Value of the constant, or undefined if the node is not a numeric constant.
+ */
+function numericConstant(node) {
+    if( _.get(node, 'type') === 'Literal' && _.isNumber(node.value) ) {
+        return node.value;
+    }
+    if( _.get(node, 'type') === 'UnaryExpression' && _.includes(['-', '+'], node.operator) && _.isNumber(_.get(node, 'argument.value')) ) {
+        return node.operator === '-' ? -node.argument.value : node.argument.value;
+    }
+    return undefined;
+}
+
+
+// Export
+module.exports = boundaryValues;
+module.exports.nextFloat = nextFloat;
+module.exports.numericConstant = numericConstant;
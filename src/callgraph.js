@@ -0,0 +1,300 @@
+// Core/NPM Modules
+const mock    = require('mock-fs');
+const Random  = require('random-js');
+const vm      = require('vm');
+const _       = require('lodash');
+
+
+// Local Modules
+const { engine }         = require('./random');
+const { functionTypes }  = require('./functions');
+const { unwrapExport }   = require('./functions');
+const { invert }         = require('./dataflow');
+const boundaryValues     = require('./boundaries');
+const { commonJsSource } = require('./modules');
+const { loadModule }     = require('./modules');
+const { evaluateNode }   = require('./params');
+const walk               = require('./ast');
+
+
+
+// Property of the private copy of a module its functions are collected in.
+const functionsVariable = '__testgenFunctions__';
+
+// Longest string input tried when searching for the input of a call.
+const maxInputLength = 12;
+
+// Integers tried when searching for the numeric input of a call.
+const integerRange = _.range(-100, 101);
+
+// Most calls made to the functions of a module while observing it.
+const maxCalls = 2000;
+
+// Milliseconds a single call is given to return before it is interrupted.
+const callTimeout = 100;
+
+
+/**
+ * Build the call graph of a module: its top-level function declarations and
+ * function-valued variables, with the functions of the module each one calls
+ * by name, including calls made from the functions nested within it.
+ *
+ * @param   {Object} ast Esprima program node.
+ * @returns {Object}     Functions by name, each as `{ node, callees }`.
+ */
+function callGraph(ast) {
+
+    let functions = {};
+    for( let statement of _.map(ast.body, unwrapExport) ) {
+        if( statement.type === 'FunctionDeclaration' && statement.id ) {
+            functions[statement.id.name] = statement;
+        }
+        if( statement.type === 'VariableDeclaration' ) {
+            for( let declarator of statement.declarations ) {
+                if( declarator.id.type === 'Identifier' && _.includes(functionTypes, _.get(declarator.init, 'type')) ) {
+                    functions[declarator.id.name] = declarator.init;
+                }
+            }
+        }
+    }
+
+    return _.mapValues(functions, node => {
+        let callees = [];
+        walk(node.body, child => {
+            if( child.type === 'CallExpression' && child.callee.type === 'Identifier' && _.has(functions, child.callee.name) ) {
+                callees.push(child.callee.name);
+            }
+        });
+        return { node: node, callees: _.uniq(callees) };
+    });
+}
+
+
+/**
+ * CallSummaries class. Input/output behaviour of the functions of a module,
+ * observed by calling them on a private copy of the module, and used to
+ * translate constraints on the result of a call back to its arguments.
+ * Calls are made with an empty mocked file system, and at most `maxCalls`
+ * of them are made. A call still running after `callTimeout` milliseconds
+ * is interrupted, and has no outcome.
+ *
+ * @property {String} filePath Path of the module.
+ * @property {Object} graph    Call graph as returned by `callGraph`.
+ * @property {Object} observed Calls made so far by function name, each as `{ args, threw, value, timedOut }`.
+ * @property {Number} calls    Number of calls made so far.
+ */
+class CallSummaries {
+    constructor(filePath, graph){
+        this.filePath = filePath;
+        this.graph = graph;
+        this.observed = {};
+        this.functions = null;
+        this.calls = 0;
+    }
+
+    /**
+     * Call a function of the module, or look up the outcome of an earlier identical call.
+     *
+     * @param   {String}      name Name of the function.
+     * @param   {Array}       args Arguments of the call.
+     * @returns {Object|null}      Outcome as `{ args, threw, value, timedOut }`, or null once the calls run out.
+     */
+    call(name, args) {
+        let observed = this.observed[name] || (this.observed[name] = []);
+        let earlier = _.find(observed, call => _.isEqual(call.args, args));
+        if( earlier ) {
+            return earlier;
+        }
+        if( this.calls >= maxCalls ) {
+            return null;
+        }
+
+        // Load the module before mocking the file system, it reads its source.
+        let func = this.load()[name];
+        let outcome = { args: _.cloneDeep(args), threw: true, value: undefined, timedOut: false };
+        if( _.isFunction(func) ) {
+            this.calls++;
+            mock({});
+            try {
+                // Calling from a script run by vm is what lets a call that never returns be interrupted.
+                let value = vm.runInNewContext('func(...args)', { func, args }, { timeout: callTimeout });
+                outcome = { args: outcome.args, threw: false, value, timedOut: false };
+            }
+            catch (e) {
+                // A throwing call is an outcome like any other, an interrupted one is none.
+                outcome.timedOut = _.get(e, 'code') === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+            }
+            finally {
+                mock.restore();
+            }
+        }
+        observed.push(outcome);
+        return outcome;
+    }
+
+    /**
+     * Find a parameter value that a derivation maps to a target value,
+     * searching the inputs of the last call to a function of the module
+     * along the way for one whose result is mapped to the target. Inputs of
+     * the calls already observed, see `summary`, are tried first. The other
+     * arguments of the call must be constants.
+     *
+     * @param   {*}      value   Target value of the derived variable.
+     * @param   {Object} derived Derivation as returned by `derivation`.
+     * @returns {*}              Parameter value, or undefined if none was found.
+     */
+    invert(value, derived) {
+
+        let index = _.findLastIndex(derived.transforms, transform => transform.op === 'call');
+        if( index === -1 ) {
+            return invert(value, derived);
+        }
+
+        let transform = derived.transforms[index];
+        let args = _.map(transform.node.arguments, evaluateNode);
+        if( !_.has(this.graph, transform.callee) || _.some(args, (arg, i) => arg === undefined && i !== transform.argIndex) ) {
+            return undefined;
+        }
+
+        let before = { param: derived.param, transforms: derived.transforms.slice(0, index) };
+        let after  = derived.transforms.slice(index + 1);
+        let result = invert(value, { param: derived.param, transforms: after });
+
+        let maps = outcome => !outcome.threw && _.isEqual(applyTransforms(outcome.value, after), value);
+        let known = _.map(_.filter(this.summary(transform.callee),
+            call => maps(call) && _.every(args, (arg, i) => i === transform.argIndex || _.isEqual(arg, call.args[i]))), call => call.args[transform.argIndex]);
+
+        for( let input of _.uniq([...known, ...candidateInputs(_.uniq(_.compact([value, result])))]) ) {
+            args[transform.argIndex] = input;
+            let outcome = this.call(transform.callee, args);
+            if( outcome === null ) {
+                return undefined;
+            }
+            if( !maps(outcome) ) {
+                continue;
+            }
+            let paramValue = this.invert(input, before);
+            if( paramValue !== undefined ) {
+                return paramValue;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Calls made to a function so far.
+     *
+     * @param   {String}   name Name of the function.
+     * @returns {Object[]}      Calls as `{ args, threw, value, timedOut }`.
+     */
+    summary(name) {
+        return this.observed[name] || [];
+    }
+
+    /**
+     * Functions of the private copy of the module, loaded on first use.
+     *
+     * @returns {Object} Functions by name, empty if the module failed to load.
+     */
+    load() {
+        if( this.functions === null ) {
+            this.functions = loadFunctions(this.filePath, _.keys(this.graph));
+        }
+        return this.functions;
+    }
+}
+
+
+/**
+ * Load a private copy of a module, collecting top-level functions that it
+ * does not necessarily export.
+ *
+ * @param   {String}   filePath Path of the module.
+ * @param   {String[]} names    Names of the functions.
+ * @returns {Object}            Functions by name, empty if the module failed to load.
+ */
+function loadFunctions(filePath, names) {
+
+    let collect = _.map(names, name => `${JSON.stringify(name)}: typeof ${name} === 'function' ? ${name} : undefined`).join(', ');
+    try {
+        let code = `${commonJsSource(filePath)}\n;module.${functionsVariable} = { ${collect} };\n`;
+        return loadModule(filePath, code)[functionsVariable] || {};
+    }
+    catch (e) {
+        return {};
+    }
+}
+
+
+/**
+ * Inputs worth trying for a call whose result should be mapped to some
+ * values: the values themselves, strings embedding them among digits at
+ * every offset, and integers around them.
+ *
+ * @param   {Array} seeds Target values, and values the result should take.
+ * @returns {Array}       Inputs, without duplicates.
+ */
+function candidateInputs(seeds) {
+
+    let inputs = [...seeds];
+    for( let seed of _.filter(seeds, _.isString) ) {
+        for( let length = seed.length + 1; length <= maxInputLength; length++ ) {
+            for( let offset = 0; offset <= length - seed.length; offset++ ) {
+                inputs.push(digits(offset) + seed + digits(length - seed.length - offset));
+            }
+        }
+    }
+    for( let seed of _.filter(seeds, _.isNumber) ) {
+        inputs.push(...boundaryValues(seed), -seed);
+    }
+    if( _.some(seeds, _.isNumber) ) {
+        inputs.push(...integerRange);
+    }
+    return _.uniq(inputs);
+}
+
+
+/**
+ * Apply the operations of a derivation to a value, as the function under test would.
+ *
+ * @param   {*}        value      Value to transform.
+ * @param   {Object[]} transforms Operations as recorded by `derive`, innermost first.
+ * @returns {*}                   Transformed value, or undefined if some operation cannot be applied.
+ */
+function applyTransforms(value, transforms) {
+
+    for( let transform of transforms ) {
+        try {
+            switch( transform.op ) {
+                case '+': value = transform.side === 'right' ? value + transform.constant : transform.constant + value; break;
+                case '-': value = transform.side === 'right' ? value - transform.constant : transform.constant - value; break;
+                case '*': value = value * transform.constant; break;
+                default:
+                    if( transform.op === 'call' || value === null || value === undefined || !_.isFunction(value[transform.op]) ) {
+                        return undefined;
+                    }
+                    value = value[transform.op](...transform.args);
+            }
+        }
+        catch (e) {
+            return undefined;
+        }
+    }
+    return value;
+}
+
+
+/**
+ * Random digit string.
+ *
+ * @param   {Number} length Number of digits.
+ * @returns {String}        Digit string.
+ */
+function digits(length) {
+    return _.times(length, () => String(Random.integer(0, 9)(engine))).join('');
+}
+
+
+// Export
+module.exports = callGraph;
+module.exports.CallSummaries = CallSummaries;
@@ -0,0 +1,453 @@
+// Core/NPM Modules
+const mock    = require('mock-fs');
+const _       = require('lodash');
+
+
+// Local Modules
+const toSource            = require('./source');
+const { evaluateSource }  = require('./source');
+const boundaryValues      = require('./boundaries');
+const { numericConstant } = require('./boundaries');
+const { loadModule }      = require('./modules');
+const { functionTypes }   = require('./functions');
+const walk                = require('./ast');
+
+
+
+// Longest sequence of method calls tried to put an instance in a state.
+const maxCalls = 4;
+
+// Most instances built while searching for the states of a class.
+const maxInstances = 500;
+
+// Most argument lists tried for the constructor and for each method.
+const maxArguments = 4;
+
+// Identifiers that may appear in a condition on the state of an instance.
+const constantNames = ['undefined', 'NaN', 'Infinity'];
+
+// Operators comparing a member of the state to a constant.
+const comparisonOperators = ['==', '===', '!=', '!==', '<', '<=', '>', '>='];
+
+// Assignment operators writing a parameter into the state, and how each maps a wanted value of the member to the parameter.
+const stateWrites = { '=': value => value, '+=': value => value, '-=': value => -value };
+
+
+/**
+ * Conditions on the state of the instance that a method tests: the
+ * conditions of its branches and loops, and their operands joined by `&&`,
+ * `||` or negated, that only involve `this` and constants, such as
+ * `this.count > 2` or `this.items.length === 0`. Other roots of the state,
+ * such as module-level variables, can be given in place of `this`.
+ *
+ * @param   {Object}   funcNode Function node of the method.
+ * @param   {String}   buf      Source code of the file.
+ * @param   {String[]} [roots]  Names the state is reached from, 'this' standing for `this`.
+ * @returns {String[]}          Sources of the conditions, without duplicates.
+ */
+function stateConditions(funcNode, buf, roots = ['this']) {
+
+    let conditions = [];
+    let collect = node => {
+        if( !node ) return;
+        if( node.type === 'LogicalExpression' ) {
+            collect(node.left);
+            collect(node.right);
+        }
+        else if( node.type === 'UnaryExpression' && node.operator === '!' ) {
+            collect(node.argument);
+        }
+        else if( isStateExpression(node, roots) && usesState(node, roots) ) {
+            conditions.push(buf.substring(node.range[0], node.range[1]).replace(/\s+/g, ' '));
+        }
+    };
+
+    visit(funcNode.body, node => {
+        if( _.includes(['IfStatement', 'ConditionalExpression', 'WhileStatement', 'DoWhileStatement', 'ForStatement'], node.type) ) {
+            collect(node.test);
+        }
+    });
+    return _.uniq(conditions);
+}
+
+
+/**
+ * Whether or not a method changes the state of its instance: assigns or
+ * updates a member of `this`, or calls a method of such a member, like
+ * `this.items.push(item)`, possibly from a nested arrow function.
+ *
+ * @param   {Object}  funcNode Function node of the method.
+ * @returns {Boolean}          True if the method writes to its instance.
+ */
+function writesState(funcNode) {
+
+    let writes = false;
+    visit(funcNode.body, node => {
+        let target = node.type === 'AssignmentExpression' ? node.left
+            : node.type === 'UpdateExpression' ? node.argument
+            : node.type === 'CallExpression' && node.callee.type === 'MemberExpression' ? node.callee.object
+            : null;
+        if( target && target.type === 'MemberExpression' && rootObject(target).type === 'ThisExpression' ) {
+            writes = true;
+        }
+    });
+    return writes;
+}
+
+
+/**
+ * Find the instances a class must be put in for its methods to take each
+ * side of the conditions they test on the state of the instance.
+ *
+ * Instances are built from the values found for the parameters of the
+ * constructor, then changed by sequences of calls to the methods writing
+ * to their state, taking the values found for their own parameters,
+ * preceded by the values the conditions compare the members they assign
+ * them into to, see `stateValues`, shortest sequences first, until every condition was seen both true and
+ * false or the search budget runs out. The instances are built from a
+ * private copy of the module, with an empty mocked file system.
+ *
+ * @param   {String} filePath  Path of the module.
+ * @param   {Object} classNode Class node.
+ * @param   {String} buf       Source code of the file.
+ * @param   {Object} entries   Constraints of the constructor and methods of the class, as in
+ *                             functionConstraints, by function name.
+ * @returns {Object}           Setups by method name, as `{ args, calls, label }`, where args is the
+ *                             source of the constructor arguments and calls lists the method calls
+ *                             as `{ method, args }`. The first setup of a method builds the default
+ *                             instance and has a null label, the others are labeled with the condition
+ *                             they make true. Methods get no setups if no instance could be built.
+ */
+function instanceSetups(filePath, classNode, buf, entries) {
+
+    let constructorEntry = _.find(entries, entry => entry.member.kind === 'constructor');
+    let methodEntries = _.filter(entries, entry => entry.member.kind === 'method');
+    let classPath = _.first(_.values(entries)).member.classPath;
+
+    let Class;
+    try {
+        let exported = loadModule(filePath).exports;
+        Class = classPath.length > 0 ? _.get(exported, classPath) : exported;
+    }
+    catch (e) {
+        return {};
+    }
+    if( !_.isFunction(Class) ) {
+        return {};
+    }
+
+    // The module is loaded before mocking the file system, it reads its source.
+    mock({});
+    try {
+        return searchSetups(Class, classNode, buf, constructorEntry, methodEntries);
+    }
+    finally {
+        mock.restore();
+    }
+}
+
+
+/**
+ * Search for the setups of the methods of a class, see `instanceSetups`.
+ *
+ * @param   {Function} Class            Class to instantiate.
+ * @param   {Object}   classNode        Class node.
+ * @param   {String}   buf              Source code of the file.
+ * @param   {Object}   constructorEntry Constraints of the constructor, or undefined if it has none.
+ * @param   {Object[]} methodEntries    Constraints of the methods.
+ * @returns {Object}                    Setups by method name, see `instanceSetups`.
+ */
+function searchSetups(Class, classNode, buf, constructorEntry, methodEntries) {
+
+    // Methods by name, along with the conditions they test and the calls changing the state.
+    let methods = _.fromPairs(_.map(_.filter(classNode.body.body, definition => definition.type === 'MethodDefinition'),
+        definition => [methodName(definition), definition.value]));
+    let targets = _.fromPairs(_.map(methodEntries, entry => [entry.member.name,
+        _.flatMap(stateConditions(methods[entry.member.name], buf), condition => [condition, `!(${condition})`])]));
+    let compared = comparedValues(_.values(methods), buf);
+    let writers = _.flatMap(_.filter(methodEntries, entry => entry.callback === null && writesState(methods[entry.member.name])),
+        entry => _.map(argumentRows(withStateValues(entry, stateValues(methods[entry.member.name], entry.params, compared, buf))),
+            args => ({ method: entry.member.name, args: args })));
+
+    // Breadth-first search over call sequences, skipping states seen before.
+    let defaults = null, found = {}, seen = [], built = 0;
+    let queue = _.map(argumentRows(constructorEntry), args => ({ args: args, calls: [] }));
+    let remaining = () => _.some(targets, (conditions, name) => _.some(conditions, condition => !_.has(found, [name, condition])));
+
+    while( queue.length > 0 && built < maxInstances && (defaults === null || remaining()) ) {
+        let setup = queue.shift();
+        let instance = buildInstance(Class, setup);
+        built++;
+        if( instance === null ) {
+            continue;
+        }
+        defaults = defaults || setup;
+
+        for( let name in targets ) {
+            for( let condition of targets[name] ) {
+                if( !_.has(found, [name, condition]) && holds(condition, instance) ) {
+                    _.set(found, [name, condition], setup);
+                }
+            }
+        }
+
+        let state = toSource(_.assign({}, instance));
+        if( setup.calls.length < maxCalls && (state === null || !_.includes(seen, state)) ) {
+            seen.push(state);
+            queue.push(..._.map(writers, call => ({ args: setup.args, calls: [...setup.calls, call] })));
+        }
+    }
+
+    // The first instance built makes the default setup, others are only needed for the conditions it does not meet.
+    return _.fromPairs(_.map(methodEntries, entry => {
+        let name = entry.member.name;
+        if( defaults === null ) {
+            return [name, []];
+        }
+        let setups = [_.assign({}, defaults, { label: null })];
+        for( let condition of targets[name] ) {
+            let setup = _.get(found, [name, condition]);
+            if( setup && !holds(condition, buildInstance(Class, defaults)) && !_.some(setups, s => s.args === setup.args && _.isEqual(s.calls, setup.calls)) ) {
+                setups.push(_.assign({}, setup, { label: condition }));
+            }
+        }
+        return [name, setups];
+    }));
+}
+
+
+/**
+ * Argument lists for a function: the first values of every parameter, then
+ * the second ones, and so on, each parameter staying at its last value once
+ * it runs out of values.
+ *
+ * @param   {Object}   [entry] Constraints of the function, as in functionConstraints.
+ * @returns {String[]}         Sources of the argument lists, a single empty one without entry.
+ */
+function argumentRows(entry) {
+    if( !entry ) {
+        return [''];
+    }
+    let values = _.map(entry.params, param => _.map(entry.constraints[param], 'value'));
+    let width = Math.min(_.max([1, ..._.map(values, 'length')]), maxArguments);
+    return _.uniq(_.times(width, i => _.map(values, v => v.length > 0 ? v[Math.min(i, v.length - 1)] : "''").join(', ')));
+}
+
+
+/**
+ * Values the conditions of methods compare members of the state of the
+ * instance to: the boundary values of numeric constants, and other
+ * constants as they are, such as 99, 100 and 101 for `this.size > 100`.
+ *
+ * @param   {Object[]} funcNodes Function nodes of the methods.
+ * @param   {String}   buf       Source code of the file.
+ * @returns {Object}             Values by source of the member, such as `this.size`.
+ */
+function comparedValues(funcNodes, buf) {
+
+    let values = {};
+    for( let funcNode of _.compact(funcNodes) ) {
+        visit(funcNode.body, node => {
+            if( node.type !== 'BinaryExpression' || !_.includes(comparisonOperators, node.operator) ) {
+                return;
+            }
+            for( let [member, constant] of [[node.left, node.right], [node.right, node.left]] ) {
+                if( !isStateMember(member) ) continue;
+                let number = numericConstant(constant);
+                let compared = number !== undefined ? boundaryValues(number) : constant.type === 'Literal' && !constant.regex ? [constant.value] : [];
+                let key = memberSource(member, buf);
+                values[key] = _.uniq([...(values[key] || []), ...compared]);
+            }
+        });
+    }
+    return values;
+}
+
+
+/**
+ * Values of the parameters of a method that it writes into members of the
+ * state compared to constants, as in `this.size = n` or `this.count += n`.
+ *
+ * @param   {Object}   funcNode Function node of the method.
+ * @param   {String[]} params   Parameter names of the method.
+ * @param   {Object}   compared Values by member, as returned by `comparedValues`.
+ * @param   {String}   buf      Source code of the file.
+ * @returns {Object}            Values by parameter name.
+ */
+function stateValues(funcNode, params, compared, buf) {
+
+    let values = {};
+    visit(funcNode.body, node => {
+        if( node.type === 'AssignmentExpression' && _.has(stateWrites, node.operator) && isStateMember(node.left)
+            && node.right.type === 'Identifier' && _.includes(params, node.right.name) ) {
+            let written = _.map(compared[memberSource(node.left, buf)] || [], stateWrites[node.operator]);
+            values[node.right.name] = _.uniq([...(values[node.right.name] || []), ...written]);
+        }
+    });
+    return values;
+}
+
+
+/**
+ * Copy of the constraints of a function with more values for its
+ * parameters, put before the values already found.
+ *
+ * @param   {Object} entry  Constraints of the function, as in functionConstraints.
+ * @param   {Object} values Values by parameter name.
+ * @returns {Object}        Constraints of the function.
+ */
+function withStateValues(entry, values) {
+    let constraints = _.mapValues(entry.constraints, (paramConstraints, param) =>
+        _.uniqBy([..._.map(values[param], value => ({ value: toSource(value) })), ...paramConstraints], 'value'));
+    return _.assign({}, entry, { constraints });
+}
+
+
+/**
+ * Whether or not a node is a member of the state of the instance, such as `this.size` or `this.limits.max`.
+ *
+ * @param   {Object}  node ESTree node.
+ * @returns {Boolean}      True for non-computed member chains from `this`.
+ */
+function isStateMember(node) {
+    return node.type === 'MemberExpression' && !node.computed && rootObject(node).type === 'ThisExpression';
+}
+
+
+/**
+ * Source of a member expression, without whitespace.
+ *
+ * @param   {Object} node ESTree node.
+ * @param   {String} buf  Source code of the file.
+ * @returns {String}      Source of the node.
+ */
+function memberSource(node, buf) {
+    return buf.substring(node.range[0], node.range[1]).replace(/\s+/g, '');
+}
+
+
+/**
+ * Build an instance and run a sequence of method calls on it.
+ *
+ * @param   {Function}    Class Class to instantiate.
+ * @param   {Object}      setup Setup as `{ args, calls }`.
+ * @returns {Object|null}       Instance, or null if some arguments do not evaluate or the constructor or a call threw.
+ */
+function buildInstance(Class, setup) {
+    try {
+        let instance = new Class(...evaluateSource(`[${setup.args}]`));
+        for( let call of setup.calls ) {
+            instance[call.method](...evaluateSource(`[${call.args}]`));
+        }
+        return instance;
+    }
+    catch (e) {
+        return null;
+    }
+}
+
+
+/**
+ * Whether or not a condition on the state of an instance holds.
+ *
+ * @param   {String}  condition Source of the condition, referring to the instance as `this`.
+ * @param   {Object}  instance  Instance.
+ * @returns {Boolean}           True if the condition is truthy, false if not or if it throws.
+ */
+function holds(condition, instance) {
+    try {
+        return Boolean(new Function(`return (${condition});`).call(instance));
+    }
+    catch (e) {
+        return false;
+    }
+}
+
+
+/**
+ * Whether or not an expression only involves the roots of the state, their members and constants.
+ *
+ * @param   {Object}   node  ESTree expression node.
+ * @param   {String[]} roots Names the state is reached from, see `stateConditions`.
+ * @returns {Boolean}        True if the value of the expression only depends on the state.
+ */
+function isStateExpression(node, roots) {
+    let state = child => isStateExpression(child, roots);
+    switch( node.type ) {
+        case 'ThisExpression':
+            return _.includes(roots, 'this');
+        case 'Literal':
+            return true;
+        case 'Identifier':
+            return _.includes(constantNames, node.name) || _.includes(_.without(roots, 'this'), node.name);
+        case 'MemberExpression':
+            return state(node.object) && (!node.computed || state(node.property));
+        case 'UnaryExpression':
+            return state(node.argument);
+        case 'BinaryExpression':
+        case 'LogicalExpression':
+            return state(node.left) && state(node.right);
+        case 'CallExpression':
+            return node.callee.type === 'MemberExpression' && state(node.callee) && _.every(node.arguments, state);
+    }
+    return false;
+}
+
+
+/**
+ * Whether or not an expression refers to a root of the state.
+ *
+ * @param   {Object}   node  ESTree expression node.
+ * @param   {String[]} roots Names the state is reached from, see `stateConditions`.
+ * @returns {Boolean}        True if the expression contains one of the roots.
+ */
+function usesState(node, roots) {
+    let found = false;
+    visit(node, child => {
+        found = found || (child.type === 'ThisExpression' ? _.includes(roots, 'this') : child.type === 'Identifier' && _.includes(_.without(roots, 'this'), child.name));
+    });
+    return found;
+}
+
+
+/**
+ * Object at the root of a chain of member expressions.
+ *
+ * @param   {Object} node ESTree node.
+ * @returns {Object}      Innermost object node.
+ */
+function rootObject(node) {
+    return node.type === 'MemberExpression' ? rootObject(node.object) : node;
+}
+
+
+/**
+ * Name of a method definition.
+ *
+ * @param   {Object}      definition Method definition node.
+ * @returns {String|null}            Name, or null if it is computed.
+ */
+function methodName(definition) {
+    if( !definition.computed && definition.key.type === 'Identifier' ) return definition.key.name;
+    if( definition.key.type === 'Literal' ) return String(definition.key.value);
+    return null;
+}
+
+
+/**
+ * Call a visitor on every node of a tree, entering nested arrow functions,
+ * which share `this` with the method, but not other nested functions.
+ *
+ * @param {Object}   node    ESTree node.
+ * @param {Function} visitor Visitor called with each node.
+ */
+function visit(node, visitor) {
+    walk(node, visitor, child => child.type === 'ArrowFunctionExpression' || !_.includes(functionTypes, child.type));
+}
+
+
+// Export
+module.exports = instanceSetups;
+module.exports.stateConditions = stateConditions;
+module.exports.writesState = writesState;
+module.exports.argumentRows = argumentRows;
@@ -0,0 +1,391 @@
+// Core/NPM Modules
+const fs      = require('fs');
+const path    = require('path');
+const _       = require('lodash');
+
+
+// Local Modules
+const { strategies }   = require('./combinations');
+const { stateLabel }   = require('./fsmodel');
+const { emitterNames } = require('./emitters');
+
+
+
+// Help screen.
+const usage = `Usage: node main.js [options] [files or globs...]
+
+Generate a test file for each input module (subject.js by default). Globs leave out
+generated test files, named *.test.js, unless they name them themselves.
+
+Output:
+  -o, --output <file>      Path of the generated test file (single input only).
+  -d, --out-dir <dir>      Directory for generated test files, named <module>.test.js.
+                           Without either option, a single input is written to test.js,
+                           several inputs to <module>.test.js in the current directory.
+  --emitter <name>         Format of the test files: ${emitterNames.join(', ')} (mocha).
+
+Selection:
+  --include <names>        Only generate tests for these functions (comma separated).
+  --exclude <names>        Skip these functions (comma separated).
+
+Generation:
+  --strategy <name>        How argument values are combined: ${strategies.join(', ')}.
+  --strength <t>           Number of parameters covered together by the t-wise strategy.
+  --iterate [budget]       Refine constraints with branch coverage, for up to budget iterations (5).
+  --seed <n>               Seed the random generator (also TESTGEN_SEED) to reproduce a run.
+  --sequences              Also call functions after sequences of calls putting the module-level state
+                           in the states they test, each sequence on a fresh copy of the module.
+  --timeout <ms>           Time given to asynchronous calls to settle, when generating and in tests (2000).
+  --hints <file>           Hints file (JSON or YAML) adding, generating or pinning parameter values
+                           and excluding functions. Defaults to testgen.hints.json/yaml/yml if present.
+
+Modes:
+  --dry-run                Print the discovered constraints instead of writing test files, without
+                           calling the functions of the module.
+  --report <dir>           Write a JSON and an HTML report of the constraints and the test cases
+                           passing them to dir, as <module>.constraints.json/html, instead of tests.
+  --crashes                Classify the outcome of every generated input as returned, threw an expected
+                           error or crashed (TypeError, ReferenceError, RangeError), and report the
+                           crashes by throw site with minimized arguments, instead of writing tests.
+  --diff <first> <second>  Report inputs where two implementations of a module behave differently.
+  -h, --help               Show this help screen.
+`;
+
+// Options taking a value, by name and alias.
+const valueOptions = {
+    '-o': 'output', '--output': 'output',
+    '-d': 'outDir', '--out-dir': 'outDir',
+    '--include': 'include',
+    '--exclude': 'exclude',
+    '--emitter': 'emitter',
+    '--strategy': 'strategy',
+    '--strength': 'strength',
+    '--seed': 'seed',
+    '--timeout': 'timeout',
+    '--hints': 'hintsFile',
+    '--report': 'report'
+};
+
+// Options without a value, by name and alias.
+const flagOptions = {
+    '--dry-run': 'dryRun',
+    '--sequences': 'sequences',
+    '--crashes': 'crashes',
+    '--diff': 'diff',
+    '-h': 'help', '--help': 'help'
+};
+
+// Directories globs never search.
+const skippedDirectories = ['node_modules', '.git'];
+
+// Files named like the test files written for several inputs, see `outputPaths`.
+const generatedTestFile = /\.test\.js$/;
+
+
+/**
+ * Parse command line arguments.
+ *
+ * @param   {String[]} args Command line arguments, without the node executable and script.
+ * @returns {Object}        Parsed options, with the expanded input files as `inputs`.
+ * @throws  {Error}         If the arguments are invalid.
+ */
+function parseArguments(args) {
+
+    let options = { include: [], exclude: [], iterations: 0, inputs: [] };
+    let patterns = [];
+
+    for( let i = 0; i < args.length; i++ ) {
+        let arg = args[i];
+
+        if( _.has(flagOptions, arg) ) {
+            options[flagOptions[arg]] = true;
+        }
+        else if( arg === '--iterate' ) {
+            // The budget is optional.
+            let budget = /^\d+$/.test(args[i + 1]) ? args[++i] : '5';
+            options.iterations = parseInt(budget);
+        }
+        else if( _.has(valueOptions, arg) ) {
+            if( i + 1 >= args.length ) {
+                throw new Error(`Option ${arg} expects a value`);
+            }
+            let name = valueOptions[arg];
+            let value = args[++i];
+            if( name === 'include' || name === 'exclude' ) {
+                options[name].push(..._.compact(value.split(',').map(_.trim)));
+            }
+            else {
+                options[name] = value;
+            }
+        }
+        else if( arg.startsWith('-') ) {
+            throw new Error(`Unknown option ${arg}`);
+        }
+        else {
+            patterns.push(arg);
+        }
+    }
+
+    // Validate values.
+    if( options.strategy !== undefined && !_.includes(strategies, options.strategy) ) {
+        throw new Error(`Unknown strategy '${options.strategy}', expected one of ${strategies.join(', ')}`);
+    }
+    if( options.emitter !== undefined && !_.includes(emitterNames, options.emitter) ) {
+        throw new Error(`Unknown emitter '${options.emitter}', expected one of ${emitterNames.join(', ')}`);
+    }
+    if( options.strength !== undefined ) {
+        if( !/^\d+$/.test(options.strength) || parseInt(options.strength) < 1 ) {
+            throw new Error(`Invalid strength '${options.strength}', expected a positive integer`);
+        }
+        options.strength = parseInt(options.strength);
+    }
+    if( options.timeout !== undefined ) {
+        if( !/^\d+$/.test(options.timeout) || parseInt(options.timeout) < 1 ) {
+            throw new Error(`Invalid timeout '${options.timeout}', expected a positive number of milliseconds`);
+        }
+        options.timeout = parseInt(options.timeout);
+    }
+    if( options.help ) {
+        return options;
+    }
+
+    // Expand inputs, defaulting to subject.js if not provided.
+    for( let pattern of patterns.length > 0 ? patterns : ['subject.js'] ) {
+        let files = expandPattern(pattern);
+        if( files.length === 0 ) {
+            throw new Error(`No input files match '${pattern}'`);
+        }
+        options.inputs.push(...files);
+    }
+    options.inputs = _.uniq(options.inputs);
+
+    if( options.diff && options.inputs.length !== 2 ) {
+        throw new Error('Option --diff expects exactly two input files');
+    }
+    if( options.output !== undefined && options.outDir !== undefined ) {
+        throw new Error('Options --output and --out-dir cannot be combined');
+    }
+    if( options.output !== undefined && options.inputs.length > 1 ) {
+        throw new Error('Option --output only works with a single input, use --out-dir instead');
+    }
+
+    return options;
+}
+
+
+/**
+ * Decide where the test file for each input is written.
+ *
+ * @param   {Object} options Parsed options.
+ * @returns {Object}         Output path by input path.
+ * @throws  {Error}          If two inputs would be written to the same test file, or a test
+ *                           file over an input.
+ */
+function outputPaths(options) {
+
+    let outputs = {};
+    for( let input of options.inputs ) {
+        if( options.output !== undefined ) {
+            outputs[input] = path.resolve(options.output);
+        }
+        else if( options.outDir === undefined && options.inputs.length === 1 ) {
+            outputs[input] = path.resolve('test.js');
+        }
+        else {
+            outputs[input] = path.resolve(options.outDir || '.', `${path.basename(input, path.extname(input))}.test.js`);
+        }
+    }
+
+    // Never let one module's tests overwrite another's.
+    let clashes = _.pickBy(_.groupBy(_.keys(outputs), input => outputs[input]), inputs => inputs.length > 1);
+    for( let output in clashes ) {
+        throw new Error(`Inputs ${clashes[output].join(' and ')} would both be written to ${output}`);
+    }
+
+    // Nor overwrite a module with its tests.
+    for( let input in outputs ) {
+        let overwritten = _.find(options.inputs, other => path.resolve(other) === outputs[input]);
+        if( overwritten !== undefined ) {
+            throw new Error(`Tests of ${input} would overwrite the input ${overwritten}`);
+        }
+    }
+
+    return outputs;
+}
+
+
+/**
+ * Create a directory and its missing parents.
+ *
+ * @param {String} dir Directory to create.
+ */
+function ensureDirectory(dir) {
+    if( !fs.existsSync(dir) ) {
+        ensureDirectory(path.dirname(dir));
+        fs.mkdirSync(dir);
+    }
+}
+
+
+/**
+ * Keep the functions selected by the include and exclude lists.
+ *
+ * @param   {Object} functionConstraints Constraints object as returned by `constraints`.
+ * @param   {Object} options             Parsed options.
+ * @returns {Object}                     Constraints object of the selected functions.
+ */
+function selectFunctions(functionConstraints, options) {
+    return _.pickBy(functionConstraints, (value, funcName) =>
+        (options.include.length === 0 || _.includes(options.include, funcName)) && !_.includes(options.exclude, funcName));
+}
+
+
+/**
+ * Describe the discovered constraints of a file, for dry runs.
+ *
+ * @param   {String} filePath            Path of the input file.
+ * @param   {Object} functionConstraints Constraints object as returned by `constraints`.
+ * @returns {String}                     Human readable description.
+ */
+function formatConstraints(filePath, functionConstraints) {
+
+    let text = `${filePath}\n`;
+    for( let funcName in functionConstraints ) {
+        let func = functionConstraints[funcName];
+        text += `\n  ${funcName}(${func.params.join(', ')})\n`;
+
+        for( let param of func.params ) {
+            let paramConstraints = func.constraints[param] || [];
+            let note = param === func.callback ? ' callback' : paramConstraints.length === 0 ? ' unconstrained' : '';
+            text += `    ${param}:${note}\n`;
+            for( let constraint of paramConstraints ) {
+                let origin = constraint.expression ? ` from ${constraint.expression.replace(/\s+/g, ' ')}` : '';
+                let layout = constraint.layout ? `: ${stateLabel(constraint.layout)}` : '';
+                text += `      ${constraint.value} (${constraint.kind}${layout}${origin})\n`;
+            }
+        }
+
+        for( let funcPath of func.paths || [] ) {
+            let values = _.map(funcPath.values, (value, param) => `${param}=${value}`).join(', ');
+            text += `    path ${funcPath.conditions.join(' && ') || '(default)'}: ${values || 'any arguments'}\n`;
+        }
+
+        for( let setup of func.setups || [] ) {
+            let calls = _.map(setup.calls, call => `.${call.method}(${call.args})`).join('');
+            text += `    state ${setup.label || '(default)'}: new ${func.member.classPath.join('.') || 'exports'}(${setup.args})${calls}\n`;
+        }
+
+        for( let sequence of func.sequences || [] ) {
+            let calls = _.map(sequence.calls, call => `${call.funcName}(${call.args})`).join(', ');
+            text += `    state ${sequence.label}: after ${calls}\n`;
+        }
+    }
+    return text;
+}
+
+
+/**
+ * Expand a file path or glob to the files it matches, sorted.
+ *
+ * Globs support `*` and `?` within a path segment and `**` for any number
+ * of directories, or for any file below a directory when it comes last.
+ * node_modules and .git directories are never searched, and symbolic links
+ * are only followed to files. Generated test files are left out, unless the
+ * glob itself ends in .test.js.
+ *
+ * @param   {String}   pattern File path or glob.
+ * @returns {String[]}         Absolute paths of the matching files.
+ */
+function expandPattern(pattern) {
+
+    if( !/[*?]/.test(pattern) ) {
+        return fs.existsSync(pattern) && fs.statSync(pattern).isFile() ? [path.resolve(pattern)] : [];
+    }
+
+    // Search from the longest directory prefix without wildcards.
+    let segments = pattern.split(/[\\/]/);
+    let baseSegments = _.takeWhile(segments, segment => !/[*?]/.test(segment));
+    let base = path.resolve(baseSegments.join(path.sep) || '.');
+    let matcher = globRegExp(segments.slice(baseSegments.length).join('/'));
+
+    let files = walk(base).filter(file => matcher.test(path.relative(base, file).split(path.sep).join('/')));
+    if( !generatedTestFile.test(pattern) ) {
+        files = _.reject(files, file => generatedTestFile.test(file));
+    }
+    return files.sort();
+}
+
+
+/**
+ * Translate a glob to a regular expression over '/'-separated relative paths.
+ *
+ * @param   {String} glob Glob pattern.
+ * @returns {RegExp}      Equivalent regular expression.
+ */
+function globRegExp(glob) {
+    let segments = glob.split('/');
+    let source = segments.map((segment, i) => segment === '**'
+        ? (i === segments.length - 1 ? '(?:[^/]+/)*[^/]+' : '(?:[^/]+/)*')
+        : segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]') + '/'
+    ).join('');
+    return new RegExp(`^${source.replace(/\/$/, '')}$`);
+}
+
+
+/**
+ * List the files below a directory, recursively, leaving out the skipped
+ * directories and the entries that cannot be read.
+ *
+ * @param   {String}   dir Directory to list.
+ * @returns {String[]}     Absolute file paths.
+ */
+function walk(dir) {
+
+    let names;
+    try {
+        names = fs.readdirSync(dir);
+    }
+    catch (e) {
+        return [];
+    }
+
+    return _.flatMap(names, name => {
+        let file = path.join(dir, name);
+        let stat = entryStat(file);
+        if( stat !== null && stat.isDirectory() ) {
+            return _.includes(skippedDirectories, name) ? [] : walk(file);
+        }
+        return stat !== null && stat.isFile() ? [file] : [];
+    });
+}
+
+
+/**
+ * Status of a directory entry. Symbolic links are followed to files only,
+ * so that links to directories cannot make a walk loop.
+ *
+ * @param   {String}        file Path of the entry.
+ * @returns {fs.Stats|null}      Status, or null for broken links, links to directories and unreadable entries.
+ */
+function entryStat(file) {
+    try {
+        let stat = fs.lstatSync(file);
+        if( !stat.isSymbolicLink() ) {
+            return stat;
+        }
+        let target = fs.statSync(file);
+        return target.isFile() ? target : null;
+    }
+    catch (e) {
+        return null;
+    }
+}
+
+
+// Export
+module.exports = parseArguments;
+module.exports.usage = usage;
+module.exports.outputPaths = outputPaths;
+module.exports.ensureDirectory = ensureDirectory;
+module.exports.selectFunctions = selectFunctions;
+module.exports.formatConstraints = formatConstraints;
@@ -0,0 +1,139 @@
+// Core/NPM Modules
+const product = require('iter-tools/lib/product');
+const _       = require('lodash');
+
+
+
+// Names of the available combination strategies.
+const strategies = ['product', 'pairwise', 't-wise', 'paths'];
+
+
+/**
+ * Combine the candidate values of several dimensions (function parameters,
+ * file system layouts) into rows of a test table.
+ *
+ * - product:  every combination of values (the full cartesian product).
+ * - pairwise: every pair of values of any two dimensions appears in some row.
+ * - t-wise:   every combination of values of any `strength` dimensions appears in some row.
+ * - paths:    no combinations, only the path-targeted rows added by the caller.
+ *
+ * Pairwise and t-wise rows are built greedily, so the number of rows grows
+ * with the number of values per dimension rather than with their product.
+ *
+ * @param   {Array[]}  dimensions Candidate values of each dimension.
+ * @param   {String}   strategy   One of `strategies`.
+ * @param   {Number}   strength   Number of dimensions to cover together, for t-wise.
+ * @returns {Array[]}             Rows, each holding one value per dimension.
+ */
+function combinations(dimensions, strategy, strength) {
+
+    switch( strategy ) {
+        case 'paths':    return [];
+        case 'pairwise': return covering(dimensions, 2);
+        case 't-wise':   return covering(dimensions, strength || 2);
+        case 'product':
+        case undefined:  return Array.from(product(...dimensions));
+    }
+    throw new Error(`Unknown combination strategy '${strategy}', expected one of ${strategies.join(', ')}`);
+}
+
+
+/**
+ * Build rows covering every combination of values of any t dimensions.
+ *
+ * @param   {Array[]} dimensions Candidate values of each dimension.
+ * @param   {Number}  t          Number of dimensions to cover together.
+ * @returns {Array[]}            Rows, each holding one value per dimension.
+ */
+function covering(dimensions, t) {
+
+    // With no more than t dimensions, covering is the full product.
+    if( dimensions.length <= t ) {
+        return Array.from(product(...dimensions));
+    }
+
+    let sizes = _.map(dimensions, 'length');
+    let dimensionTuples = kCombinations(_.range(dimensions.length), t);
+
+    // Every interaction still to cover, keyed by dimension and value indices.
+    let uncovered = new Set();
+    for( let dims of dimensionTuples ) {
+        for( let indices of product(..._.map(dims, d => _.range(sizes[d]))) ) {
+            uncovered.add(interactionKey(dims, indices));
+        }
+    }
+
+    let rows = [];
+    while( uncovered.size > 0 ) {
+
+        // Seed the row with the first uncovered interaction.
+        let row = _.map(sizes, () => null);
+        let seed = uncovered.values().next().value;
+        for( let part of seed.split('|') ) {
+            let [d, i] = part.split(':').map(Number);
+            row[d] = i;
+        }
+
+        // Fill every other dimension with the value covering the most new interactions.
+        for( let d = 0; d < sizes.length; d++ ) {
+            if( row[d] !== null ) continue;
+            row[d] = _.maxBy(_.range(sizes[d]), i => countNewInteractions(row, d, i, dimensionTuples, uncovered));
+        }
+
+        for( let dims of dimensionTuples ) {
+            uncovered.delete(interactionKey(dims, _.map(dims, d => row[d])));
+        }
+        rows.push(_.map(row, (i, d) => dimensions[d][i]));
+    }
+
+    return rows;
+}
+
+
+/**
+ * Count the uncovered interactions a row would cover by setting one more dimension.
+ *
+ * @param   {Array}      row             Value indices chosen so far, null where unset.
+ * @param   {Number}     d               Dimension to set.
+ * @param   {Number}     i               Value index to set it to.
+ * @param   {Number[][]} dimensionTuples Every combination of t dimensions.
+ * @param   {Set}        uncovered       Keys of the uncovered interactions.
+ * @returns {Number}                     Number of interactions newly covered.
+ */
+function countNewInteractions(row, d, i, dimensionTuples, uncovered) {
+    let candidate = _.map(row, (value, dim) => dim === d ? i : value);
+    return _.sumBy(dimensionTuples, dims => _.includes(dims, d) && _.every(dims, dim => candidate[dim] !== null)
+        && uncovered.has(interactionKey(dims, _.map(dims, dim => candidate[dim]))) ? 1 : 0);
+}
+
+
+/**
+ * Key identifying an interaction of values of several dimensions.
+ *
+ * @param   {Number[]} dims    Dimension indices, ascending.
+ * @param   {Number[]} indices Value index of each dimension.
+ * @returns {String}           Interaction key.
+ */
+function interactionKey(dims, indices) {
+    return _.map(dims, (d, k) => `${d}:${indices[k]}`).join('|');
+}
+
+
+/**
+ * Every k-element combination of an array, in order.
+ *
+ * @param   {Array}   array Elements to choose from.
+ * @param   {Number}  k     Number of elements to choose.
+ * @returns {Array[]}       Combinations.
+ */
+function kCombinations(array, k) {
+    if( k === 0 ) return [[]];
+    if( array.length < k ) return [];
+    let [first, ...rest] = array;
+    return [..._.map(kCombinations(rest, k - 1), c => [first, ...c]), ...kCombinations(rest, k)];
+}
+
+
+// Export
+module.exports = combinations;
+module.exports.strategies = strategies;
@@ -1,5 +1,4 @@
 // Core/NPM Modules
-const esprima = require("esprima");
 const faker   = require("faker");
 const fs      = require('fs');
 const Random  = require('random-js');
@@ -7,16 +6,56 @@ const _       = require('lodash');
 const randexp = require('randexp');
 
 
+// Local Modules
+const exportedFunctions    = require('./functions');
+const { functionTypes }    = require('./functions');
+const walk                 = require('./ast');
+const { walkFunction }     = require('./ast');
+const { childNodes }       = require('./ast');
+const functionPaths        = require('./paths');
+const { engine }           = require('./random');
+const derivation           = require('./dataflow');
+const invertDerivation     = require('./dataflow').invert;
+const toSource             = require('./source');
+const { kindOfSource }     = require('./source');
+const { evaluateSource }   = require('./source');
+const inferTypes           = require('./types');
+const generateValue        = require('./types').generateValue;
+const stringPredicate      = require('./strings');
+const matchingString       = require('./strings').matchingString;
+const nonMatchingString    = require('./strings').nonMatchingString;
+const stringsAroundLength  = require('./strings').stringsAroundLength;
+const propertyPaths        = require('./objects');
+const objectVariants       = require('./objects').objectVariants;
+const boundaryValues       = require('./boundaries');
+const numericConstant      = require('./boundaries').numericConstant;
+const { mirroredOperator } = require('./solver');
+const solveLinear          = require('./linear');
+const { linearAtom }       = require('./linear');
+const fsCalls              = require('./fsmodel');
+const pathStates           = require('./fsmodel').pathStates;
+const pathLayout           = require('./fsmodel').pathLayout;
+const stateValue           = require('./fsmodel').stateValue;
+const callGraph            = require('./callgraph');
+const { CallSummaries }    = require('./callgraph');
+const { parseSource }      = require('./modules');
+const functionParameters   = require('./params');
+const localNames           = require('./params').localNames;
+const patternValues        = require('./params').patternValues;
+const restValues           = require('./params').restValues;
+const defaultValues        = require('./params').defaultValues;
+const callbackParameter    = require('./params').callbackParameter;
+const instanceSetups       = require('./classes');
+
+
 
 // Set options
 faker.locale  = "en";
-const options = { tokens: true, tolerant: true, loc: true, range: true };
 
+// Constraint kind of values generated for an inferred parameter type.
+const kindOfType = { string: 'string', number: 'integer', object: 'object' };
 
 
-// Create random generator engine
-const engine = Random.engines.mt19937().autoSeed();
-
 
 /**
  * Constraint class. Represents constraints on function call parameters.
@@ -27,7 +66,9 @@ const engine = Random.engines.mt19937().autoSeed();
  * @property {String|Number}                                                   value      Main constraint value.
  * @property {String|Number}                                                   altvalue   Constraint alternative value.
  * @property {String}                                                          funcName   Name of the function being constrained.
- * @property {'fileWithContent'|'fileExists'|'integer'|'string'|'phoneNumber'} kind       Type of the constraint.
+ * @property {'fileSystem'|'integer'|'string'|'object'}                       kind       Type of the constraint.
+ * @property {Object}                                                          layout     Layout of the file system at the path, for fileSystem constraints.
+ * @property {Object}                                                          loc        Source location of the expression, as `loc` of its node.
  */
 class Constraint {
     constructor(properties){
@@ -38,399 +79,746 @@ class Constraint {
         this.altvalue = properties.altvalue;
         this.funcName = properties.funcName;
         this.kind = properties.kind;
+        this.layout = properties.layout;
+        this.loc = properties.loc;
     }
 }
 
 
 /**
- * Generate function parameter constraints for an input file
- * and save them to the global functionConstraints object.
+ * Generate function parameter constraints for the functions exported
+ * by an input file and save them to the global functionConstraints object.
+ *
+ * Dry runs do not call the functions of the module to translate constraints
+ * on the result of a call back to its arguments, nor build instances of its
+ * classes to find the states their methods test.
  *
- * @param   {String} filePath Path of the file to generate tests for.
- * @returns {Object}          Function constraints object.
+ * @param   {String} filePath  Path of the file to generate tests for.
+ * @param   {Object} [options] Options as `{ dryRun }`.
+ * @returns {Object}           Function constraints object.
  */
-function constraints(filePath) {
+function constraints(filePath, options = {}) {
 
     // Initialize function constraints directory
     let functionConstraints = {};
 
-    // Read input file and parse it with esprima.
-    let buf = fs.readFileSync(filePath, "utf8");
-    let result = esprima.parse(buf, options);
+    // Read input file and parse it.
+    let { buf, ast: result } = parseFile(filePath);
+
+    // Observe the functions of the module, to follow values through the calls between them.
+    let graph = callGraph(result);
+    let summaries = options.dryRun ? null : new CallSummaries(filePath, graph);
+
+    // Parse every exported function for potential constraints.
+    let exported = exportedFunctions(result);
+    for (let { name: funcName, exportPath, node, member } of exported) {
+
+        // Get function arguments, and the locals they bind: themselves, or the fields of destructured ones
+        let parameters = functionParameters(node, buf);
+        let params = localNames(parameters);
+
+        // Initialize function constraints
+        functionConstraints[funcName] = {
+            constraints: _.zipObject(params, _.map(params, () => [])),
+            params: _.map(parameters, 'name'),
+            locals: params,
+            exportPath: exportPath,
+            loc: node.loc,
+            callback: callbackParameter(parameters, node)
+        };
+        if (member) {
+            functionConstraints[funcName].member = _.omit(member, 'classNode');
+        }
+
+        // Infer parameter types from their usage
+        functionConstraints[funcName].types = inferTypes(node, params);
+
+        // Traverse function body, leaving out parameters that nested functions shadow.
+        traverseScoped(node.body, params, (child, visible) => extractConstraints(child, buf, funcName, visible, functionConstraints, node, summaries));
+
+        // Parameters passed on to other functions of the module take the values those functions test.
+        calleeConstraints(node, params, buf, graph, summaries, funcName, functionConstraints[funcName].constraints);
+
+        // Build objects from the property paths read from object parameters
+        let paths = propertyPaths(node, params);
+        for (let param of params) {
+            if (functionConstraints[funcName].types[param].type !== 'object') continue;
+            for (let value of objectVariants(paths[param])) {
+                functionConstraints[funcName].constraints[param].push(new Constraint({
+                    ident: param,
+                    value: value,
+                    funcName: funcName,
+                    kind: 'object'
+                }));
+            }
+        }
+
+        // Give parameters without constraints a value of their inferred type
+        for (let param of params) {
+            let value = generateValue(functionConstraints[funcName].types[param]);
+            if (_.isEmpty(functionConstraints[funcName].constraints[param]) && value !== null) {
+                functionConstraints[funcName].constraints[param].push(new Constraint({
+                    ident: param,
+                    value: value,
+                    funcName: funcName,
+                    kind: kindOfType[functionConstraints[funcName].types[param].type]
+                }));
+            }
+        }
+
+        // Derive one set of values per feasible path through the function.
+        functionConstraints[funcName].paths = functionPaths(node, params, buf);
+
+        // Build the arguments of destructured, defaulted and rest parameters
+        argumentConstraints(functionConstraints[funcName], parameters, funcName, node);
+
+    }
+
+    // Find the calls putting instances of each class in the states their methods test
+    let classNodes = options.dryRun ? [] : _.uniq(_.compact(_.map(exported, 'member.classNode')));
+    for (let classNode of classNodes) {
+        let members = _.filter(exported, e => _.get(e, 'member.classNode') === classNode);
+        let setups = instanceSetups(filePath, classNode, buf, _.pick(functionConstraints, _.map(members, 'name')));
+        for (let { name: funcName, member } of members) {
+            if (member.kind === 'method') {
+                functionConstraints[funcName].setups = setups[member.name] || [];
+            }
+        }
+    }
+
+    return functionConstraints;
+}
+
+
+/**
+ * Add to the parameters of a function the constraints of the parameters of
+ * the module functions it passes them to unchanged, as in `format(phoneNumber)`,
+ * following its callees in the call graph transitively.
+ *
+ * @param {Object}   funcNode    Node of the function.
+ * @param {String[]} params      Parameter names of the function.
+ * @param {String}   buf         Source code of the file.
+ * @param {Object}   graph       Call graph of the module, as returned by `callGraph`.
+ * @param {Object}   summaries   CallSummaries of the module, or null.
+ * @param {String}   funcName    Name of the function.
+ * @param {Object}   constraints Constraints of the function by parameter name, added to.
+ * @param {String[]} [stack]     Functions of the graph the constraints are being gathered for, which are not followed again.
+ */
+function calleeConstraints(funcNode, params, buf, graph, summaries, funcName, constraints, stack = []) {
+
+    let self = _.findKey(graph, entry => entry.node === funcNode);
+    let callees = _.difference(self ? graph[self].callees : _.keys(graph), stack);
+    let gathered = {};
+
+    traverseScoped(funcNode.body, params, (child, visible) => {
+        if (_.get(child, 'type') !== 'CallExpression' || child.callee.type !== 'Identifier' || !_.includes(callees, child.callee.name)) {
+            return;
+        }
+        let callee = child.callee.name;
+        if (!_.has(gathered, callee)) {
+            gathered[callee] = graphConstraints(callee, buf, graph, summaries, self ? [...stack, self] : stack);
+        }
+
+        child.arguments.forEach((argument, index) => {
+            let param = gathered[callee].params[index];
+            if (argument.type !== 'Identifier' || !_.includes(visible, argument.name) || param === undefined) {
+                return;
+            }
+            for (let constraint of gathered[callee].constraints[param] || []) {
+                if (!_.some(constraints[argument.name], c => c.value === constraint.value)) {
+                    constraints[argument.name].push(new Constraint(_.assign({}, constraint, { ident: argument.name, funcName: funcName })));
+                }
+            }
+        });
+    });
+}
+
 
-    // Start traversing the root node
-    traverse(result, function (node) {
+/**
+ * Constraints of the parameters of a function of the call graph, including
+ * those gathered from its own callees.
+ *
+ * @param   {String}   name      Name of the function in the graph.
+ * @param   {String}   buf       Source code of the file.
+ * @param   {Object}   graph     Call graph of the module, as returned by `callGraph`.
+ * @param   {Object}   summaries CallSummaries of the module, or null.
+ * @param   {String[]} stack     Functions of the graph the constraints are being gathered for.
+ * @returns {Object}             Constraints as `{ params, constraints }`, params being the plain parameter
+ *                               names by position, undefined for other parameters.
+ */
+function graphConstraints(name, buf, graph, summaries, stack) {
 
-        // If some node is a function declaration, parse it for potential constraints.
-        if (node.type === 'FunctionDeclaration') {
+    let node = graph[name].node;
+    let parameters = functionParameters(node, buf);
+    let params = localNames(parameters);
+    let table = { [name]: { constraints: _.zipObject(params, _.map(params, () => [])) } };
 
-            // Get function name and arguments
-            let funcName = functionName(node);
-            let params = node.params.map(function(p) {return p.name});
+    traverseScoped(node.body, params, (child, visible) => extractConstraints(child, buf, name, visible, table, node, summaries));
+    calleeConstraints(node, params, buf, graph, summaries, name, table[name].constraints, [...stack, name]);
 
-            // Initialize function constraints
-            functionConstraints[funcName] = {
-                constraints: _.zipObject(params, _.map(params, () => [])),
-                params: params
-            };
+    return { params: _.map(parameters, p => p.kind === 'plain' ? p.name : undefined), constraints: table[name].constraints };
+}
 
-            // handle phoneNumber parameter
+
+/**
+ * Turn the constraints found on the locals bound by parameters into
+ * constraints on the arguments: destructured parameters take objects or
+ * arrays built from the values of their fields, rest parameters take arrays
+ * of varying length, and parameters with a default also take undefined and
+ * the default. Paths are translated the same way. The callback parameter of
+ * callback-style functions takes no values, tests pass their own callback.
+ *
+ * @param {Object}   entry      Constraints of the function, as in functionConstraints.
+ * @param {Object[]} parameters Parameters as returned by `functionParameters`.
+ * @param {String}   funcName   Name of the function.
+ * @param {Object}   funcNode   Node of the function.
+ */
+function argumentConstraints(entry, parameters, funcName, funcNode) {
+
+    let constraint = (param, value, kind) => new Constraint({ ident: param.name, value: value, funcName: funcName, kind: kind });
+    let fieldValues = (param, values) => _.fromPairs(_.map(param.fields, field =>
+        [field.name, _.has(values, field.name) ? [values[field.name]] : _.map(entry.constraints[field.name], 'value')]));
+
+    for (let param of parameters) {
+        if (param.kind === 'pattern') {
+            entry.constraints[param.name] = _.map(patternValues(param, fieldValues(param, {})), value => constraint(param, value, 'object'));
+        }
+        if (param.kind === 'rest') {
+            entry.constraints[param.name] = _.map(restValues(param, funcNode), value => constraint(param, value, 'object'));
+        }
+        for (let value of defaultValues(param)) {
+            if (!_.some(entry.constraints[param.name], c => c.value === value)) {
+                entry.constraints[param.name].push(constraint(param, value, kindOfSource(value)));
+            }
+        }
+    }
+
+    if (entry.callback !== null) {
+        entry.constraints[entry.callback] = [];
+    }
+
+    entry.paths = _.map(entry.paths, path => {
+        let values = _.omit(path.values, _.compact([entry.callback]));
+        for (let param of parameters) {
+            if (param.kind === 'pattern' && _.some(param.fields, field => _.has(values, field.name))) {
+                values[param.name] = _.first(patternValues(param, fieldValues(param, values)));
+            }
+            values = _.omit(values, param.kind === 'rest' ? [param.name] : _.map(param.fields, 'name'));
+        }
+        return _.assign({}, path, { values: _.omitBy(values, _.isUndefined) });
+    });
+}
+
+
+/**
+ * Read an input file and parse it, as a script or as an ES module.
+ *
+ * @param   {String} filePath Path of the file to parse.
+ * @returns {Object}          Source code and syntax tree as `{ buf, ast }`.
+ */
+function parseFile(filePath) {
+    let buf = fs.readFileSync(filePath, "utf8");
+    return { buf: buf, ast: parseSource(buf) };
+}
+
+
+/**
+ * Extract parameter constraints from a single node of a function body
+ * and add them to the function's entry in functionConstraints.
+ *
+ * @param {Object}   child               Esprima node within the function body.
+ * @param {String}   buf                 Source code of the input file.
+ * @param {String}   funcName            Name of the function being constrained.
+ * @param {String[]} params              Parameter names of the function.
+ * @param {Object}   functionConstraints Function constraints object.
+ * @param {Object}   [funcNode]          Esprima node of the function, to follow locals back to parameters.
+ * @param {Object}   [summaries]         CallSummaries of the module, to follow locals through calls.
+ */
+function extractConstraints(child, buf, funcName, params, functionConstraints, funcNode, summaries) {
+
+    // handle unary expressions
+    if(child.type === 'UnaryExpression' && child.operator === '!'){
+        // full epxression
+        let expression = buf.substring(child.range[0], child.range[1]);
+        
+        // if unary expression is being applied directly on of the parameters
+        if(child.argument && child.argument.type === "Identifier"){
             for(let p in params){
-                if(params[p] === 'phoneNumber'){
-                    let constraints = functionConstraints[funcName].constraints[params[p]];
-                    let phoneNum = generateRandomDigits(10);
+                if(child.argument.name === params[p]){
+
+                    // push both true and false as constraints
+                    let ident = params[p];
+                    let constraints = functionConstraints[funcName].constraints[ident];
 
                     constraints.push(new Constraint({
                         ident: params[p],
-                        value: "\'"+phoneNum+"\'",
+                        value: "true",
                         funcName: funcName,
-                        kind: "phoneNumber"
+                        kind: "integer",
+                        operator : child.operator,
+                        expression: expression,
+                        loc: child.loc
+                    }));
+
+                    constraints.push(new Constraint({
+                        ident: params[p],
+                        value: "false",
+                        funcName: funcName,
+                        kind: "integer",
+                        operator : child.operator,
+                        expression: expression,
+                        loc: child.loc
                     }));
                 }
             }
+        }
+    }
 
-            // Traverse function node.
-            traverse(node, function(child) {
-
-                // handle unary expressions
-                if(child.type === 'UnaryExpression' && child.operator === '!'){
-                    // full epxression
-                    let expression = buf.substring(child.range[0], child.range[1]);
-                    
-                    // if unary expression is being applied directly on of the parameters
-                    if(child.argument && child.argument.type === "Identifier"){
-                        for(let p in params){
-                            if(child.argument.name === params[p]){
-
-                                // push both true and false as constraints
-                                let ident = params[p];
-                                let constraints = functionConstraints[funcName].constraints[ident];
-
-                                constraints.push(new Constraint({
-                                    ident: params[p],
-                                    value: "true",
-                                    funcName: funcName,
-                                    kind: "integer",
-                                    operator : child.operator,
-                                    expression: expression
-                                }));
-
-                                constraints.push(new Constraint({
-                                    ident: params[p],
-                                    value: "false",
-                                    funcName: funcName,
-                                    kind: "integer",
-                                    operator : child.operator,
-                                    expression: expression
-                                }));
-                            }
-                        }
-                    }
+    // Handle binary expressions, looking at them with the constant on the right
+    if(_.get(child, 'type') === 'BinaryExpression' && _.includes(['!=', '!==', '==', '===', '<', '<=', '>', '>='], _.get(child, 'operator'))) {
+        let comparison = constantOnRight(child);
 
-                    // if unary expression is being applied directly on of the properties of a parameters
-                    else if(child.argument && child.argument.type === "MemberExpression"){
-                        for(let p in params){
-                            if(child.argument.object.name === params[p]){
-                                let ident = params[p];
-                                let property = child.argument.property.name;
-                                let constraints = functionConstraints[funcName].constraints[ident];
-                                
-                                constraints.push(new Constraint({
-                                    ident: params[p],
-                                    value: "{ "+property+": 'true' }",
-                                    funcName: funcName,
-                                    kind: "integer",
-                                    operator : child.operator,
-                                    expression: expression
-                                }));
-
-                                constraints.push(new Constraint({
-                                    ident: params[p],
-                                    value: "{ "+property+": 'false' }",
-                                    funcName: funcName,
-                                    kind: "integer",
-                                    operator : child.operator,
-                                    expression: expression
-                                }));
-
-                            }
-                        }
-                    }
-                }
+        if(_.get(comparison, 'left.type') === 'Identifier') {
 
-                // Handle binary expressions
-                if(_.get(child, 'type') === 'BinaryExpression' && _.includes(['!=', '!==', '==', '===', '<', '<=', '>', '>='], _.get(child, 'operator'))) {
-                    if(_.get(child, 'left.type') === 'Identifier') {
-
-                        // Get identifier
-                        let ident = child.left.name;
-
-                        // Get expression from original source code:
-                        let expression = buf.substring(child.range[0], child.range[1]);
-                        let rightHand = buf.substring(child.right.range[0], child.right.range[1]);
-
-                        // Test to see if right hand is a string
-                        let match = rightHand.match(/^['"](.*)['"]$/);
-
-                        if (_.includes(params, _.get(child, 'left.name'))) {
-
-                            // Push a new constraints
-                            let constraints = functionConstraints[funcName].constraints[ident];
-
-                            if(_.includes(['!=', '!==', '==', '==='], _.get(child, 'operator'))){       // handle equivalence
-                                constraints.push(new Constraint({
-                                    ident: child.left.name,
-                                    value: rightHand,
-                                    funcName: funcName,
-                                    kind: "integer",
-                                    operator : child.operator,
-                                    expression: expression
-                                }));
-                                constraints.push(new Constraint({
-                                    ident: child.left.name,
-                                    value: match ? `'NEQ - ${match[1]}'` : NaN,
-                                    funcName: funcName,
-                                    kind: "integer",
-                                    operator : child.operator,
-                                    expression: expression
-                                }));
-                            }
-
-                            if(_.includes(['<', '<=', '>', '>='], _.get(child, 'operator'))){       // handle <, >
-                                // push 2 constraints, 1 with value greater than rightHand and the other one less than
-                                constraints.push(new Constraint({
-                                    ident: child.left.name,
-                                    value: createConcreteIntegerValue(parseInt(rightHand), true),
-                                    funcName: funcName,
-                                    kind: "integer",
-                                    operator : child.operator,
-                                    expression: expression
-                                }));
-                                constraints.push(new Constraint({
-                                    ident: child.left.name,
-                                    value: createConcreteIntegerValue(parseInt(rightHand), false),
-                                    funcName: funcName,
-                                    kind: "integer",
-                                    operator : child.operator,
-                                    expression: expression
-                                }));
-                            }
-                        }
+            // Get identifier
+            let ident = comparison.left.name;
 
-                        // handle 'area' variable
-                        if(ident === 'area'){
-                            let constraints = functionConstraints[funcName].constraints['phoneNumber'];
-                            
-                            let areaVal = child.right.value;
-                            let phoneNum = areaVal + generateRandomDigits(10 - areaVal.length);
+            // Get expression from original source code:
+            let expression = buf.substring(comparison.range[0], comparison.range[1]);
+            let rightHand = buf.substring(comparison.right.range[0], comparison.right.range[1]);
 
-                            constraints.push(new Constraint({
-                                ident: 'phoneNumber',
-                                value: "\'"+phoneNum+"\'",
-                                funcName: funcName,
-                                kind: "phoneNumber"
-                            }));
+            // Test to see if right hand is a string
+            let match = rightHand.match(/^['"](.*)['"]$/);
 
-                            constraints.push(new Constraint({
-                                ident: 'phoneNumber',
-                                value: "\'"+generateRandomDigits(10)+"\'",
-                                funcName: funcName,
-                                kind: "phoneNumber"
-                            }));
+            if (_.includes(params, _.get(comparison, 'left.name'))) {
 
-                        }
-                    }
+                // Push a new constraints
+                let constraints = functionConstraints[funcName].constraints[ident];
 
-                    // handle indexOf() comparisons within Binary Expressions
-                    else if(_.get(child, 'left.type') === 'CallExpression') {
-                        if(child.left.callee.property && child.left.callee.property.name === "indexOf"){
-                            
-                            // entire expression
-                            let expression = buf.substring(child.range[0], child.range[1]);
-
-                            for(let p in params){
-                                if(child.left.callee.object.name === params[p]){
-
-                                    let ident = child.left.callee.object.name;  // identifier
-
-                                    let arg = child.left.arguments[0].value;    // argument string
-                                    
-                                    let rightHand = buf.substring(child.right.range[0], child.right.range[1]);  // right hand value
-                                    
-                                    var str1 = (new Random(engine).string(rightHand)).concat(arg);          // random string with argument string at given index
-                                    var str2 = (new Random(engine).string(rightHand + 1)).concat(arg);      // random string with argument string NOT at given index
-
-                                    // push new constraints
-                                    functionConstraints[funcName].constraints[ident].push(new Constraint({
-                                        ident: params[p],
-                                        value:  "\'"+str1+"\'",
-                                        funcName: funcName,
-                                        kind: "string",
-                                        operator : child.operator,
-                                        expression: expression
-                                    }));
-
-                                    functionConstraints[funcName].constraints[ident].push(new Constraint({
-                                        ident: params[p],
-                                        value:  "\'"+str2+"\'",
-                                        funcName: funcName,
-                                        kind: "string",
-                                        operator : child.operator,
-                                        expression: expression
-                                    }));
-                                }
-                            }
-                        }
+                if(_.includes(['!=', '!==', '==', '==='], _.get(comparison, 'operator')) && isConstant(comparison.right)){       // handle equivalence
+                    constraints.push(new Constraint({
+                        ident: comparison.left.name,
+                        value: rightHand,
+                        funcName: funcName,
+                        kind: "integer",
+                        operator : comparison.operator,
+                        expression: expression,
+                        loc: child.loc
+                    }));
+                    constraints.push(new Constraint({
+                        ident: comparison.left.name,
+                        value: match ? `'NEQ - ${match[1]}'` : NaN,
+                        funcName: funcName,
+                        kind: "integer",
+                        operator : comparison.operator,
+                        expression: expression,
+                        loc: child.loc
+                    }));
+                }
+
+                if(_.includes(['<', '<=', '>', '>='], _.get(comparison, 'operator')) && numericConstant(comparison.right) !== undefined){       // handle <, >
+                    // push the boundary values: just below, on and just above the constant
+                    for (let value of boundaryValues(numericConstant(comparison.right))) {
+                        constraints.push(new Constraint({
+                            ident: comparison.left.name,
+                            value: toSource(value),
+                            funcName: funcName,
+                            kind: "integer",
+                            operator : comparison.operator,
+                            expression: expression,
+                            loc: child.loc
+                        }));
                     }
                 }
+            }
 
-                // Handle fs.existsSync
-                if( child.type === "CallExpression" && child.callee.property && child.callee.property.name === "existsSync" ) {
-                    
-                    // full expression
-                    let expression = buf.substring(child.range[0], child.range[1]);
-                    //console.log(expression);
-
-                    for(let p in params){
-                        if(child.arguments[0].name === params[p]){
-                            // Get identifier
-                            let ident = params[p];
-
-                            // push new constraints
-
-                            if(ident === 'filePath'){       // only add files
-                                functionConstraints[funcName].constraints[ident].push(new Constraint({
-                                    ident: params[p],
-                                    value:  "'file'",
-                                    funcName: funcName,
-                                    kind: "fileExists",
-                                    operator : child.operator,
-                                    expression: expression
-                                }));
-                            }
-
-                            else{                           // else add directories and files
-                                functionConstraints[funcName].constraints[ident].push(new Constraint({
-                                    ident: params[p],
-                                    value:  "'emptyDir'",
-                                    funcName: funcName,
-                                    kind: "fileExists",
-                                    operator : child.operator,
-                                    expression: expression
-                                }));
-                                functionConstraints[funcName].constraints[ident].push(new Constraint({
-                                    ident: params[p],
-                                    value:  "'nonEmptyDir'",
-                                    funcName: funcName,
-                                    kind: "fileExists",
-                                    operator : child.operator,
-                                    expression: expression
-                                }));
-                            }                            
+            // handle locals derived from a parameter
+            else if (funcNode) {
+                let derived = derivation(ident, comparison.range[0], funcNode, params);
+                let constant = numericConstant(comparison.right) !== undefined ? numericConstant(comparison.right) : comparison.right.value;
+                if (derived !== null && (comparison.right.type === 'Literal' || constant !== undefined)) {
+                    let constraints = functionConstraints[funcName].constraints[derived.param];
+
+                    // values of the local on either side of the comparison, translated back to the parameter
+                    for (let value of localValues(comparison.operator, constant)) {
+                        let paramValue = summaries ? summaries.invert(value, derived) : invertDerivation(value, derived);
+                        if (paramValue !== undefined && !_.some(constraints, c => c.value === toSource(paramValue))) {
+                            constraints.push(new Constraint({
+                                ident: derived.param,
+                                value: toSource(paramValue),
+                                funcName: funcName,
+                                kind: _.isString(paramValue) ? "string" : "integer",
+                                operator : comparison.operator,
+                                expression: expression,
+                                loc: child.loc
+                            }));
                         }
                     }
                 }
+            }
+        }
 
-                // Handle fs.readFileSync
-                if( child.type === "CallExpression" && child.callee.property && child.callee.property.name === "readFileSync" ) {
-
-                    // Get expression from original source code:
-                    let expression = buf.substring(child.range[0], child.range[1]);
-
-                    for (let p in params) {
-                        if( child.arguments[0].name === params[p] ) {
-
-                            // Get identifier
-                            let ident = params[p];
-
-                            // Push a new constraint
-
-                            if(ident === 'filePath'){       // only add files
-                                functionConstraints[funcName].constraints[ident].push(new Constraint({
-                                    ident: params[p],
-                                    value:  "'pathContent/file1'",
-                                    funcName: funcName,
-                                    kind: "fileWithContent",
-                                    operator : child.operator,
-                                    expression: expression
-                                }));
-                            }
-                            else{                           // else add directories and files
-                                functionConstraints[funcName].constraints[ident].push(new Constraint({
-                                    ident: params[p],
-                                    value:  "'pathContent/file1'",
-                                    funcName: funcName,
-                                    kind: "fileWithContent",
-                                    operator : child.operator,
-                                    expression: expression
-                                }));
-                                functionConstraints[funcName].constraints[ident].push(new Constraint({
-                                    ident: params[p],
-                                    value:  "'pathContent/someDir'",
-                                    funcName: funcName,
-                                    kind: "fileWithContent",
-                                    operator : child.operator,
-                                    expression: expression
-                                }));
-                            }
-                        }
+        // handle length comparisons, with strings around the compared length
+        else if(_.get(comparison, 'left.type') === 'MemberExpression' && _.get(comparison, 'left.property.name') === 'length'
+            && _.includes(params, _.get(comparison, 'left.object.name')) && _.isNumber(_.get(comparison, 'right.value'))) {
+
+            let ident = comparison.left.object.name;
+            let expression = buf.substring(comparison.range[0], comparison.range[1]);
+            let constraints = functionConstraints[funcName].constraints[ident];
+
+            for (let value of stringsAroundLength(comparison.right.value)) {
+                constraints.push(new Constraint({
+                    ident: ident,
+                    value: toSource(value),
+                    funcName: funcName,
+                    kind: "string",
+                    operator : comparison.operator,
+                    expression: expression,
+                    loc: child.loc
+                }));
+            }
+        }
+
+        // handle indexOf() comparisons within Binary Expressions
+        else if(_.get(comparison, 'left.type') === 'CallExpression') {
+            if(comparison.left.callee.property && comparison.left.callee.property.name === "indexOf"){
+                
+                // entire expression
+                let expression = buf.substring(comparison.range[0], comparison.range[1]);
+
+                for(let p in params){
+                    if(comparison.left.callee.object.name === params[p]){
+
+                        let ident = comparison.left.callee.object.name;  // identifier
+
+                        let arg = comparison.left.arguments[0].value;    // argument string
+                        
+                        let rightHand = buf.substring(comparison.right.range[0], comparison.right.range[1]);  // right hand value
+                        
+                        var str1 = (new Random(engine).string(rightHand)).concat(arg);          // random string with argument string at given index
+                        var str2 = (new Random(engine).string(rightHand + 1)).concat(arg);      // random string with argument string NOT at given index
+
+                        // push new constraints
+                        functionConstraints[funcName].constraints[ident].push(new Constraint({
+                            ident: params[p],
+                            value:  "\'"+str1+"\'",
+                            funcName: funcName,
+                            kind: "string",
+                            operator : comparison.operator,
+                            expression: expression,
+                            loc: child.loc
+                        }));
+
+                        functionConstraints[funcName].constraints[ident].push(new Constraint({
+                            ident: params[p],
+                            value:  "\'"+str2+"\'",
+                            funcName: funcName,
+                            kind: "string",
+                            operator : comparison.operator,
+                            expression: expression,
+                            loc: child.loc
+                        }));
                     }
                 }
+            }
+        }
+    }
 
-            });
+    // Handle linear comparisons relating parameters, such as `x < y` or `p + q > 10`
+    let linear = linearAtom(child, params);
+    if( linear !== null && (linear.idents.length > 1 || _.get(constantOnRight(child), 'left.type') !== 'Identifier') ) {
 
-            // console.log( functionConstraints[funcName]);
+        // full expression
+        let expression = buf.substring(child.range[0], child.range[1]);
 
+        // values of one argument tuple satisfying the comparison and one violating it
+        for (let solution of _.compact([solveLinear([linear]), solveLinear([linear.negate()])])) {
+            for (let ident in solution) {
+                let constraints = functionConstraints[funcName].constraints[ident];
+                if (!_.some(constraints, c => c.value === toSource(solution[ident]))) {
+                    constraints.push(new Constraint({
+                        ident: ident,
+                        value: toSource(solution[ident]),
+                        funcName: funcName,
+                        kind: "integer",
+                        operator : child.operator,
+                        expression: expression,
+                        loc: child.loc
+                    }));
+                }
+            }
         }
-    });
+    }
+
+    // Handle string predicates and patterns applied to a parameter
+    let predicate = stringPredicate(child, params);
+    if( predicate !== null ) {
+
+        // full expression
+        let expression = buf.substring(child.range[0], child.range[1]);
+        let constraints = functionConstraints[funcName].constraints[predicate.ident];
+
+        // a string matching the pattern and one that does not
+        for (let value of [matchingString(predicate.regex), nonMatchingString(predicate.regex)]) {
+            if (value !== null && !_.some(constraints, c => c.value === toSource(value))) {
+                constraints.push(new Constraint({
+                    ident: predicate.ident,
+                    value: toSource(value),
+                    funcName: funcName,
+                    kind: "string",
+                    operator : predicate.method,
+                    expression: expression,
+                    loc: child.loc
+                }));
+            }
+        }
+    }
 
-    //console.log(functionConstraints['inc'].constraints['p']);
+    // Handle fs calls, with one constraint per state worth trying for each path argument,
+    // and one per contents worth trying for files that are read
+    for (let { ident, operation } of fsCalls(child, params)) {
 
-    return functionConstraints;
+        // full expression
+        let expression = buf.substring(child.range[0], child.range[1]);
+        let constraints = functionConstraints[funcName].constraints[ident];
+
+        let layouts = _.map(pathStates(operation), state => pathLayout(state));
+        if (operation === 'readFile' && funcNode) {
+            layouts.push(..._.map(fileContents(child, funcNode, buf), content => pathLayout('file', content)));
+        }
+
+        for (let layout of layouts) {
+            if (!_.some(constraints, c => _.isEqual(c.layout, layout))) {
+                constraints.push(new Constraint({
+                    ident: ident,
+                    value: stateValue(layout),
+                    funcName: funcName,
+                    kind: "fileSystem",
+                    operator : child.callee.property.name,
+                    expression: expression,
+                    loc: child.loc,
+                    layout: layout
+                }));
+            }
+        }
+    }
 }
 
+
 /**
- * Traverse an object tree, calling the visitor at each
- * visited node.
+ * Contents worth trying for a file read by a call, besides an empty file:
+ * contents found by applying the string and number constraint handlers to the variable
+ * holding what is read, and, if that is parsed as JSON, objects built from the
+ * properties read from the parsed value along with malformed JSON.
  *
- * @param {Object}   object  Esprima node object.
- * @param {Function} visitor Visitor called at each node.
+ * @param   {Object}   call     Esprima node of the fs call reading the file.
+ * @param   {Object}   funcNode Esprima node of the function making the call.
+ * @param   {String}   buf      Source code of the input file.
+ * @returns {String[]}          File contents, without duplicates.
  */
-function traverse(object, visitor) {
+function fileContents(call, funcNode, buf) {
+
+    let parents = parentMap(funcNode);
+    let holder = contentHolder(call, parents, false);
+    if (holder === null) {
+        return [];
+    }
+
+    // Callbacks receive the contents as their second parameter.
+    let scope = funcNode;
+    if (holder.callback) {
+        scope = holder.callback;
+        parents = parentMap(scope);
+    }
+
+    let contents = [];
+    let holders = [holder];
 
-    // Call the visitor on the object
-    visitor(object);
+    if (!holder.json) {
+        // Run the handlers with the variable as the only parameter.
+        let params = [holder.variable];
+        let scratch = { contents: { params, types: inferTypes(scope, params), constraints: { [holder.variable]: [] } } };
+        walk(scope.body, child => extractConstraints(child, buf, 'contents', params, scratch));
+        contents.push(..._.filter(_.map(scratch.contents.constraints[holder.variable], c => evaluateSource(c.value)), _.isString));
 
-    // Traverse all children of object
-    for (let key in object) {
-        if (object.hasOwnProperty(key)) {
-            let child = object[key];
-            if (typeof child === 'object' && child !== null) {
-                traverse(child, visitor);
+        // Follow the variable into JSON.parse.
+        walk(scope.body, child => {
+            if (isJsonParse(child) && _.get(child, 'arguments[0].name') === holder.variable) {
+                holders.push(contentHolder(child, parents, true));
             }
+        });
+    }
+
+    for (let json of _.filter(_.compact(holders), 'json')) {
+        let objects = _.map(objectVariants(propertyPaths(scope, [json.variable])[json.variable]), evaluateSource);
+        contents.push(..._.map(objects.length > 0 ? objects : [{}], object => JSON.stringify(object)), '{');
+    }
+
+    return _.without(_.uniq(contents), '');
+}
+
+
+/**
+ * Find the variable holding what a read call returns, following it through
+ * `toString()`, `trim()`, `await` and `JSON.parse`.
+ *
+ * @param   {Object}      node    Esprima node of the read call.
+ * @param   {Map}         parents Parent of each node of the function.
+ * @param   {Boolean}     json    Whether or not the node already is parsed JSON.
+ * @returns {Object|null}         Holder as `{ variable, json, callback }`, where callback is the
+ *                                callback function receiving the contents, or null if there is none.
+ */
+function contentHolder(node, parents, json) {
+
+    // Callback form: the contents are the second parameter of the callback.
+    let callback = _.last(node.arguments);
+    if (callback && _.includes(['FunctionExpression', 'ArrowFunctionExpression'], callback.type) && callback.params.length > 1
+        && callback.params[1].type === 'Identifier') {
+        return { variable: callback.params[1].name, json: json, callback: callback };
+    }
+
+    let parent = parents.get(node);
+    while (parent) {
+        if (parent.type === 'MemberExpression' && parent.object === node && _.includes(['toString', 'trim'], parent.property.name)
+            && _.get(parents.get(parent), 'type') === 'CallExpression') {
+            node = parents.get(parent);
         }
+        else if (parent.type === 'AwaitExpression') {
+            node = parent;
+        }
+        else if (isJsonParse(parent) && parent.arguments[0] === node) {
+            node = parent;
+            json = true;
+        }
+        else {
+            break;
+        }
+        parent = parents.get(node);
     }
+
+    if (_.get(parent, 'type') === 'VariableDeclarator' && parent.init === node && parent.id.type === 'Identifier') {
+        return { variable: parent.id.name, json: json, callback: null };
+    }
+    if (_.get(parent, 'type') === 'AssignmentExpression' && parent.right === node && parent.left.type === 'Identifier') {
+        return { variable: parent.left.name, json: json, callback: null };
+    }
+    return null;
+}
+
+
+/**
+ * Whether or not a node is a call to `JSON.parse`.
+ *
+ * @param   {Object}  node Esprima node.
+ * @returns {Boolean}      True for `JSON.parse(...)` calls.
+ */
+function isJsonParse(node) {
+    return _.get(node, 'type') === 'CallExpression' && _.get(node, 'callee.object.name') === 'JSON' && _.get(node, 'callee.property.name') === 'parse';
+}
+
+
+/**
+ * Map every node of a tree to its parent node.
+ *
+ * @param   {Object} root Esprima node.
+ * @returns {Map}         Parent by node.
+ */
+function parentMap(root) {
+    let parents = new Map();
+    walk(root, (node, parent) => {
+        if (parent) {
+            parents.set(node, parent);
+        }
+    });
+    return parents;
 }
 
 
 /**
- * Return the name of a function node.
+ * Traverse a function body like `walk`, along with the parameters in
+ * scope at each node. Within a nested function, the parameters it redeclares
+ * as its own parameters or variables are out of scope.
+ *
+ * @param {Object}   object  Esprima node object.
+ * @param {String[]} params  Parameter names in scope.
+ * @param {Function} visitor Visitor called as `visitor(node, params)`.
  */
-function functionName(node) {
-    return node.id ? node.id.name : '';
+function traverseScoped(object, params, visitor) {
+
+    if (_.includes(functionTypes, _.get(object, 'type'))) {
+        params = _.difference(params, declaredNames(object));
+    }
+    visitor(object, params);
+
+    for (let child of childNodes(object)) {
+        traverseScoped(child, params, visitor);
+    }
 }
 
 
 /**
- * Generates an integer value based on some constraint.
+ * Names a function declares: its own name, parameters and variables,
+ * not counting those of the functions nested within it.
  *
- * @param   {Number}  constraintValue Constraint integer.
- * @param   {Boolean} greaterThan     Whether or not the concrete integer is greater than the constraint.
- * @returns {Number}                  Integer satisfying constraints.
+ * @param   {Object}   funcNode Esprima node of the function.
+ * @returns {String[]}          Declared names.
  */
-function createConcreteIntegerValue(constraintValue, greaterThan) {
-    if( greaterThan ) return Random.integer(constraintValue + 1, constraintValue + 10)(engine);
-    else return Random.integer(constraintValue - 10, constraintValue - 1)(engine);
+function declaredNames(funcNode) {
+
+    let names = _.map(_.filter([funcNode.id, ...funcNode.params], p => _.get(p, 'type') === 'Identifier'), 'name');
+    walkFunction(funcNode.body, node => {
+        if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') {
+            names.push(node.id.name);
+        }
+    });
+
+    return _.uniq(names);
+}
+
+
+/**
+ * Whether or not a node is a constant: a literal, a negated number or `undefined`.
+ *
+ * @param   {Object}  node Esprima expression node.
+ * @returns {Boolean}      True for constants.
+ */
+function isConstant(node) {
+    return node.type === 'Literal' || numericConstant(node) !== undefined || (node.type === 'Identifier' && node.name === 'undefined');
+}
+
+
+/**
+ * View a comparison with its constant on the right, mirroring the operator
+ * of comparisons written the other way around, such as `100 > p`.
+ *
+ * @param   {Object} node Esprima binary expression node.
+ * @returns {Object}      The node itself, or an equivalent node with swapped operands.
+ */
+function constantOnRight(node) {
+    if( !isConstant(node.left) || isConstant(node.right) ) {
+        return node;
+    }
+    return _.assign({}, node, { operator: mirroredOperator[node.operator], left: node.right, right: node.left });
+}
+
+
+/**
+ * Values on either side of a comparison against a constant.
+ *
+ * @param   {String} operator Comparison operator.
+ * @param   {*}      constant Constant compared against.
+ * @returns {Array}           Values satisfying and violating the comparison.
+ */
+function localValues(operator, constant) {
+    if( _.includes(['<', '<=', '>', '>='], operator) && _.isNumber(constant) ) {
+        return boundaryValues(constant);
+    }
+    if( _.isString(constant) ) {
+        // a string of the same length, so that positional operations can still be inverted
+        let other = /^\d+$/.test(constant) ? generateRandomDigits(constant.length) : new Random(engine).string(constant.length);
+        return other === constant ? [constant] : [constant, other];
+    }
+    return [constant];
 }
 
 
@@ -442,4 +830,8 @@ function generateRandomDigits(numDigits){
 }
 
 // Export
-module.exports = constraints;
\ No newline at end of file
+module.exports = constraints;
+module.exports.parseFile = parseFile;
+module.exports.extractConstraints = extractConstraints;
+module.exports.traverseScoped = traverseScoped;
+module.exports.Constraint = Constraint;
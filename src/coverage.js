@@ -0,0 +1,209 @@
+// Core/NPM Modules
+const { createInstrumenter } = require('istanbul-lib-instrument');
+const _                      = require('lodash');
+
+
+// Local Modules
+const { parseFile, extractConstraints } = require('./constraint');
+const { traverseScoped }                = require('./constraint');
+const { enumerateTestCases }            = require('./testgenerator');
+const exportedFunctions                 = require('./functions');
+const runTestCase                       = require('./runner');
+const { commonJsSource, loadModule }    = require('./modules');
+
+
+
+// Global variable the instrumented subject writes its coverage to.
+const coverageVariable = '__testgenCoverage__';
+
+
+/**
+ * Coverage-guided generation. Repeatedly measure the branch coverage of the
+ * generated test cases and derive more targeted constraints from the
+ * conditions guarding the branches that are still uncovered, until coverage
+ * stops improving or the iteration budget runs out.
+ *
+ * A summary line is printed for every iteration.
+ *
+ * @param   {String} filePath            Path of the file to generate tests for.
+ * @param   {Object} functionConstraints Constraints object as returned by `constraints`.
+ * @param   {Number} iterations          Maximum number of iterations.
+ * @param   {Object} [options]           Combination options, see `enumerateTestCases`.
+ * @returns {Object}                     Constraints object of the iteration with the best coverage.
+ */
+function coverageGuidedConstraints(filePath, functionConstraints, iterations, options = {}) {
+
+    let best = null;
+
+    for( let iteration = 1; iteration <= iterations; iteration++ ) {
+
+        let coverage = measureBranchCoverage(filePath, enumerateTestCases(functionConstraints, options));
+        console.log(`Iteration ${iteration}: ${formatSummary(coverage)}`);
+
+        // Stop as soon as an iteration does not cover more branches than the best one,
+        // falling back to the constraints of the best iteration.
+        if( best !== null && coverage.covered <= best.coverage.covered ) {
+            return best.functionConstraints;
+        }
+        best = { coverage, functionConstraints: _.cloneDeep(functionConstraints) };
+
+        if( coverage.uncovered.length === 0 ) {
+            break;
+        }
+
+        targetUncoveredBranches(filePath, functionConstraints, coverage.uncovered);
+    }
+
+    return best ? best.functionConstraints : functionConstraints;
+}
+
+
+/**
+ * Run test cases against an instrumented copy of a file and collect its branch coverage.
+ *
+ * @param   {String}   filePath  Path of the file under test.
+ * @param   {Object[]} testCases Test cases as returned by `enumerateTestCases`.
+ * @returns {Object}             Coverage as `{ covered, total, uncovered }`, where uncovered
+ *                               lists the istanbul location of every branch arm never taken.
+ */
+function measureBranchCoverage(filePath, testCases) {
+
+    // Instrument and load a private copy of the subject, parsing any syntax node runs.
+    let instrumenter = createInstrumenter({ coverageVariable: coverageVariable });
+    let code = instrumenter.instrumentSync(commonJsSource(filePath), filePath);
+
+    global[coverageVariable] = {};
+    let subject = loadModule(filePath, code);
+
+    // Call sequences start from a fresh copy, which adds to the same coverage.
+    for( let testCase of testCases ) {
+        runTestCase(testCase.sequence ? loadModule(filePath, code).exports : subject.exports, testCase);
+    }
+
+    // Count taken and untaken branch arms.
+    let fileCoverage = global[coverageVariable][filePath];
+    delete global[coverageVariable];
+
+    let coverage = { covered: 0, total: 0, uncovered: [] };
+    _.forEach(fileCoverage.b, (counts, id) => {
+        let branch = fileCoverage.branchMap[id];
+        _.forEach(counts, (count, arm) => {
+            coverage.total++;
+            if( count > 0 ) {
+                coverage.covered++;
+            }
+            else {
+                // A missing else has no location of its own, it is located at its if.
+                let loc = _.get(branch.locations[arm], 'start.line') !== undefined ? branch.locations[arm] : branch.loc;
+                coverage.uncovered.push({ type: branch.type, loc: loc });
+            }
+        });
+    });
+    return coverage;
+}
+
+
+/**
+ * Add constraints derived from the conditions guarding uncovered branches.
+ *
+ * For each uncovered branch arm, the constraint handlers of `constraints` are
+ * run again over the condition of the branch and over the conditions of all
+ * enclosing branches, which draws new concrete values for them.
+ *
+ * @param {String}   filePath            Path of the file under test.
+ * @param {Object}   functionConstraints Constraints object to add to.
+ * @param {Object[]} uncovered           Uncovered branch arms as returned by `measureBranchCoverage`.
+ */
+function targetUncoveredBranches(filePath, functionConstraints, uncovered) {
+
+    let { buf, ast } = parseFile(filePath);
+    let exported = exportedFunctions(ast);
+
+    for( let branch of uncovered ) {
+
+        let ancestors = findAncestors(ast, branch.loc.start);
+        if( ancestors === null ) continue;
+
+        // Find the exported function containing the branch.
+        let func = _.findLast(ancestors, node => _.some(exported, { node }));
+        if( !func || !functionConstraints[_.find(exported, { node: func }).name] ) continue;
+        let funcName = _.find(exported, { node: func }).name;
+
+        // Collect the guarding conditions, from the branch itself outwards.
+        let guards = [];
+        for( let node of ancestors.slice(ancestors.indexOf(func)) ) {
+            if( node.type === 'IfStatement' || node.type === 'ConditionalExpression' ) {
+                guards.push(node.test);
+            }
+        }
+        if( branch.type === 'binary-expr' ) {
+            guards.push(_.last(ancestors));
+        }
+
+        // Extract constraints from the guards into a scratch entry, then merge new values.
+        // A guard within a nested function only constrains the parameters it does not redeclare.
+        let params  = functionConstraints[funcName].locals || functionConstraints[funcName].params;
+        let types   = functionConstraints[funcName].types;
+        let scratch = { [funcName]: { params, types, constraints: _.zipObject(params, _.map(params, () => [])) } };
+        for( let guard of guards ) {
+            let visible = params;
+            traverseScoped(func.body, params, (node, inScope) => {
+                if( node === guard ) visible = inScope;
+            });
+            traverseScoped(guard, visible, (child, inScope) => extractConstraints(child, buf, funcName, inScope, scratch));
+        }
+
+        for( let param of params ) {
+            let existing = functionConstraints[funcName].constraints[param];
+            for( let constraint of scratch[funcName].constraints[param] ) {
+                if( !_.some(existing, c => String(c.value) === String(constraint.value)) ) {
+                    existing.push(constraint);
+                }
+            }
+        }
+    }
+}
+
+
+/**
+ * Find the chain of nodes from the root down to the node starting at a location.
+ *
+ * @param   {Object}        root  Esprima node to search.
+ * @param   {Object}        start Location as `{ line, column }`.
+ * @returns {Object[]|null}       Nodes from the root to the found node, or null if there is none.
+ */
+function findAncestors(root, start) {
+
+    if( _.get(root, 'loc.start.line') === start.line && _.get(root, 'loc.start.column') === start.column && root.type !== 'Program' ) {
+        return [root];
+    }
+
+    for( let key in root ) {
+        let child = root[key];
+        if( key !== 'loc' && typeof child === 'object' && child !== null ) {
+            let found = findAncestors(child, start);
+            if( found !== null ) {
+                return child.type ? [root, ...found] : [root, ...found.slice(1)];
+            }
+        }
+    }
+    return null;
+}
+
+
+/**
+ * Format branch coverage as a one-line summary.
+ *
+ * @param   {Object} coverage Coverage as returned by `measureBranchCoverage`.
+ * @returns {String}          Summary text.
+ */
+function formatSummary(coverage) {
+    let percent = coverage.total === 0 ? 100 : _.round(100 * coverage.covered / coverage.total, 2);
+    return `branches ${coverage.covered}/${coverage.total} (${percent}%), ${coverage.uncovered.length} uncovered`;
+}
+
+
+// Export
+module.exports = coverageGuidedConstraints;
+module.exports.measureBranchCoverage = measureBranchCoverage;
+module.exports.targetUncoveredBranches = targetUncoveredBranches;
@@ -0,0 +1,255 @@
+// Core/NPM Modules
+const path    = require('path');
+const _       = require('lodash');
+
+
+// Local Modules
+const { enumerateTestCases }          = require('./testgenerator');
+const { settleTestCase, loadSubject } = require('./runner');
+const { defaultTimeout }              = require('./runner');
+
+
+
+// Names of the errors pointing at a bug in the function rather than at an input it rejects.
+const crashNames = ['TypeError', 'ReferenceError', 'RangeError'];
+
+// Argument values tried when minimizing a crashing input, simplest first.
+const simpleValues = ['undefined', 'null', '0', "''", 'false', '[]', '{}'];
+
+// Most calls made to minimize the input of a single crash.
+const maxAttempts = 200;
+
+
+/**
+ * Crash discovery. Run every generated test case, along with probes giving
+ * each argument of a few of them values of other types, since the
+ * discovered values mostly have the type the function expects, such as a
+ * string where a function calls a string method. Classify their outcomes as
+ * returned, threw an expected error, or crashed with a TypeError,
+ * ReferenceError or RangeError, and group the crashes by throw site: the
+ * name of the error and the location in the module where it was thrown,
+ * whichever exported function was called.
+ * The arguments of each crash are then minimized, starting from its
+ * shortest input and replacing one argument at a time by a simpler value
+ * as long as the call still crashes at the same site.
+ *
+ * Simple values stand for the other types: probes are made from the first
+ * test case of each function and from those reaching a path or a state.
+ *
+ * @param   {String}  filePath            Path of the module.
+ * @param   {Object}  functionConstraints Constraints object as returned by `constraints`.
+ * @param   {Object}  [options]           Combination options, see `enumerateTestCases`, and `timeout`.
+ * @returns {Promise}                     Findings as `{ outcomes, crashes }`, where outcomes counts the
+ *                                        returned, expected and crashed inputs by function name, and
+ *                                        crashes are `{ funcNames, name, message, site, frames, count, testCase }`
+ *                                        with the minimized test case, in order of discovery.
+ */
+async function findCrashes(filePath, functionConstraints, options = {}) {
+
+    let timeout = options.timeout !== undefined ? parseInt(options.timeout) : defaultTimeout;
+    let subject = loadSubject(filePath);
+    let run = testCase => settleTestCase(testCase.sequence ? loadSubject(filePath) : subject, testCase, timeout);
+
+    let outcomes = {}, crashes = {};
+    for( let testCase of withProbes(enumerateTestCases(functionConstraints, options)) ) {
+        let outcome = await run(testCase);
+        let kind = classifyOutcome(outcome);
+        _.update(outcomes, [testCase.funcName, kind], count => (count || 0) + 1);
+        if( kind !== 'crashed' ) {
+            continue;
+        }
+
+        // Keep the shortest input of each throw site.
+        let { site, frames } = throwSite(outcome.error, filePath);
+        let key = `${outcome.error.name} ${site}`;
+        if( !_.has(crashes, key) ) {
+            crashes[key] = { funcNames: [], name: outcome.error.name, message: outcome.error.message, site, frames, count: 0, testCase };
+        }
+        crashes[key].funcNames = _.union(crashes[key].funcNames, [testCase.funcName]);
+        crashes[key].count++;
+        if( testCase.args.length < crashes[key].testCase.args.length ) {
+            crashes[key].testCase = testCase;
+        }
+    }
+
+    // The message reported is the one of the minimized input.
+    for( let crash of _.values(crashes) ) {
+        crash.testCase = await minimize(crash, filePath, run);
+        crash.message = _.get(await run(crash.testCase), 'error.message', crash.message);
+    }
+    return { outcomes: _.mapValues(outcomes, counts => _.defaults(counts, { returned: 0, expected: 0, crashed: 0 })), crashes: _.values(crashes) };
+}
+
+
+/**
+ * Add probes to test cases: copies of the first test case of each function,
+ * and of those with a label, with one argument replaced by a simple value.
+ *
+ * @param   {Object[]} testCases Test cases as returned by `enumerateTestCases`.
+ * @returns {Object[]}           Test cases followed by the probes, without duplicates.
+ */
+function withProbes(testCases) {
+
+    let probes = [];
+    _.forEach(_.groupBy(testCases, 'funcName'), group => {
+        for( let testCase of _.filter(group, (testCase, i) => i === 0 || testCase.label) ) {
+            let values = argumentValues(testCase);
+            for( let i = 0; i < values.length; i++ ) {
+                probes.push(..._.map(_.without(simpleValues, values[i]), simple => withArguments(testCase, _.set([...values], i, simple))));
+            }
+        }
+    });
+    let key = testCase => JSON.stringify(_.pick(testCase, ['funcName', 'args', 'mockFs', 'instance', 'sequence']));
+    return _.uniqBy([...testCases, ...probes], key);
+}
+
+
+/**
+ * Values of the arguments of a test case, leaving out its callback.
+ *
+ * @param   {Object}   testCase Test case as returned by `enumerateTestCases`.
+ * @returns {String[]}          Sources of the arguments.
+ */
+function argumentValues(testCase) {
+    return testCase.callback ? _.initial(testCase.values) : [...testCase.values];
+}
+
+
+/**
+ * Copy of a test case with other arguments, keeping its callback.
+ *
+ * @param   {Object}   testCase Test case as returned by `enumerateTestCases`.
+ * @param   {String[]} values   Sources of the arguments, without the callback.
+ * @returns {Object}            Test case.
+ */
+function withArguments(testCase, values) {
+    return _.assign({}, testCase, { values: testCase.callback ? [...values, _.last(testCase.values)] : values, args: values.join(', ') });
+}
+
+
+/**
+ * Classify the outcome of a call.
+ *
+ * @param   {Object} outcome Outcome as returned by `settleTestCase`.
+ * @returns {String}         'returned' if it returned or resolved, 'crashed' if it threw or rejected
+ *                           with one of the crash errors, 'expected' if it threw anything else.
+ */
+function classifyOutcome(outcome) {
+    if( !outcome.threw ) {
+        return 'returned';
+    }
+    return _.includes(crashNames, _.get(outcome.error, 'name')) ? 'crashed' : 'expected';
+}
+
+
+/**
+ * Locate where an error was thrown from its stack: the frames within the
+ * module, innermost first, or the innermost frame of any file if none is.
+ *
+ * @param   {Error}  error    Error thrown.
+ * @param   {String} filePath Path of the module.
+ * @returns {Object}          Location as `{ site, frames }`, where site is `file:line:column` and frames
+ *                            are `{ func, site }`, with paths relative to the working directory.
+ */
+function throwSite(error, filePath) {
+
+    let resolved = path.resolve(filePath);
+    let frames = _.compact(_.map(String(_.get(error, 'stack', '')).split('\n'), line => {
+        let match = /^\s*at (?:(.*?) \()?(?:file:\/\/)?(.+):(\d+):(\d+)\)?$/.exec(line);
+        return match && { func: match[1] || '<anonymous>', file: match[2], line: match[3], column: match[4] };
+    }));
+
+    let own = _.filter(frames, frame => path.resolve(frame.file) === resolved);
+    let located = _.map(own.length > 0 ? own : _.take(frames, 1),
+        frame => ({ func: frame.func, site: `${path.relative('.', frame.file)}:${frame.line}:${frame.column}` }));
+    return { site: located.length > 0 ? located[0].site : '<unknown>', frames: located };
+}
+
+
+/**
+ * Minimize the input of a crash: every argument in turn is replaced by the
+ * simplest value that still crashes at the same site, then trailing
+ * undefined arguments are dropped while the crash reproduces.
+ *
+ * @param   {Object}   crash    Crash, see `findCrashes`.
+ * @param   {String}   filePath Path of the module.
+ * @param   {Function} run      Function running a test case and returning its outcome.
+ * @returns {Promise}           Minimized test case.
+ */
+async function minimize(crash, filePath, run) {
+
+    let attempts = 0;
+    let reproduces = async testCase => {
+        attempts++;
+        let outcome = await run(testCase);
+        return classifyOutcome(outcome) === 'crashed' && outcome.error.name === crash.name && throwSite(outcome.error, filePath).site === crash.site;
+    };
+
+    let testCase = crash.testCase;
+    let values = argumentValues(testCase);
+    let withValues = candidate => withArguments(testCase, candidate);
+
+    for( let i = 0; i < values.length && attempts < maxAttempts; i++ ) {
+        let simplest = _.includes(simpleValues, values[i]) ? _.takeWhile(simpleValues, value => value !== values[i]) : simpleValues;
+        for( let simpler of simplest ) {
+            let candidate = _.set([...values], i, simpler);
+            if( attempts < maxAttempts && await reproduces(withValues(candidate)) ) {
+                values = candidate;
+                break;
+            }
+        }
+    }
+
+    while( _.last(values) === 'undefined' && attempts < maxAttempts && await reproduces(withValues(_.initial(values))) ) {
+        values = _.initial(values);
+    }
+    return withValues(values);
+}
+
+
+/**
+ * Format the findings of `findCrashes` as a text report.
+ *
+ * @param   {String} filePath Path of the module.
+ * @param   {Object} findings Findings as returned by `findCrashes`.
+ * @returns {String}          Report text.
+ */
+function formatCrashes(filePath, findings) {
+
+    let totals = _.mergeWith({ returned: 0, expected: 0, crashed: 0 }, ..._.values(findings.outcomes), _.add);
+    let text = `${filePath}: ${totals.returned + totals.expected + totals.crashed} inputs, ${totals.returned} returned, `
+        + `${totals.expected} threw expected errors, ${totals.crashed} crashed\n`;
+
+    for( let funcName in findings.outcomes ) {
+        let counts = findings.outcomes[funcName];
+        text += `  ${funcName}: ${counts.returned} returned, ${counts.expected} expected, ${counts.crashed} crashed\n`;
+    }
+
+    if( findings.crashes.length === 0 ) {
+        return text + '\nNo crashes found.\n';
+    }
+
+    text += `\nCrashes (${findings.crashes.length} distinct throw sites):\n`;
+    for( let crash of findings.crashes ) {
+        let testCase = crash.testCase;
+        let sequence = testCase.sequence ? ` after ${_.map(testCase.sequence.calls, call => `${call.funcName}(${call.args})`).join(', ')}` : '';
+        let calls = testCase.instance ? _.map(testCase.instance.calls, call => `.${call.method}(${call.args})`).join('') : '';
+        let instance = testCase.instance ? ` on new ${testCase.member.classPath.join('.') || 'exports'}(${testCase.instance.args})${calls}` : '';
+
+        text += `\n  ${crash.name}: ${crash.message}\n`;
+        for( let frame of crash.frames ) {
+            text += `    at ${frame.func} (${frame.site})\n`;
+        }
+        text += `    calling ${crash.funcNames.join(', ')}\n`;
+        text += `    ${crash.count} ${crash.count === 1 ? 'input' : 'inputs'}, simplest: ${testCase.funcName}(${testCase.args})${instance}${sequence}`
+            + `${testCase.mockFs !== null ? ` with fs ${testCase.mockFs}` : ''}\n`;
+    }
+    return text;
+}
+
+
+// Export
+module.exports = findCrashes;
+module.exports.classifyOutcome = classifyOutcome;
+module.exports.throwSite = throwSite;
+module.exports.formatCrashes = formatCrashes;
@@ -0,0 +1,213 @@
+// Core/NPM Modules
+const Random  = require('random-js');
+const _       = require('lodash');
+
+
+// Local Modules
+const { engine }       = require('./random');
+const { walkFunction } = require('./ast');
+
+
+
+// String methods that return their receiver unchanged for the values we invert to.
+const identityMethods = ['toString', 'trim', 'valueOf'];
+
+
+/**
+ * Follow a local variable back to the parameter it derives from.
+ *
+ * Definitions are the variable declarations and plain assignments of the
+ * function. The one used for a read is the last definition before it in the
+ * source. Parameters are followed through their own reassignments, such as
+ * `phoneNumber = normalize(phoneNumber)`.
+ *
+ * @param   {String}      name     Name of the variable read.
+ * @param   {Number}      position Source offset of the read.
+ * @param   {Object}      funcNode Esprima node of the enclosing function.
+ * @param   {String[]}    params   Parameter names of the function.
+ * @returns {Object|null}          Derivation as `{ param, transforms }`, where transforms lists
+ *                                 the operations applied to the parameter, innermost first,
+ *                                 or null if the variable does not derive from a parameter.
+ */
+function derivation(name, position, funcNode, params) {
+    return derive({ type: 'Identifier', name: name, range: [position, position] }, definitions(funcNode), params, []);
+}
+
+
+/**
+ * Derive an expression from a parameter.
+ *
+ * @param   {Object}      node        Esprima expression node.
+ * @param   {Object[]}    defs        Definitions as `{ name, node, position }`, in source order.
+ * @param   {String[]}    params      Parameter names of the function.
+ * @param   {Object[]}    seen        Definitions already followed, to stop on cycles.
+ * @returns {Object|null}             Derivation as `{ param, transforms }`, or null.
+ */
+function derive(node, defs, params, seen) {
+
+    if( node.type === 'Identifier' ) {
+        let def = _.findLast(defs, d => d.name === node.name && d.position < node.range[0]);
+        if( def && !_.includes(seen, def) ) {
+            return derive(def.node, defs, params, [...seen, def]);
+        }
+        return _.includes(params, node.name) ? { param: node.name, transforms: [] } : null;
+    }
+
+    // Method calls on a derived value: substring, slice, concat, ...
+    if( node.type === 'CallExpression' && node.callee.type === 'MemberExpression' && !node.callee.computed ) {
+        let receiver = derive(node.callee.object, defs, params, seen);
+        if( receiver !== null ) {
+            let method = node.callee.property.name;
+            let args = _.map(node.arguments, arg => arg.type === 'Literal' ? arg.value : undefined);
+            return extendDerivation(receiver, { op: method, args: args });
+        }
+    }
+
+    // Calls passing a derived value: followed, but not invertible here.
+    if( node.type === 'CallExpression' ) {
+        for( let i = 0; i < node.arguments.length; i++ ) {
+            let argument = derive(node.arguments[i], defs, params, seen);
+            if( argument !== null ) {
+                let callee = node.callee.type === 'Identifier' ? node.callee.name : null;
+                return extendDerivation(argument, { op: 'call', callee: callee, argIndex: i, node: node });
+            }
+        }
+    }
+
+    // Arithmetic and concatenation with a constant.
+    if( node.type === 'BinaryExpression' && _.includes(['+', '-', '*'], node.operator) ) {
+        let left  = derive(node.left,  defs, params, seen);
+        let right = derive(node.right, defs, params, seen);
+        if( left !== null && node.right.type === 'Literal' ) {
+            return extendDerivation(left, { op: node.operator, constant: node.right.value, side: 'right' });
+        }
+        if( right !== null && node.left.type === 'Literal' ) {
+            return extendDerivation(right, { op: node.operator, constant: node.left.value, side: 'left' });
+        }
+    }
+
+    return null;
+}
+
+
+/**
+ * Add an operation to a derivation.
+ *
+ * @param   {Object} derived   Derivation as `{ param, transforms }`.
+ * @param   {Object} transform Operation applied to the derived value.
+ * @returns {Object}           Extended derivation.
+ */
+function extendDerivation(derived, transform) {
+    return { param: derived.param, transforms: [...derived.transforms, transform] };
+}
+
+
+/**
+ * Find a parameter value that the transforms of a derivation map to a target value.
+ *
+ * Supports substring/substr/slice with constant non-negative bounds, concat
+ * and `+` with constant strings, and `+`, `-`, `*` with constant numbers.
+ *
+ * @param   {*}      value      Target value of the derived variable.
+ * @param   {Object} derived    Derivation as returned by `derivation`.
+ * @returns {*}                 Parameter value, or undefined if some operation is not invertible.
+ */
+function invert(value, derived) {
+
+    for( let transform of _.reverse(_.clone(derived.transforms)) ) {
+        value = invertTransform(value, transform);
+        if( value === undefined ) {
+            return undefined;
+        }
+    }
+    return value;
+}
+
+
+/**
+ * Invert a single operation.
+ *
+ * @param   {*}      value     Result of the operation.
+ * @param   {Object} transform Operation as recorded by `derive`.
+ * @returns {*}                Operand producing the result, or undefined if there is none.
+ */
+function invertTransform(value, transform) {
+
+    let [start, end] = transform.args || [];
+
+    switch( transform.op ) {
+
+        case 'substring':
+        case 'slice':
+            if( !_.isString(value) || !_.isInteger(start) || start < 0 || (end !== undefined && (!_.isInteger(end) || end - start !== value.length)) ) {
+                return undefined;
+            }
+            return padding(start) + value + (end !== undefined ? padding(2) : '');
+
+        case 'substr':
+            if( !_.isString(value) || !_.isInteger(start) || start < 0 || (end !== undefined && end !== value.length) ) {
+                return undefined;
+            }
+            return padding(start) + value + (end !== undefined ? padding(2) : '');
+
+        case 'concat':
+            return _.isString(value) && _.isString(start) && _.endsWith(value, start) ? value.slice(0, value.length - start.length) : undefined;
+
+        case '+':
+            if( _.isString(transform.constant) ) {
+                if( !_.isString(value) ) return undefined;
+                if( transform.side === 'right' ) return _.endsWith(value, transform.constant) ? value.slice(0, value.length - transform.constant.length) : undefined;
+                return _.startsWith(value, transform.constant) ? value.slice(transform.constant.length) : undefined;
+            }
+            return _.isNumber(value) && _.isNumber(transform.constant) ? value - transform.constant : undefined;
+
+        case '-':
+            if( !_.isNumber(value) || !_.isNumber(transform.constant) ) return undefined;
+            return transform.side === 'right' ? value + transform.constant : transform.constant - value;
+
+        case '*':
+            if( !_.isNumber(value) || !_.isNumber(transform.constant) || transform.constant === 0 ) return undefined;
+            return value / transform.constant;
+    }
+
+    return _.includes(identityMethods, transform.op) ? value : undefined;
+}
+
+
+/**
+ * Random digits used to pad a string around an extracted part.
+ *
+ * @param   {Number} length Number of digits.
+ * @returns {String}        Digit string.
+ */
+function padding(length) {
+    return _.times(length, () => String(Random.integer(0, 9)(engine))).join('');
+}
+
+
+/**
+ * Variable declarations and plain assignments of a function, in source order.
+ * Nested functions are not searched.
+ *
+ * @param   {Object}   funcNode Esprima node of the function.
+ * @returns {Object[]}          Definitions as `{ name, node, position }`.
+ */
+function definitions(funcNode) {
+
+    let defs = [];
+    walkFunction(funcNode, node => {
+        if( node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init ) {
+            defs.push({ name: node.id.name, node: node.init, position: node.range[1] });
+        }
+        if( node.type === 'AssignmentExpression' && node.operator === '=' && node.left.type === 'Identifier' ) {
+            defs.push({ name: node.left.name, node: node.right, position: node.range[1] });
+        }
+    });
+
+    return _.sortBy(defs, 'position');
+}
+
+
+// Export
+module.exports = derivation;
+module.exports.invert = invert;
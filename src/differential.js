@@ -0,0 +1,234 @@
+// Core/NPM Modules
+const util    = require('util');
+const _       = require('lodash');
+
+
+// Local Modules
+const { enumerateTestCases } = require('./testgenerator');
+const { settleTestCase }     = require('./runner');
+const { loadSubject }        = require('./runner');
+const { resolveExport }      = require('./runner');
+const { defaultTimeout }     = require('./runner');
+
+
+
+/**
+ * Run the same generated inputs against two implementations of a module and
+ * collect every input where their behavior differs.
+ *
+ * The inputs are the union of the constraints found in both files, matched
+ * by function name and parameter position, so that constants only present
+ * in one of the implementations still produce inputs for both. Asynchronous
+ * calls are awaited on both sides, see `settleTestCase`. A function only one
+ * implementation exports has a single difference, `{ onlyIn }`, naming the
+ * side exporting it, 'left' or 'right'.
+ *
+ * @param   {String} leftPath         Path of the first implementation.
+ * @param   {String} rightPath        Path of the second implementation.
+ * @param   {Object} leftConstraints  Constraints object for the first implementation.
+ * @param   {Object} rightConstraints Constraints object for the second implementation.
+ * @param   {Object} [options]        Combination options, see `enumerateTestCases`, and `timeout`.
+ * @returns {Promise}                 Differences grouped by function name.
+ */
+async function differentialTest(leftPath, rightPath, leftConstraints, rightConstraints, options = {}) {
+
+    // Load both implementations.
+    let timeout = options.timeout !== undefined ? parseInt(options.timeout) : defaultTimeout;
+    let left  = loadSubject(leftPath);
+    let right = loadSubject(rightPath);
+
+    // Group differences by exported function.
+    let differences = {};
+
+    let functionConstraints = mergeConstraints(leftConstraints, rightConstraints);
+    for( let testCase of enumerateTestCases(functionConstraints, options) ) {
+
+        // Only compare functions both implementations export, and report the ones only one of them does.
+        let inLeft  = _.isFunction(resolveExport(left,  testCase.exportPath).func);
+        let inRight = _.isFunction(resolveExport(right, testCase.exportPath).func);
+        if( !inLeft || !inRight ) {
+            if( inLeft || inRight ) {
+                differences[testCase.funcName] = [{ onlyIn: inLeft ? 'left' : 'right' }];
+            }
+            continue;
+        }
+
+        // Call sequences start from fresh copies of both implementations.
+        let leftOutcome  = await settleTestCase(testCase.sequence ? loadSubject(leftPath)  : left,  testCase, timeout);
+        let rightOutcome = await settleTestCase(testCase.sequence ? loadSubject(rightPath) : right, testCase, timeout);
+
+        if( !sameOutcome(leftOutcome, rightOutcome) ) {
+            differences[testCase.funcName] = differences[testCase.funcName] || [];
+            differences[testCase.funcName].push({
+                args: testCase.args,
+                mockFs: testCase.mockFs,
+                instance: testCase.instance,
+                sequence: testCase.sequence,
+                left: leftOutcome,
+                right: rightOutcome
+            });
+        }
+    }
+
+    return differences;
+}
+
+
+/**
+ * Merge the constraints of two implementations. Parameters are matched by
+ * position, the parameter names of the first implementation are kept, and
+ * the instances methods are called on and the call sequences are those
+ * found in either one.
+ *
+ * @param   {Object} leftConstraints  Constraints object for the first implementation.
+ * @param   {Object} rightConstraints Constraints object for the second implementation.
+ * @returns {Object}                  Merged constraints object.
+ */
+function mergeConstraints(leftConstraints, rightConstraints) {
+
+    let merged = {};
+
+    for( let funcName of _.union(_.keys(leftConstraints), _.keys(rightConstraints)) ) {
+
+        let leftFunc  = leftConstraints[funcName];
+        let rightFunc = rightConstraints[funcName];
+        let params    = (leftFunc || rightFunc).params;
+
+        merged[funcName] = {
+            params: params,
+            exportPath: (leftFunc || rightFunc).exportPath,
+            constraints: _.zipObject(params, _.map(params, (p, i) => _.uniqBy([
+                ...(leftFunc  ? _.get(leftFunc.constraints,  leftFunc.params[i],  []) : []),
+                ...(rightFunc ? _.get(rightFunc.constraints, rightFunc.params[i], []) : [])
+            ], c => String(c.value)))),
+            paths: [
+                ...(leftFunc  ? renamePaths(leftFunc,  params) : []),
+                ...(rightFunc ? renamePaths(rightFunc, params) : [])
+            ],
+            callback: (leftFunc || rightFunc).callback
+        };
+        if( (leftFunc || rightFunc).member ) {
+            merged[funcName].member = (leftFunc || rightFunc).member;
+            merged[funcName].setups = _.uniqWith([..._.get(leftFunc, 'setups', []), ..._.get(rightFunc, 'setups', [])], _.isEqual);
+        }
+        if( _.get(leftFunc, 'sequences') || _.get(rightFunc, 'sequences') ) {
+            merged[funcName].sequences = _.uniqWith([..._.get(leftFunc, 'sequences', []), ..._.get(rightFunc, 'sequences', [])], _.isEqual);
+        }
+    }
+
+    return merged;
+}
+
+
+/**
+ * Rename the parameters in the path values of a function by position.
+ *
+ * @param   {Object}   func   Constraints of the function.
+ * @param   {String[]} params Parameter names to use.
+ * @returns {Object[]}        Paths with renamed values.
+ */
+function renamePaths(func, params) {
+    return _.map(func.paths || [], path => ({
+        conditions: path.conditions,
+        values: _.mapKeys(path.values, (value, param) => params[func.params.indexOf(param)])
+    }));
+}
+
+
+/**
+ * Whether or not two outcomes recorded by `settleTestCase` are the same.
+ * Asynchronous calls must have settled the same way, thrown errors are
+ * compared by type and message, and instances of classes of the same name
+ * by their own fields, since each implementation has its own classes.
+ *
+ * @param   {Object}  a First outcome.
+ * @param   {Object}  b Second outcome.
+ * @returns {Boolean}   True if both returned equal values or threw equal errors.
+ */
+function sameOutcome(a, b) {
+    if( a.threw !== b.threw || a.settled !== b.settled ) return false;
+    if( a.threw ) {
+        return _.get(a.error, 'name') === _.get(b.error, 'name') && _.get(a.error, 'message') === _.get(b.error, 'message');
+    }
+    return _.isEqualWith(a.value, b.value, sameInstance);
+}
+
+
+/**
+ * Compare instances of distinct classes of the same name by their own fields,
+ * as a customizer of `_.isEqualWith`.
+ *
+ * @param   {*}              a First value.
+ * @param   {*}              b Second value.
+ * @returns {Boolean|undefined}  Whether or not both instances are equal, or undefined for other values.
+ */
+function sameInstance(a, b) {
+    if( _.isObject(a) && _.isObject(b) && !_.isFunction(a) && a.constructor !== b.constructor
+        && _.get(a, 'constructor.name') === _.get(b, 'constructor.name') ) {
+        return _.isEqualWith(_.assign({}, a), _.assign({}, b), sameInstance);
+    }
+    return undefined;
+}
+
+
+/**
+ * Describe an outcome recorded by `settleTestCase` in one line.
+ *
+ * @param   {Object} outcome Outcome to describe.
+ * @returns {String}         Human readable outcome.
+ */
+function describeOutcome(outcome) {
+    if( outcome.settled === 'pending' ) {
+        return 'did not settle';
+    }
+    if( outcome.settled !== undefined ) {
+        return outcome.threw
+            ? `rejected with ${_.get(outcome.error, 'name', 'value')}: ${_.get(outcome.error, 'message', util.inspect(outcome.error))}`
+            : `resolved to ${util.inspect(outcome.value)}`;
+    }
+    if( outcome.threw ) {
+        return `threw ${_.get(outcome.error, 'name', 'value')}: ${_.get(outcome.error, 'message', util.inspect(outcome.error))}`;
+    }
+    return `returned ${util.inspect(outcome.value)}`;
+}
+
+
+/**
+ * Format the differences found by `differentialTest` as a text report.
+ *
+ * @param   {String} leftPath    Path of the first implementation.
+ * @param   {String} rightPath   Path of the second implementation.
+ * @param   {Object} differences Differences as returned by `differentialTest`.
+ * @returns {String}             Report text.
+ */
+function formatReport(leftPath, rightPath, differences) {
+
+    let funcNames = _.keys(differences);
+    if( funcNames.length === 0 ) {
+        return `No behavioral differences found between ${leftPath} and ${rightPath}.\n`;
+    }
+
+    let report = `Behavioral differences between ${leftPath} and ${rightPath}:\n`;
+    for( let funcName of funcNames ) {
+        let onlyIn = differences[funcName][0].onlyIn;
+        if( onlyIn !== undefined ) {
+            report += `\n${funcName}: only in ${onlyIn === 'left' ? leftPath : rightPath}\n`;
+            continue;
+        }
+        report += `\n${funcName} (${differences[funcName].length} differing inputs)\n`;
+        for( let difference of differences[funcName] ) {
+            let calls = difference.instance ? _.map(difference.instance.calls, call => `.${call.method}(${call.args})`).join('') : '';
+            let instance = difference.instance ? ` on new ${funcName.slice(0, funcName.lastIndexOf('#'))}(${difference.instance.args})${calls}` : '';
+            let sequence = difference.sequence ? ` after ${_.map(difference.sequence.calls, call => `${call.funcName}(${call.args})`).join(', ')}` : '';
+            report += `  ${funcName}(${difference.args})${instance}${sequence}${difference.mockFs !== null ? ` with fs ${difference.mockFs}` : ''}\n`;
+            report += `    ${leftPath}: ${describeOutcome(difference.left)}\n`;
+            report += `    ${rightPath}: ${describeOutcome(difference.right)}\n`;
+        }
+    }
+    return report;
+}
+
+
+// Export
+module.exports = differentialTest;
+module.exports.formatReport = formatReport;
@@ -0,0 +1,90 @@
+// Core/NPM Modules
+const path    = require('path');
+const url     = require('url');
+const _       = require('lodash');
+
+
+// Local Modules
+const toSource = require('../source');
+
+
+
+/**
+ * Indent every non-empty line of a source fragment.
+ *
+ * @param   {String} source Source fragment.
+ * @param   {Number} width  Number of spaces.
+ * @returns {String}        Indented source.
+ */
+function indent(source, width) {
+    return source.split('\n').map(line => line && _.repeat(' ', width) + line).join('\n');
+}
+
+
+/**
+ * Wrap statements so that they run with the file system mocked by a layout,
+ * restoring the real file system whatever happens.
+ *
+ * @param   {String}      statement Source of the statements.
+ * @param   {String|null} mockFs    Source of the layout, or null to run the statement as is.
+ * @returns {String}                Source of the statements.
+ */
+function withMockFs(statement, mockFs) {
+    if( mockFs === null ) {
+        return statement;
+    }
+    return `mock(${mockFs});\ntry {\n${indent(statement, 4)}\n}\nfinally {\n    mock.restore();\n}`;
+}
+
+
+/**
+ * Source of the dynamic import of an ES module subject, by file URL.
+ *
+ * @param   {String} subjectPath Path of the subject.
+ * @param   {String} [query]     Query of the URL, to import a fresh copy of the subject.
+ * @returns {String}             Source of the import expression.
+ */
+function importSource(subjectPath, query) {
+    let href = url.pathToFileURL(path.resolve(subjectPath)).href;
+    return `import(${toSource(query !== undefined ? `${href}?${query}` : href)})`;
+}
+
+
+/**
+ * Source of an expression evaluating to a fresh copy of the subject, loaded
+ * again from node's module cache, or imported under a new URL for ES modules.
+ *
+ * @param   {String} subjectPath Path of the subject.
+ * @param   {Object} context     Context of the test file, see `emitters`.
+ * @param   {Number} key         Number of the copy, distinct for every copy in the test file.
+ * @returns {String}             Source of the expression, awaited for ES modules.
+ */
+function reloadSource(subjectPath, context, key) {
+    if( context.esm ) {
+        return `await ${importSource(subjectPath, `sequence=${key}`)}`;
+    }
+    return `(delete require.cache[require.resolve(${toSource(subjectPath)})], require(${toSource(subjectPath)}))`;
+}
+
+
+/**
+ * Assertions written with the assert module of node.
+ */
+const nodeAssertions = {
+    assertEqual: (call, expected) => `assert.deepStrictEqual(${call}, ${expected});`,
+    assertThrows: (call, name, message) => name !== undefined
+        ? `assert.throws(() => ${call}, { name: ${toSource(name)}, message: ${toSource(message)} });`
+        : `assert.throws(() => ${call});`,
+    assertResolves: (call, expected) => `assert.deepStrictEqual(await ${call}, ${expected});`,
+    assertRejects: (call, name, message) => name !== undefined
+        ? `await assert.rejects(${call}, { name: ${toSource(name)}, message: ${toSource(message)} });`
+        : `await assert.rejects(${call});`
+};
+
+
+// Export
+module.exports.indent = indent;
+module.exports.withMockFs = withMockFs;
+module.exports.importSource = importSource;
+module.exports.reloadSource = reloadSource;
+module.exports.nodeAssertions = nodeAssertions;
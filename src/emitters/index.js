@@ -0,0 +1,63 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+// Local Modules
+const mocha    = require('./mocha');
+const jest     = require('./jest');
+const nodeTest = require('./node-test');
+const tap      = require('./tap');
+
+
+
+/**
+ * Emitters by name. An emitter writes test cases in the format of a test
+ * runner, and is an object with the following methods, each returning source:
+ *
+ *   header(subjectPath, context) Requires of the test file, where context is `{ mocksFs, esm }`:
+ *                                whether some test case mocks the file system, and whether the
+ *                                subject is an ES module, to be loaded with a dynamic import.
+ *   suite(title, tests)          Group of the tests of a function, from the sources of the tests.
+ *   test(title, statement, mockFs, timeout)
+ *                                Single test running a statement, with the file system mocked by the
+ *                                layout source if not null. Layouts are mock-fs object literals. If a
+ *                                timeout in milliseconds is given, the statement may await and the
+ *                                test fails if it takes longer.
+ *   footer(context)              End of the test file.
+ *   reload(subjectPath, context, key)
+ *                                Expression evaluating to a fresh copy of the subject, possibly awaited,
+ *                                where key is distinct for every copy in the file.
+ *   assertEqual(call, expected)  Assertion that a call returns a value deeply equal to the expected source.
+ *   assertThrows(call, name, message, code)
+ *                                Assertion that a call throws, an error of the given built-in type and
+ *                                message if they are not undefined. Errors of the system, such as the
+ *                                ones of fs, also have a code, which identifies them on its own.
+ *   assertResolves(call, expected)
+ *                                Awaited assertion that a promise resolves to a value deeply equal to the expected source.
+ *   assertRejects(call, name, message, code)
+ *                                Awaited assertion that a promise rejects, as assertThrows.
+ */
+const emitters = { mocha: mocha, jest: jest, 'node-test': nodeTest, tap: tap };
+
+// Names of the emitters.
+const emitterNames = _.keys(emitters);
+
+
+/**
+ * Look up an emitter by name.
+ *
+ * @param   {String} [name] Name of the emitter, mocha by default.
+ * @returns {Object}        Emitter.
+ * @throws  {Error}         If there is no emitter of that name.
+ */
+function emitter(name = 'mocha') {
+    if( !_.has(emitters, name) ) {
+        throw new Error(`Unknown emitter '${name}', expected one of ${emitterNames.join(', ')}`);
+    }
+    return emitters[name];
+}
+
+
+// Export
+module.exports = emitter;
+module.exports.emitterNames = emitterNames;
@@ -0,0 +1,107 @@
+// Local Modules
+const toSource               = require('../source');
+const { indent, withMockFs } = require('./common');
+const { importSource }       = require('./common');
+const { reloadSource }       = require('./common');
+
+
+
+// Replacement of fs used when some test case mocks the file system: jest
+// swaps fs for an in-memory one from memfs, and `mock` builds mock-fs style
+// layouts in it, so that layouts read the same in every emitter. Like mock-fs,
+// it lets root read and write whatever the modes of the layout say.
+const fsMock = `
+jest.mock('fs', () => require('memfs').fs);
+const fs = require('fs');
+const path = require('path');
+const { vol } = require('memfs');
+
+const mock = layout => {
+    vol.reset();
+    fs.mkdirSync(process.cwd(), { recursive: true });
+    create(process.cwd(), layout);
+};
+mock.file = options => Object.assign({ type: 'file' }, options);
+mock.directory = options => Object.assign({ type: 'directory' }, options);
+mock.symlink = options => Object.assign({ type: 'symlink' }, options);
+mock.restore = () => vol.reset();
+
+const create = (dir, items) => {
+    for (let name in items) {
+        let item = typeof items[name] === 'string' ? mock.file({ content: items[name] }) : items[name];
+        let target = path.join(dir, name);
+        if (item.type === 'directory') {
+            fs.mkdirSync(target);
+            create(target, item.items || {});
+        }
+        else if (item.type === 'symlink') {
+            fs.symlinkSync(item.path, target);
+        }
+        else {
+            fs.writeFileSync(target, item.content || '');
+        }
+        if (item.mode !== undefined && !(process.getuid && process.getuid() === 0)) {
+            fs.chmodSync(target, item.mode);
+        }
+    }
+};
+`;
+
+
+/**
+ * Source of the error a Jest assertion expects: an error of the given type and
+ * message, or of the given type and code if there is one.
+ *
+ * @param   {String} name    Name of the built-in error type.
+ * @param   {String} message Message of the error.
+ * @param   {String} [code]  Code of the error, for errors of the system.
+ * @returns {String}         Source of the expected error.
+ */
+function expectedError(name, message, code) {
+    if( code !== undefined ) {
+        return `expect.objectContaining({ name: ${toSource(name)}, code: ${toSource(code)} })`;
+    }
+    return `new ${name}(${toSource(message)})`;
+}
+
+
+/**
+ * Emitter of Jest test files, mocking the file system with jest's module
+ * mocks and memfs.
+ */
+module.exports = {
+
+    header: (subjectPath, context) =>
+        (context.mocksFs ? fsMock : '')
+        + (context.esm
+            ? `let subject;\nbeforeAll(async () => { subject = await ${importSource(subjectPath)}; });\n`
+            : `const subject = require(${toSource(subjectPath)});\n`),
+
+    suite: (title, tests) =>
+        `\n\ndescribe(${toSource(title)}, () => {\n${tests.map(test => `\n${indent(test, 4)}\n`).join('')}\n});\n`,
+
+    test: (title, statement, mockFs, timeout) => timeout !== undefined
+        ? `test(${toSource(title)}, async () => {\n${indent(withMockFs(statement, mockFs), 4)}\n}, ${timeout});`
+        : `test(${toSource(title)}, () => {\n${indent(withMockFs(statement, mockFs), 4)}\n});`,
+
+    footer: () => '',
+
+    // jest keeps its own module registry, fresh copies come from an isolated one.
+    reload: (subjectPath, context, key) => context.esm
+        ? reloadSource(subjectPath, context, key)
+        : `(() => { let fresh; jest.isolateModules(() => { fresh = require(${toSource(subjectPath)}); }); return fresh; })()`,
+
+    assertEqual: (call, expected) => `expect(${call}).toEqual(${expected});`,
+
+    // memfs words the messages of its errors unlike fs does, errors with a code
+    // are told apart by their code.
+    assertThrows: (call, name, message, code) => name !== undefined
+        ? `expect(() => ${call}).toThrow(${expectedError(name, message, code)});`
+        : `expect(() => ${call}).toThrow();`,
+
+    assertResolves: (call, expected) => `await expect(${call}).resolves.toEqual(${expected});`,
+
+    assertRejects: (call, name, message, code) => name !== undefined
+        ? `await expect(${call}).rejects.toThrow(${expectedError(name, message, code)});`
+        : `await expect(${call}).rejects.toThrow();`
+};
@@ -0,0 +1,44 @@
+// Local Modules
+const toSource               = require('../source');
+const { indent, withMockFs } = require('./common');
+const { importSource }       = require('./common');
+const { reloadSource }       = require('./common');
+
+
+
+/**
+ * Emitter of mocha test files asserting with chai, mocking the file system with mock-fs.
+ */
+module.exports = {
+
+    header: (subjectPath, context) =>
+        (context.esm
+            ? `let subject;\nbefore(async function() { subject = await ${importSource(subjectPath)}; });\n`
+            : `let subject = require('${subjectPath}');\n`)
+        + (context.mocksFs ? "let mock = require('mock-fs');\n" : '')
+        + "let assert = require('chai').assert;\n",
+
+    suite: (title, tests) =>
+        `\n\ndescribe(${toSource(title)}, function() {\n${tests.map(test => `\n${indent(test, 4)}\n`).join('')}\n});\n`,
+
+    test: (title, statement, mockFs, timeout) => timeout !== undefined
+        ? `it(${toSource(title)}, async function() {\n    this.timeout(${timeout});\n${indent(withMockFs(statement, mockFs), 4)}\n});`
+        : `it(${toSource(title)}, function() {\n${indent(withMockFs(statement, mockFs), 4)}\n});`,
+
+    footer: () => '',
+
+    reload: reloadSource,
+
+    assertEqual: (call, expected) => `assert.deepEqual(${call}, ${expected});`,
+
+    assertThrows: (call, name, message) => name !== undefined
+        ? `assert.throws(() => ${call}, ${name}, ${toSource(message)});`
+        : `assert.throws(() => ${call});`,
+
+    assertResolves: (call, expected) => `assert.deepEqual(await ${call}, ${expected});`,
+
+    // chai has no assertions on promises, rejections are rethrown for assert.throws.
+    assertRejects: (call, name, message) => name !== undefined
+        ? `await ${call}.then(() => assert.fail('Expected a rejection'), error => assert.throws(() => { throw error; }, ${name}, ${toSource(message)}));`
+        : `await ${call}.then(() => assert.fail('Expected a rejection'), () => {});`
+};
@@ -0,0 +1,38 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+// Local Modules
+const toSource                               = require('../source');
+const { indent, withMockFs, nodeAssertions } = require('./common');
+const { importSource }                       = require('./common');
+const { reloadSource }                       = require('./common');
+
+
+
+/**
+ * Emitter of test files for the built-in test runner of node (`node --test`),
+ * mocking the file system with mock-fs.
+ */
+module.exports = _.assign({
+
+    header: (subjectPath, context) =>
+        `const { describe, it${context.esm ? ', before' : ''} } = require('node:test');\n`
+        + "const assert = require('node:assert');\n"
+        + (context.mocksFs ? "const mock = require('mock-fs');\n" : '')
+        + (context.esm
+            ? `let subject;\nbefore(async () => { subject = await ${importSource(subjectPath)}; });\n`
+            : `const subject = require(${toSource(subjectPath)});\n`),
+
+    suite: (title, tests) =>
+        `\n\ndescribe(${toSource(title)}, () => {\n${tests.map(test => `\n${indent(test, 4)}\n`).join('')}\n});\n`,
+
+    test: (title, statement, mockFs, timeout) => timeout !== undefined
+        ? `it(${toSource(title)}, { timeout: ${timeout} }, async () => {\n${indent(withMockFs(statement, mockFs), 4)}\n});`
+        : `it(${toSource(title)}, () => {\n${indent(withMockFs(statement, mockFs), 4)}\n});`,
+
+    footer: () => '',
+
+    reload: reloadSource
+
+}, nodeAssertions);
@@ -0,0 +1,62 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+// Local Modules
+const toSource                               = require('../source');
+const { indent, withMockFs, nodeAssertions } = require('./common');
+const { importSource }                       = require('./common');
+const { reloadSource }                       = require('./common');
+
+
+
+// Runner appended to TAP scripts: runs the declared tests in order, awaiting
+// asynchronous ones within their timeout, and reports them.
+const runner = `console.log('TAP version 13');
+console.log(\`1..\${tests.length}\`);
+(async () => {
+    for (let [index, { title, run, timeout }] of tests.entries()) {
+        try {
+            await (timeout === undefined ? run() : Promise.race([run(), new Promise((resolve, reject) =>
+                setTimeout(() => reject(new Error(\`Timed out after \${timeout} ms\`)), timeout).unref())]));
+            console.log(\`ok \${index + 1} - \${title}\`);
+        }
+        catch (e) {
+            process.exitCode = 1;
+            console.log(\`not ok \${index + 1} - \${title}\`);
+            console.log(String(e.stack || e).split('\\n').map(line => \`  # \${line}\`).join('\\n'));
+        }
+    }
+})();`;
+
+
+/**
+ * Emitter of plain node scripts printing their results in the Test Anything
+ * Protocol, mocking the file system with mock-fs.
+ */
+module.exports = _.assign({
+
+    header: (subjectPath, context) =>
+        "const assert = require('assert');\n"
+        + (context.mocksFs ? "const mock = require('mock-fs');\n" : '')
+        + (context.esm
+            ? `let subject;\nconst loading = ${importSource(subjectPath)};\n`
+            : `const subject = require(${toSource(subjectPath)});\n`)
+        + '\n// Tests, run in order once they are all declared.\n'
+        + 'const tests = [];\n'
+        + 'const test = (title, run, timeout) => tests.push({ title, run, timeout });\n',
+
+    suite: (title, tests) =>
+        `\n\n// ${title}\n${tests.map(test => `\n${test}\n`).join('')}`,
+
+    test: (title, statement, mockFs, timeout) => timeout !== undefined
+        ? `test(${toSource(title)}, async () => {\n${indent(withMockFs(statement, mockFs), 4)}\n}, ${timeout});`
+        : `test(${toSource(title)}, () => {\n${indent(withMockFs(statement, mockFs), 4)}\n});`,
+
+    footer: context => context.esm
+        ? `\n\nloading.then(loaded => {\n    subject = loaded;\n${indent(runner, 4)}\n});\n`
+        : `\n\n${runner}\n`,
+
+    reload: reloadSource
+
+}, nodeAssertions);
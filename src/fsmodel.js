@@ -0,0 +1,152 @@
+// Core/NPM Modules
+const crypto  = require('crypto');
+const _       = require('lodash');
+
+
+// Local Modules
+const { isFsCall } = require('./types');
+const toSource     = require('./source');
+
+
+
+// States a path argument can be in: the path it is mocked at, the mock-fs
+// entry created for the first segment of the path (none for a missing path)
+// and a short description.
+const states = {
+    missing:        { path: 'missing',          label: 'missing path' },
+    file:           { path: 'file',             label: 'file',                        entry: "mock.file({ content: 'abc' })" },
+    emptyFile:      { path: 'emptyFile',        label: 'empty file',                  entry: "mock.file({ content: '' })" },
+    unreadableFile: { path: 'unreadableFile',   label: 'unreadable file',             entry: "mock.file({ content: 'abc', mode: 0 })" },
+    emptyDir:       { path: 'emptyDir',         label: 'empty directory',             entry: 'mock.directory()' },
+    populatedDir:   { path: 'populatedDir',     label: 'populated directory',         entry: "mock.directory({ items: { file: 'abc' } })" },
+    unreadableDir:  { path: 'unreadableDir',    label: 'unreadable directory',        entry: "mock.directory({ mode: 0, items: { file: 'abc' } })" },
+    readOnlyDir:    { path: 'readOnlyDir/file', label: 'file in read-only directory', entry: 'mock.directory({ mode: 0o555 })' },
+    symlink:        { path: 'symlink',          label: 'symbolic link',               entry: "mock.symlink({ path: 'file' })", requires: ['file'] }
+};
+
+// States worth trying for a path, by the operation applied to it.
+const statesByOperation = {
+    exists:     ['missing', 'file', 'emptyDir'],
+    access:     ['missing', 'file', 'unreadableFile'],
+    stat:       ['missing', 'file', 'emptyDir'],
+    lstat:      ['missing', 'file', 'symlink'],
+    readFile:   ['missing', 'file', 'emptyFile', 'unreadableFile', 'emptyDir'],
+    readdir:    ['missing', 'emptyDir', 'populatedDir', 'unreadableDir', 'file'],
+    writeFile:  ['missing', 'file', 'readOnlyDir', 'emptyDir'],
+    mkdir:      ['missing', 'emptyDir', 'file'],
+    rmdir:      ['missing', 'emptyDir', 'populatedDir'],
+    unlink:     ['missing', 'file', 'emptyDir']
+};
+
+// Operations of the fs methods that do not share the name of their operation.
+const operationAliases = {
+    appendFile: 'writeFile', createWriteStream: 'writeFile', truncate: 'writeFile',
+    createReadStream: 'readFile', open: 'readFile',
+    opendir: 'readdir', realpath: 'stat', rm: 'unlink'
+};
+
+// Methods taking a second path, and the operation applied to it.
+const destinationOperations = { rename: 'writeFile', copyFile: 'writeFile', link: 'writeFile', symlink: 'writeFile' };
+
+
+/**
+ * Find the parameters a call passes as paths to an fs method, in its
+ * synchronous, callback or `fs.promises` form.
+ *
+ * @param   {Object}   node   Esprima node.
+ * @param   {String[]} params Parameter names of the function.
+ * @returns {Object[]}        Path arguments as `{ ident, operation }`, empty if the node is not an fs call.
+ */
+function fsCalls(node, params) {
+
+    if( _.get(node, 'type') !== 'CallExpression' || !isFsCall(node) ) {
+        return [];
+    }
+
+    let method = node.callee.property.name.replace(/Sync$/, '');
+    let operation = operationAliases[method] || method;
+    let paths = [{ argument: node.arguments[0], operation: operation }];
+    if( _.has(destinationOperations, method) ) {
+        paths.push({ argument: node.arguments[1], operation: destinationOperations[method] });
+    }
+
+    return _.map(_.filter(paths, p => _.get(p.argument, 'type') === 'Identifier' && _.includes(params, p.argument.name)),
+        p => ({ ident: p.argument.name, operation: p.operation }));
+}
+
+
+/**
+ * States worth trying for a path an operation is applied to.
+ *
+ * @param   {String}   operation Operation as returned by `fsCalls`.
+ * @returns {String[]}           State names.
+ */
+function pathStates(operation) {
+    return statesByOperation[operation] || statesByOperation.exists;
+}
+
+
+/**
+ * Layout of a path argument: a state, or a file with given contents.
+ *
+ * @param   {String} state     State name.
+ * @param   {String} [content] Contents of the file, for files whose contents matter.
+ * @returns {Object}           Layout as `{ state, path, content }`, where path is the path the argument refers to.
+ */
+function pathLayout(state, content) {
+    if( content === undefined ) {
+        return { state: state, path: states[state].path, content: undefined };
+    }
+    let digest = crypto.createHash('sha1').update(content).digest('hex').slice(0, 6);
+    return { state: state, path: `file_${digest}`, content: content };
+}
+
+
+/**
+ * Source of the path argument of a layout.
+ *
+ * @param   {Object} layout Layout as returned by `pathLayout`.
+ * @returns {String}        Source of the path string.
+ */
+function stateValue(layout) {
+    return toSource(layout.path);
+}
+
+
+/**
+ * Short description of a layout, for test titles.
+ *
+ * @param   {Object} layout Layout as returned by `pathLayout`.
+ * @returns {String}        Description.
+ */
+function stateLabel(layout) {
+    if( layout.content !== undefined ) {
+        return layout.content === '' ? 'empty file' : `file containing '${_.truncate(layout.content, { length: 24 })}'`;
+    }
+    return states[layout.state].label;
+}
+
+
+/**
+ * Build the mock-fs layout creating the paths of some layouts, and nothing else.
+ *
+ * @param   {Object[]} layouts Layouts of the path arguments of a call, as returned by `pathLayout`.
+ * @returns {String}           Source of the object literal to pass to mock-fs.
+ */
+function mockFsLayout(layouts) {
+    let needed = _.uniqBy(_.flatMap(layouts, layout => [layout, ..._.map(states[layout.state].requires, state => pathLayout(state))]), 'path');
+    let entries = _.sortBy(_.compact(_.map(needed, layout => {
+        let entry = layout.content !== undefined ? `mock.file({ content: ${toSource(layout.content)} })` : states[layout.state].entry;
+        return entry && { key: layout.path.split('/')[0], entry: entry };
+    })), 'key');
+    return `{${_.map(entries, e => ` ${e.key}: ${e.entry}`).join(',')}${entries.length > 0 ? ' ' : ''}}`;
+}
+
+
+// Export
+module.exports = fsCalls;
+module.exports.pathStates = pathStates;
+module.exports.pathLayout = pathLayout;
+module.exports.stateValue = stateValue;
+module.exports.stateLabel = stateLabel;
+module.exports.mockFsLayout = mockFsLayout;
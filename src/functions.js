@@ -0,0 +1,198 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+
+// Node types of function definitions.
+const functionTypes = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+
+/**
+ * Discover the functions a module exports, along with the path under which
+ * each one is reachable from the module's exports.
+ *
+ * Recognizes `exports.foo = ...`, `module.exports.foo = ...` and
+ * `module.exports = ...` assignments at the top level of the module, and the
+ * `export` declarations of ES modules (the default export under `default`), where
+ * the assigned value is a function expression, an arrow function, an object
+ * literal (whose methods and function-valued properties are exported under
+ * the object's path), a class or an identifier referring to a top-level
+ * function declaration, class declaration, function-valued variable or object literal.
+ *
+ * A class exports its constructor, named after the class, its instance
+ * methods, named `Class#method`, and its static methods, named `Class.method`
+ * and exported under the path of the class. Getters and setters are left out.
+ *
+ * Functions that are not reachable from the exports are not returned.
+ *
+ * @param   {Object}   ast Esprima program node.
+ * @returns {Object[]}     Exported functions as `{ name, exportPath, node, member }`, where name is
+ *                         the export path joined with dots (or the function's own name when
+ *                         the module exports a single function). Constructors and instance methods
+ *                         have the export path of their class, and a member describing them as
+ *                         `{ kind: 'constructor'|'method', classPath, name, classNode }`.
+ */
+function exportedFunctions(ast) {
+
+    // Collect top-level definitions that exports may refer to by name.
+    let definitions = {};
+    for( let statement of _.map(ast.body, unwrapExport) ) {
+        if( _.includes(['FunctionDeclaration', 'ClassDeclaration'], statement.type) && statement.id ) {
+            definitions[statement.id.name] = statement;
+        }
+        if( statement.type === 'VariableDeclaration' ) {
+            for( let declarator of statement.declarations ) {
+                if( declarator.id.type === 'Identifier' && declarator.init ) {
+                    definitions[declarator.id.name] = declarator.init;
+                }
+            }
+        }
+    }
+
+    // Resolve every export assignment to the functions it exposes.
+    let exported = [];
+    for( let statement of ast.body ) {
+        let assignment = statement.type === 'ExpressionStatement' ? statement.expression : null;
+        if( !assignment || assignment.type !== 'AssignmentExpression' || assignment.operator !== '=' ) {
+            continue;
+        }
+
+        // Assigning to the exports identifier itself does not export anything.
+        let exportPath = assignment.left.type === 'Identifier' ? null : exportTarget(assignment.left);
+        if( exportPath !== null ) {
+            resolve(assignment.right, exportPath, definitions, exported, []);
+        }
+    }
+
+    // Resolve ES module export declarations, named after the name they are exported under.
+    for( let statement of ast.body ) {
+        if( statement.type === 'ExportDefaultDeclaration' ) {
+            resolve(statement.declaration, ['default'], definitions, exported, []);
+        }
+        if( statement.type === 'ExportNamedDeclaration' && statement.declaration ) {
+            let declaration = statement.declaration;
+            let declarators = declaration.type === 'VariableDeclaration' ? declaration.declarations : [{ id: declaration.id, init: declaration }];
+            for( let declarator of _.filter(declarators, d => _.get(d, 'id.type') === 'Identifier') ) {
+                resolve(declarator.init, [declarator.id.name], definitions, exported, []);
+            }
+        }
+        if( statement.type === 'ExportNamedDeclaration' && !statement.declaration && !statement.source ) {
+            for( let specifier of statement.specifiers ) {
+                let name = specifier.exported.type === 'Literal' ? String(specifier.exported.value) : specifier.exported.name;
+                resolve(specifier.local, [name], definitions, exported, []);
+            }
+        }
+    }
+
+    return _.uniqBy(exported, 'name');
+}
+
+
+/**
+ * Declaration exported by an export declaration, or the statement itself.
+ *
+ * @param   {Object} statement Top-level statement.
+ * @returns {Object}           Exported declaration, or the statement.
+ */
+function unwrapExport(statement) {
+    return _.includes(['ExportNamedDeclaration', 'ExportDefaultDeclaration'], statement.type) && statement.declaration ? statement.declaration : statement;
+}
+
+
+/**
+ * Path within the module's exports that an assignment target refers to.
+ *
+ * @param   {Object}        node Esprima assignment target.
+ * @returns {String[]|null}      Path below the exports object, or null if the target is not an export.
+ */
+function exportTarget(node) {
+
+    if( node.type === 'Identifier' && node.name === 'exports' ) {
+        return [];
+    }
+    if( node.type === 'MemberExpression' && !node.computed && node.object.type === 'Identifier'
+        && node.object.name === 'module' && node.property.name === 'exports' ) {
+        return [];
+    }
+    if( node.type === 'MemberExpression' && (!node.computed || node.property.type === 'Literal') ) {
+        let objectPath = exportTarget(node.object);
+        let key = node.computed ? String(node.property.value) : node.property.name;
+        return objectPath !== null ? [...objectPath, key] : null;
+    }
+    return null;
+}
+
+
+/**
+ * Add the functions an exported value exposes.
+ *
+ * @param {Object}   node        Esprima node of the exported value.
+ * @param {String[]} exportPath  Path of the value within the module's exports.
+ * @param {Object}   definitions Top-level definitions by name.
+ * @param {Object[]} exported    Exported functions found so far, added to.
+ * @param {Object[]} seen        Nodes already resolved, to stop on cycles.
+ */
+function resolve(node, exportPath, definitions, exported, seen) {
+
+    if( !node || _.includes(seen, node) ) {
+        return;
+    }
+    seen = [...seen, node];
+
+    if( _.includes(functionTypes, node.type) ) {
+        let ownName = node.id ? node.id.name : null;
+        exported.push({ name: exportPath.join('.') || ownName || 'exports', exportPath, node });
+    }
+    else if( node.type === 'Identifier' && _.has(definitions, node.name) ) {
+        resolve(definitions[node.name], exportPath, definitions, exported, seen);
+    }
+    else if( node.type === 'ObjectExpression' ) {
+        for( let property of node.properties ) {
+            let key = propertyKey(property);
+            if( key !== null ) {
+                resolve(property.value, [...exportPath, key], definitions, exported, seen);
+            }
+        }
+    }
+    else if( node.type === 'ClassDeclaration' || node.type === 'ClassExpression' ) {
+        let className = exportPath.join('.') || (node.id ? node.id.name : 'exports');
+        for( let definition of node.body.body ) {
+            let key = definition.type === 'MethodDefinition' && definition.key.type !== 'PrivateIdentifier' ? propertyKey(definition) : null;
+            if( key === null || definition.kind === 'get' || definition.kind === 'set' ) {
+                continue;
+            }
+            if( definition.static ) {
+                exported.push({ name: `${className}.${key}`, exportPath: [...exportPath, key], node: definition.value });
+            }
+            else {
+                let kind = definition.kind === 'constructor' ? 'constructor' : 'method';
+                exported.push({
+                    name: kind === 'constructor' ? className : `${className}#${key}`,
+                    exportPath: exportPath,
+                    node: definition.value,
+                    member: { kind: kind, classPath: exportPath, name: key, classNode: node }
+                });
+            }
+        }
+    }
+}
+
+
+/**
+ * Static key of an object literal property or class method.
+ *
+ * @param   {Object}      property Esprima property or method definition node.
+ * @returns {String|null}          Key of the property, or null if it is computed.
+ */
+function propertyKey(property) {
+    if( property.type !== 'Property' && property.type !== 'MethodDefinition' ) return null;
+    if( !property.computed && property.key.type === 'Identifier' ) return property.key.name;
+    if( property.key.type === 'Literal' ) return String(property.key.value);
+    return null;
+}
+
+
+// Export
+module.exports = exportedFunctions;
+module.exports.functionTypes = functionTypes;
+module.exports.unwrapExport = unwrapExport;
@@ -0,0 +1,209 @@
+// Core/NPM Modules
+const faker   = require('faker');
+const fs      = require('fs');
+const path    = require('path');
+const yaml    = require('js-yaml');
+const _       = require('lodash');
+
+
+// Local Modules
+const { Constraint }     = require('./constraint');
+const { matchingString } = require('./strings');
+const toSource           = require('./source');
+const { kindOfSource }   = require('./source');
+
+
+
+// Hints files looked up in the working directory when none is given.
+const defaultFiles = ['testgen.hints.json', 'testgen.hints.yaml', 'testgen.hints.yml'];
+
+// Keys allowed in the hints of a function and of a parameter.
+const functionKeys = ['exclude', 'params'];
+const paramKeys = ['values', 'faker', 'regex', 'count', 'pin'];
+
+// Number of values a generator produces unless the hint says otherwise.
+const defaultCount = 3;
+
+// Most values drawn from a generator for each distinct value asked for.
+const drawsPerValue = 20;
+
+
+/**
+ * Find the hints file of the project in a directory.
+ *
+ * @param   {String}      dir Directory to search.
+ * @returns {String|null}     Path of the first default hints file found, or null.
+ */
+function findHintsFile(dir) {
+    let file = _.find(_.map(defaultFiles, name => path.join(dir, name)), file => fs.existsSync(file));
+    return file || null;
+}
+
+
+/**
+ * Read and validate a hints file, in JSON or YAML depending on its extension.
+ *
+ * Hints are keyed by function name. A function can be excluded with
+ * `exclude: true`, and its `params` map each parameter name to:
+ *
+ *   values  Literal values to add.
+ *   faker   Name of a faker method generating values, such as `internet.email`.
+ *   regex   Regular expression the generated values match.
+ *   count   Number of values generated by faker or regex (3).
+ *   pin     If true, the parameter only takes the hinted values, dropping the discovered ones.
+ *
+ * @param   {String} filePath Path of the hints file.
+ * @returns {Object}          Hints by function name.
+ * @throws  {Error}           If the file cannot be parsed or its hints are invalid.
+ */
+function loadHints(filePath) {
+
+    let text = fs.readFileSync(filePath, 'utf8');
+    let hints;
+    try {
+        hints = /\.ya?ml$/i.test(filePath) ? yaml.safeLoad(text) : JSON.parse(text);
+    }
+    catch (e) {
+        throw new Error(`Could not parse hints file ${filePath}: ${e.message}`);
+    }
+
+    hints = hints || {};
+    let invalid = message => new Error(`Invalid hints file ${filePath}: ${message}`);
+    if( !_.isPlainObject(hints) ) {
+        throw invalid('expected an object keyed by function name');
+    }
+
+    for( let funcName in hints ) {
+        let func = hints[funcName];
+        if( !_.isPlainObject(func) ) {
+            throw invalid(`hints of ${funcName} should be an object`);
+        }
+        let unknown = _.difference(_.keys(func), functionKeys)[0];
+        if( unknown !== undefined ) {
+            throw invalid(`unknown key '${unknown}' in the hints of ${funcName}, expected one of ${functionKeys.join(', ')}`);
+        }
+
+        for( let param in func.params || {} ) {
+            let hint = func.params[param];
+            let where = `${funcName}(${param})`;
+            if( !_.isPlainObject(hint) ) {
+                throw invalid(`hints of ${where} should be an object`);
+            }
+            let unknownKey = _.difference(_.keys(hint), paramKeys)[0];
+            if( unknownKey !== undefined ) {
+                throw invalid(`unknown key '${unknownKey}' in the hints of ${where}, expected one of ${paramKeys.join(', ')}`);
+            }
+            if( hint.values !== undefined && !_.isArray(hint.values) ) {
+                throw invalid(`values of ${where} should be a list`);
+            }
+            if( hint.faker !== undefined && !_.isFunction(_.get(faker, hint.faker)) ) {
+                throw invalid(`unknown faker method '${hint.faker}' for ${where}`);
+            }
+            if( hint.regex !== undefined ) {
+                try {
+                    new RegExp(hint.regex);
+                }
+                catch (e) {
+                    throw invalid(`bad regex for ${where}: ${e.message}`);
+                }
+            }
+            if( hint.count !== undefined && (!_.isInteger(hint.count) || hint.count < 1) ) {
+                throw invalid(`count of ${where} should be a positive integer`);
+            }
+        }
+    }
+
+    return hints;
+}
+
+
+/**
+ * Merge hints into a constraints object: excluded functions are dropped, and
+ * the values hinted for a parameter are added to its constraints, or replace
+ * them if pinned. Hints of functions or parameters that do not exist are ignored.
+ *
+ * @param   {Object} functionConstraints Constraints object as returned by `constraints`.
+ * @param   {Object} hints               Hints as returned by `loadHints`.
+ * @returns {Object}                     Constraints object with the hints applied.
+ */
+function applyHints(functionConstraints, hints) {
+
+    let result = _.omitBy(functionConstraints, (func, funcName) => _.get(hints, [funcName, 'exclude']) === true);
+
+    for( let funcName in result ) {
+        let paramHints = _.pick(_.get(hints, [funcName, 'params'], {}), result[funcName].params);
+
+        for( let param in paramHints ) {
+            let hint = paramHints[param];
+            let constraints = result[funcName].constraints[param];
+
+            let values = _.reject(_.map(hintedValues(hint), toSource), _.isNull);
+            let hinted = _.map(values, value => new Constraint({
+                ident: param,
+                value: value,
+                funcName: funcName,
+                kind: kindOfSource(value),
+                operator: 'hint'
+            }));
+
+            if( hint.pin === true ) {
+                // Paths fall back to the first value of parameters they do not fix.
+                result[funcName].constraints[param] = hinted;
+                result[funcName].paths = _.map(result[funcName].paths, p => _.assign({}, p, { values: _.omit(p.values, param) }));
+            }
+            else {
+                constraints.push(..._.reject(hinted, h => _.some(constraints, c => c.value === h.value)));
+            }
+        }
+    }
+
+    return result;
+}
+
+
+/**
+ * Values a parameter hint stands for: its literal values, followed by the
+ * values of its faker method and of its regex, count distinct values each
+ * unless the generator runs out of new values.
+ *
+ * @param   {Object} hint Hint of a parameter.
+ * @returns {Array}       Values, without duplicates.
+ */
+function hintedValues(hint) {
+    let count = hint.count || defaultCount;
+    let values = _.uniqWith(hint.values || [], _.isEqual);
+    if( hint.faker !== undefined ) {
+        values.push(...drawDistinct(count, values, () => _.invoke(faker, hint.faker)));
+    }
+    if( hint.regex !== undefined ) {
+        values.push(...drawDistinct(count, values, () => matchingString(new RegExp(hint.regex))));
+    }
+    return values;
+}
+
+
+/**
+ * Draw values from a generator until there are enough distinct new ones, or
+ * the draws run out.
+ *
+ * @param   {Number}   count    Number of values to draw.
+ * @param   {Array}    existing Values that are not new.
+ * @param   {Function} draw     Generator, returning a value or null.
+ * @returns {Array}             Distinct new values, at most count of them.
+ */
+function drawDistinct(count, existing, draw) {
+    let values = [];
+    for( let draws = 0; values.length < count && draws < count * drawsPerValue; draws++ ) {
+        let value = draw();
+        if( value !== null && !_.some([...existing, ...values], v => _.isEqual(v, value)) ) {
+            values.push(value);
+        }
+    }
+    return values;
+}
+
+
+// Export
+module.exports = applyHints;
+module.exports.loadHints = loadHints;
+module.exports.findHintsFile = findHintsFile;
@@ -0,0 +1,269 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+// Local Modules
+const { numericConstant } = require('./boundaries');
+
+
+
+// Operator used when a comparison is negated.
+const negatedOperator = { '<': '>=', '<=': '>', '>': '<=', '>=': '<', '==': '!=', '!=': '==', '===': '!==', '!==': '===' };
+
+// Operator used when both sides of a comparison are divided by a negative number.
+const flippedOperator = { '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+
+// Values tried first for variables that no constraint pins down.
+const defaultValues = [0, 1, -1, 2, -2, 10, -10, 100, -100];
+
+// Maximum number of assignments tried before giving up on a system.
+const maxSteps = 10000;
+
+
+/**
+ * LinearAtom class. A linear comparison between parameters, `Σ terms[p]·p operator value`.
+ *
+ * @property {Object} terms    Integer coefficient by parameter name, without zero coefficients.
+ * @property {String} operator Comparison operator.
+ * @property {Number} value    Constant on the right-hand side.
+ */
+class LinearAtom {
+    constructor(properties){
+        this.terms = properties.terms;
+        this.operator = properties.operator;
+        this.value = properties.value;
+    }
+
+    /**
+     * Parameters the atom constrains.
+     *
+     * @returns {String[]} Parameter names.
+     */
+    get idents() {
+        return _.keys(this.terms);
+    }
+
+    /**
+     * The atom with the opposite meaning.
+     *
+     * @returns {LinearAtom} Negated atom.
+     */
+    negate() {
+        return new LinearAtom(_.assign({}, this, { operator: negatedOperator[this.operator] }));
+    }
+
+    /**
+     * Whether or not concrete parameter values satisfy the atom.
+     *
+     * @param   {Object}  values Values by parameter name.
+     * @returns {Boolean}        True if the comparison holds for the values.
+     */
+    test(values) {
+        if( !_.every(this.idents, ident => _.isNumber(values[ident])) ) {
+            return false;
+        }
+        let sum = _.sum(_.map(this.terms, (coefficient, ident) => coefficient * values[ident]));
+        return holds(sum, this.operator, this.value);
+    }
+}
+
+
+/**
+ * Linear form of an expression built from parameters and numeric constants
+ * with `+`, `-`, unary minus, and `*` by a constant.
+ *
+ * @param   {Object}      node   Esprima expression node.
+ * @param   {String[]}    params Parameter names of the function.
+ * @returns {Object|null}        Linear form as `{ terms, constant }`, or null if the expression is not linear.
+ */
+function linearForm(node, params) {
+
+    if( node.type === 'Identifier' && _.includes(params, node.name) ) {
+        return { terms: { [node.name]: 1 }, constant: 0 };
+    }
+    if( numericConstant(node) !== undefined ) {
+        return { terms: {}, constant: numericConstant(node) };
+    }
+    if( node.type === 'UnaryExpression' && node.operator === '-' ) {
+        let argument = linearForm(node.argument, params);
+        return argument && scale(argument, -1);
+    }
+    if( node.type === 'BinaryExpression' && _.includes(['+', '-', '*'], node.operator) ) {
+        let left  = linearForm(node.left, params);
+        let right = linearForm(node.right, params);
+        if( left === null || right === null ) {
+            return null;
+        }
+        if( node.operator === '*' ) {
+            if( _.isEmpty(left.terms) )  return scale(right, left.constant);
+            if( _.isEmpty(right.terms) ) return scale(left, right.constant);
+            return null;
+        }
+        return add(left, node.operator === '+' ? right : scale(right, -1));
+    }
+    return null;
+}
+
+
+/**
+ * Linear atom of a comparison between linear expressions, such as `p + q > 10`.
+ *
+ * @param   {Object}          node   Esprima binary expression node.
+ * @param   {String[]}        params Parameter names of the function.
+ * @returns {LinearAtom|null}        Atom with every parameter moved to the left, or null if
+ *                                   the comparison is not linear or involves no parameter.
+ */
+function linearAtom(node, params) {
+    if( node.type !== 'BinaryExpression' || !_.has(negatedOperator, node.operator) ) {
+        return null;
+    }
+    let left  = linearForm(node.left, params);
+    let right = linearForm(node.right, params);
+    if( left === null || right === null ) {
+        return null;
+    }
+    let difference = add(left, scale(right, -1));
+    if( _.isEmpty(difference.terms) ) {
+        return null;
+    }
+    return new LinearAtom({ terms: difference.terms, operator: node.operator, value: -difference.constant });
+}
+
+
+/**
+ * Find integer parameter values satisfying a conjunction of linear atoms.
+ *
+ * Parameters are assigned one after the other. Once every other parameter of
+ * an atom has a value, the atom bounds the remaining one to an interval, and
+ * the values tried for it are the ends of that interval followed by small
+ * defaults within it. Assignments that make a later atom infeasible are
+ * backtracked.
+ *
+ * @param   {LinearAtom[]} atoms     Atoms that must all hold.
+ * @param   {Object}       [domains] Further restrictions by parameter name, as `{ candidates, test }`,
+ *                                   where candidates are extra values to try and test accepts a value.
+ * @returns {Object|null}            Values by parameter name, or null if no solution was found.
+ */
+function solveLinear(atoms, domains = {}) {
+
+    let idents = _.sortBy(_.uniq(_.flatMap(atoms, atom => atom.idents)));
+    let steps = 0;
+
+    let assign = (index, values) => {
+        if( index === idents.length ) {
+            return values;
+        }
+        let ident = idents[index];
+        let domain = domains[ident] || { candidates: [], test: () => true };
+
+        for( let value of candidateValues(ident, atoms, values, domain.candidates) ) {
+            if( ++steps > maxSteps ) {
+                return null;
+            }
+            if( !domain.test(value) ) {
+                continue;
+            }
+            let solution = assign(index + 1, _.assign({}, values, { [ident]: value }));
+            if( solution !== null ) {
+                return solution;
+            }
+        }
+        return null;
+    };
+
+    return assign(0, {});
+}
+
+
+/**
+ * Values to try for a parameter, given the values of the parameters assigned before it.
+ *
+ * @param   {String}       ident      Parameter to assign.
+ * @param   {LinearAtom[]} atoms      Atoms of the system.
+ * @param   {Object}       values     Values of the parameters assigned so far.
+ * @param   {Number[]}     candidates Extra values to try.
+ * @returns {Number[]}                Values satisfying every atom whose other parameters are assigned.
+ */
+function candidateValues(ident, atoms, values, candidates) {
+
+    let low = -Infinity, high = Infinity, exact = [], excluded = [];
+
+    let bounding = _.filter(atoms, atom => _.has(atom.terms, ident) && _.every(atom.idents, i => i === ident || _.has(values, i)));
+    for( let atom of bounding ) {
+        let coefficient = atom.terms[ident];
+        let rest = _.sum(_.map(_.omit(atom.terms, ident), (c, i) => c * values[i]));
+        let bound = (atom.value - rest) / coefficient;
+        let operator = coefficient > 0 ? atom.operator : flippedOperator[atom.operator] || atom.operator;
+
+        switch( operator ) {
+            case '<':   high = Math.min(high, Math.ceil(bound) - 1); break;
+            case '<=':  high = Math.min(high, Math.floor(bound)); break;
+            case '>':   low  = Math.max(low, Math.floor(bound) + 1); break;
+            case '>=':  low  = Math.max(low, Math.ceil(bound)); break;
+            case '==':
+            case '===': exact.push(bound); break;
+            default:    excluded.push(bound);
+        }
+    }
+
+    let tried = exact.length > 0 ? [exact[0]] : [low, high, low + 1, high - 1, ...defaultValues, ...candidates];
+    return _.uniq(_.filter(tried, value => _.isFinite(value) && (exact.length > 0 || _.isInteger(value) || _.includes(candidates, value))
+        && value >= low && value <= high
+        && _.every(exact, e => e === value) && !_.includes(excluded, value)
+        && _.every(bounding, atom => atom.test(_.assign({}, values, { [ident]: value })))));
+}
+
+
+/**
+ * Evaluate a comparison between numbers.
+ *
+ * @param   {Number}  left     Left operand.
+ * @param   {String}  operator Comparison operator.
+ * @param   {Number}  right    Right operand.
+ * @returns {Boolean}          Result of the comparison.
+ */
+function holds(left, operator, right) {
+    switch( operator ) {
+        case '<':   return left < right;
+        case '<=':  return left <= right;
+        case '>':   return left > right;
+        case '>=':  return left >= right;
+        case '==':
+        case '===': return left === right;
+        case '!=':
+        case '!==': return left !== right;
+    }
+    return false;
+}
+
+
+/**
+ * Sum of two linear forms.
+ *
+ * @param   {Object} left  Linear form.
+ * @param   {Object} right Linear form.
+ * @returns {Object}       Linear form of the sum, without zero coefficients.
+ */
+function add(left, right) {
+    let terms = _.mergeWith(_.clone(left.terms), right.terms, (a, b) => (a || 0) + (b || 0));
+    return { terms: _.pickBy(terms, coefficient => coefficient !== 0), constant: left.constant + right.constant };
+}
+
+
+/**
+ * Product of a linear form and a constant.
+ *
+ * @param   {Object} form   Linear form.
+ * @param   {Number} factor Constant factor.
+ * @returns {Object}        Linear form of the product, without zero coefficients.
+ */
+function scale(form, factor) {
+    return { terms: _.pickBy(_.mapValues(form.terms, c => c * factor), c => c !== 0), constant: form.constant * factor };
+}
+
+
+// Export
+module.exports = solveLinear;
+module.exports.LinearAtom = LinearAtom;
+module.exports.linearAtom = linearAtom;
+module.exports.linearForm = linearForm;
@@ -0,0 +1,294 @@
+// Core/NPM Modules
+const acorn   = require('acorn');
+const fs      = require('fs');
+const Module  = require('module');
+const path    = require('path');
+const _       = require('lodash');
+
+
+// Local Modules
+const { functionTypes } = require('./functions');
+const { walkFunction }  = require('./ast');
+
+
+
+// Parser options: the latest syntax, with source ranges and locations on every node.
+const options = { ecmaVersion: 'latest', ranges: true, locations: true, allowHashBang: true };
+
+
+/**
+ * Parse source code as a script, or as an ES module if it is not a valid
+ * script. The program node of a module has `sourceType` 'module'.
+ *
+ * @param   {String} buf Source code.
+ * @returns {Object}     ESTree program node.
+ * @throws  {SyntaxError} If the source is neither a valid script nor a valid module.
+ */
+function parseSource(buf) {
+    try {
+        return acorn.parse(buf, _.assign({ sourceType: 'script' }, options));
+    }
+    catch (e) {
+        return acorn.parse(buf, _.assign({ sourceType: 'module' }, options));
+    }
+}
+
+
+/**
+ * Whether or not a file is an ES module.
+ *
+ * @param   {String}  filePath Path of the file.
+ * @returns {Boolean}          True if the file only parses as a module.
+ */
+function isModule(filePath) {
+    return parseSource(fs.readFileSync(filePath, 'utf8')).sourceType === 'module';
+}
+
+
+/**
+ * Source of a file runnable as a CommonJS module: the file itself for scripts,
+ * and for ES modules the source with its import and export declarations
+ * rewritten to `require` calls and getters on `exports`. Rewritten
+ * declarations keep their line count, so that line numbers are unchanged.
+ * ES modules required this way must be loaded with `loadModule`, which
+ * loads the ES modules they import in turn.
+ *
+ * @param   {String} filePath Path of the file.
+ * @returns {String}          CommonJS source.
+ */
+function commonJsSource(filePath) {
+    let buf = fs.readFileSync(filePath, 'utf8');
+    let ast = parseSource(buf);
+    return ast.sourceType === 'module' ? toCommonJs(buf, ast) : buf;
+}
+
+
+/**
+ * Rewrite the import and export declarations of an ES module. The module
+ * runs in strict mode, as ES modules do. Its exports are getters defined
+ * before its body runs, and references to its imports read them from the
+ * exports of the module they come from, so that both stay live bindings.
+ *
+ * @param   {String} buf Source code of the module.
+ * @param   {Object} ast Program node of the module.
+ * @returns {String}     CommonJS source.
+ */
+function toCommonJs(buf, ast) {
+
+    let edits = [], exported = [], bindings = {};
+    let replace = (range, text) => edits.push({ range: range, text: text });
+    let removeKeyword = statement => replace([statement.range[0], statement.declaration.range[0]], '');
+
+    ast.body.forEach((statement, index) => {
+        let required = statement.source ? `require(${JSON.stringify(statement.source.value)})` : null;
+        let imported = `__testgenImport${index}__`;
+
+        switch( statement.type ) {
+
+            case 'ImportDeclaration':
+                replace(statement.range, statement.specifiers.length === 0 ? `${required};` : `const ${imported} = ${required};`);
+                for( let specifier of statement.specifiers ) {
+                    bindings[specifier.local.name] = specifier.type === 'ImportDefaultSpecifier' ? `(${imported} && ${imported}.__esModule ? ${imported}.default : ${imported})`
+                        : specifier.type === 'ImportNamespaceSpecifier' ? imported
+                        : `${imported}[${JSON.stringify(exportName(specifier.imported))}]`;
+                }
+                break;
+
+            case 'ExportNamedDeclaration':
+                if( statement.declaration ) {
+                    removeKeyword(statement);
+                    exported.push(..._.map(declaredNames(statement.declaration), name => ({ name: name, local: name })));
+                }
+                else if( required ) {
+                    replace(statement.range, `const ${imported} = ${required}; ` + _.map(statement.specifiers, specifier =>
+                        `Object.defineProperty(exports, ${JSON.stringify(exportName(specifier.exported))}, { enumerable: true, get: () => ${imported}[${JSON.stringify(exportName(specifier.local))}] });`).join(' '));
+                }
+                else {
+                    replace(statement.range, '');
+                    exported.push(..._.map(statement.specifiers, specifier => ({ name: exportName(specifier.exported), local: specifier.local.name })));
+                }
+                break;
+
+            case 'ExportDefaultDeclaration':
+                if( _.includes(['FunctionDeclaration', 'ClassDeclaration'], statement.declaration.type) && statement.declaration.id ) {
+                    removeKeyword(statement);
+                    exported.push({ name: 'default', local: statement.declaration.id.name });
+                }
+                else {
+                    replace([statement.range[0], statement.declaration.range[0]], 'exports.default = (');
+                    replace([statement.declaration.range[1], statement.range[1]], ');');
+                }
+                break;
+
+            case 'ExportAllDeclaration':
+                replace(statement.range, statement.exported
+                    ? `exports[${JSON.stringify(exportName(statement.exported))}] = ${required};`
+                    : `const ${imported} = ${required}; for( const key of Object.keys(${imported}) ) { `
+                        + `if( key !== 'default' && !(key in exports) ) Object.defineProperty(exports, key, { enumerable: true, get: () => ${imported}[key] }); }`);
+                break;
+        }
+    });
+
+    // Read the imports where they are referenced.
+    walkReferences(ast, _.keys(bindings), (node, shorthand) => replace(node.range, shorthand ? `${node.name}: ${bindings[node.name]}` : bindings[node.name]));
+
+    // Apply the edits from the end, keeping the line count of each replaced declaration.
+    let code = buf.replace(/^#!/, '//');
+    for( let edit of _.sortBy(edits, edit => -edit.range[0]) ) {
+        let lines = buf.substring(edit.range[0], edit.range[1]).split('\n').length - edit.text.split('\n').length;
+        code = code.substring(0, edit.range[0]) + edit.text + _.repeat('\n', Math.max(lines, 0)) + code.substring(edit.range[1]);
+    }
+
+    // The prelude shares the first line, the getters only read the variables once the body ran.
+    let getters = _.map(exported, e => `Object.defineProperty(exports, ${JSON.stringify(e.name)}, { enumerable: true, `
+        + `get: () => ${_.has(bindings, e.local) ? bindings[e.local] : e.local} });`).join(' ');
+    return `'use strict'; Object.defineProperty(exports, '__esModule', { value: true }); ${getters} ${code}\n`;
+}
+
+
+/**
+ * Call a visitor on every reference to some top-level names in a module,
+ * leaving out the functions and catch clauses that declare the same names.
+ * Import and export specifiers are not references.
+ *
+ * @param {Object}   node    ESTree node.
+ * @param {String[]} names   Names to find.
+ * @param {Function} visitor Visitor called as `visitor(identifier, shorthand)`, shorthand being true for
+ *                           the identifier of a shorthand property such as `{ name }`.
+ */
+function walkReferences(node, names, visitor) {
+
+    if( _.includes(functionTypes, node.type) || node.type === 'CatchClause' ) {
+        names = _.difference(names, scopeNames(node));
+    }
+    if( names.length === 0 || _.includes(['ImportDeclaration', 'ExportAllDeclaration'], node.type)
+        || (node.type === 'ExportNamedDeclaration' && !node.declaration) ) {
+        return;
+    }
+    if( node.type === 'Identifier' ) {
+        if( _.includes(names, node.name) ) visitor(node, false);
+        return;
+    }
+    if( node.type === 'Property' && node.shorthand && node.value.type === 'Identifier' ) {
+        if( _.includes(names, node.value.name) ) visitor(node.value, true);
+        return;
+    }
+
+    for( let key in node ) {
+        let child = node[key];
+        if( key === 'range' || key === 'loc' || typeof child !== 'object' || child === null ) continue;
+
+        // Property names and labels are not references.
+        if( key === 'property' && node.type === 'MemberExpression' && !node.computed ) continue;
+        if( key === 'key' && !node.computed && _.includes(['Property', 'MethodDefinition', 'PropertyDefinition'], node.type) ) continue;
+        if( key === 'label' ) continue;
+
+        for( let item of _.isArray(child) ? child : [child] ) {
+            if( item && item.type ) {
+                walkReferences(item, names, visitor);
+            }
+        }
+    }
+}
+
+
+/**
+ * Names a function or a catch clause declares: its own name, its parameters,
+ * and the variables, functions and classes declared in its body, not
+ * counting those of nested functions.
+ *
+ * @param   {Object}   node Function or catch clause node.
+ * @returns {String[]}      Declared names.
+ */
+function scopeNames(node) {
+
+    let names = node.type === 'CatchClause' ? patternNames(node.param) : [..._.flatMap(node.params, patternNames), ...(node.id ? [node.id.name] : [])];
+    walkFunction(node.body, child => {
+        if( _.includes(['VariableDeclaration', 'FunctionDeclaration', 'ClassDeclaration'], child.type) ) {
+            names.push(...declaredNames(child));
+        }
+    });
+    return _.uniq(names);
+}
+
+
+/**
+ * Load a private copy of a module from its source, without caching it in
+ * node's module cache. The ES modules it requires, as rewritten by
+ * `commonJsSource`, are loaded as private copies too, once per load of the
+ * module, since node cannot require them.
+ *
+ * @param   {String} filePath Path of the module.
+ * @param   {String} [code]   Source to run in place of the file, its CommonJS source by default.
+ * @param   {Map}    [loads]  Modules loaded so far by path, shared by the modules of a single load.
+ * @returns {Module}          Loaded module, with its exports as `exports`.
+ */
+function loadModule(filePath, code = commonJsSource(filePath), loads = new Map()) {
+    let loaded = new Module(filePath, module);
+    loaded.filename = filePath;
+    loaded.paths = Module._nodeModulePaths(path.dirname(filePath));
+    loaded.require = function(request) {
+        let resolved = Module._resolveFilename(request, this);
+        if( !path.isAbsolute(resolved) || !/\.m?js$/.test(resolved) || !isModule(resolved) ) {
+            return Module.prototype.require.call(this, request);
+        }
+        if( !loads.has(resolved) ) {
+            loadModule(resolved, commonJsSource(resolved), loads);
+        }
+        return loads.get(resolved).exports;
+    };
+    loads.set(filePath, loaded);
+    loaded._compile(code, filePath);
+    return loaded;
+}
+
+
+/**
+ * Name of an export or import specifier, which may be a string literal.
+ *
+ * @param   {Object} node Identifier or literal node.
+ * @returns {String}      Name.
+ */
+function exportName(node) {
+    return node.type === 'Literal' ? String(node.value) : node.name;
+}
+
+
+/**
+ * Names bound by a declaration.
+ *
+ * @param   {Object}   node Function, class or variable declaration node.
+ * @returns {String[]}      Bound names.
+ */
+function declaredNames(node) {
+    if( node.type === 'VariableDeclaration' ) {
+        return _.flatMap(node.declarations, declarator => patternNames(declarator.id));
+    }
+    return node.id ? [node.id.name] : [];
+}
+
+
+/**
+ * Names bound by a binding pattern.
+ *
+ * @param   {Object}   node Identifier, object, array, rest or assignment pattern.
+ * @returns {String[]}      Bound names.
+ */
+function patternNames(node) {
+    switch( _.get(node, 'type') ) {
+        case 'Identifier':        return [node.name];
+        case 'ObjectPattern':     return _.flatMap(node.properties, p => patternNames(p.type === 'RestElement' ? p : p.value));
+        case 'ArrayPattern':      return _.flatMap(_.compact(node.elements), patternNames);
+        case 'RestElement':       return patternNames(node.argument);
+        case 'AssignmentPattern': return patternNames(node.left);
+    }
+    return [];
+}
+
+
+// Export
+module.exports.parseSource = parseSource;
+module.exports.isModule = isModule;
+module.exports.commonJsSource = commonJsSource;
+module.exports.loadModule = loadModule;
+module.exports.patternNames = patternNames;
@@ -0,0 +1,211 @@
+// Core/NPM Modules
+const Random  = require('random-js');
+const _       = require('lodash');
+
+
+// Local Modules
+const { engine }                 = require('./random');
+const { walkFunction }           = require('./ast');
+const { Atom, mirroredOperator } = require('./solver');
+const toSource                   = require('./source');
+const boundaryValues             = require('./boundaries');
+const { numericConstant }        = require('./boundaries');
+const { stringMethods }          = require('./types');
+
+
+
+// Operators comparing a property to a constant.
+const comparisonOperators = ['==', '===', '!=', '!==', '<', '<=', '>', '>='];
+
+
+/**
+ * Collect the property paths read from each parameter of a function, with
+ * the values each property is expected to take.
+ *
+ * A property compared to a constant takes the boundary values of the
+ * comparison, a property tested for truthiness takes true and false, a
+ * property string methods are called on takes a string, and any other
+ * property takes true. Properties with properties of their own are objects.
+ *
+ * @param   {Object}   funcNode Esprima node of the function.
+ * @param   {String[]} params   Parameter names of the function.
+ * @returns {Object}            Property paths by parameter name, each as `{ path, values }`.
+ */
+function propertyPaths(funcNode, params) {
+
+    let found = _.zipObject(params, _.map(params, () => ({})));
+    let record = (ident, path, values) => {
+        let key = path.join('.');
+        let entry = found[ident][key] || (found[ident][key] = { path: path, values: [] });
+        entry.values = _.uniqWith([...entry.values, ...values], _.isEqual);
+    };
+
+    walkFunction(funcNode.body, (node, parent) => {
+
+        // Only look at the outermost member expression of a chain.
+        if( node.type !== 'MemberExpression' || (parent && parent.type === 'MemberExpression' && parent.object === node) ) {
+            return;
+        }
+        let reference = propertyReference(node, params);
+        if( reference === null || reference.path.length === 0 ) {
+            return;
+        }
+        let { ident, path } = reference;
+        let leaf = _.last(path);
+        let isCallee = parent && parent.type === 'CallExpression' && parent.callee === node;
+
+        // Methods: string methods tell the type of their receiver, other methods are not synthesized.
+        if( isCallee || leaf === 'length' ) {
+            if( path.length > 1 && (leaf === 'length' || _.includes(stringMethods, leaf)) ) {
+                record(ident, _.initial(path), [new Random(engine).string(5)]);
+            }
+            return;
+        }
+
+        if( parent && parent.type === 'BinaryExpression' && _.includes(comparisonOperators, parent.operator) ) {
+            let other = parent.left === node ? parent.right : parent.left;
+            if( other.type === 'Literal' || numericConstant(other) !== undefined ) {
+                let operator = parent.left === node ? parent.operator : mirroredOperator[parent.operator];
+                let constant = numericConstant(other) !== undefined ? numericConstant(other) : other.value;
+                record(ident, path, valuesAround(operator, constant));
+                return;
+            }
+        }
+        if( parent && isTest(node, parent) ) {
+            record(ident, path, [true, false]);
+            return;
+        }
+        record(ident, path, [true]);
+    });
+
+    return _.mapValues(found, paths => {
+        // Properties holding further properties are objects, whether or not they are read themselves.
+        let entries = _.values(paths);
+        let objects = _.uniqWith(_.flatMap(entries, entry => _.map(_.range(1, entry.path.length), n => entry.path.slice(0, n))), _.isEqual);
+        return [
+            ..._.map(objects, path => ({ path: path, values: [] })),
+            ..._.filter(entries, entry => !_.some(objects, path => _.isEqual(path, entry.path)))
+        ];
+    });
+}
+
+
+/**
+ * Build object literals from the property paths of a parameter.
+ *
+ * The first object sets every property to its first value. Each further
+ * object changes a single property, to one of its other values, or makes it
+ * missing, null or falsy, so that both sides of every property check are
+ * exercised.
+ *
+ * @param   {Object[]} paths Property paths as returned by `propertyPaths`.
+ * @returns {String[]}       Sources of the objects, without duplicates.
+ */
+function objectVariants(paths) {
+
+    if( paths.length === 0 ) {
+        return [];
+    }
+
+    let base = {};
+    for( let entry of _.sortBy(paths, entry => entry.path.length) ) {
+        if( entry.values.length > 0 ) {
+            _.set(base, entry.path, entry.values[0]);
+        }
+        else if( !_.isPlainObject(_.get(base, entry.path)) ) {
+            _.set(base, entry.path, {});
+        }
+    }
+
+    let variants = [base];
+    for( let entry of paths ) {
+        let change = value => {
+            let variant = _.cloneDeep(base);
+            _.set(variant, entry.path, value);
+            variants.push(variant);
+        };
+        entry.values.slice(1).forEach(change);
+
+        let missing = _.cloneDeep(base);
+        _.unset(missing, entry.path);
+        variants.push(missing);
+        change(null);
+        if( entry.values.length > 0 ) {
+            change(falsyValue(entry.values[0]));
+        }
+    }
+
+    return _.uniq(_.map(variants, toSource));
+}
+
+
+/**
+ * Falsy value of the same type as a value.
+ *
+ * @param   {*} value Value.
+ * @returns {*}       0 for numbers, '' for strings, false otherwise.
+ */
+function falsyValue(value) {
+    if( _.isNumber(value) ) return 0;
+    if( _.isString(value) ) return '';
+    return false;
+}
+
+
+/**
+ * Values of a property compared with a constant: the boundary values of
+ * numeric comparisons, the constant and another value otherwise.
+ *
+ * @param   {String} operator Comparison operator, with the property on the left.
+ * @param   {*}      constant Constant compared against.
+ * @returns {Array}           Values satisfying the comparison first.
+ */
+function valuesAround(operator, constant) {
+    if( _.isNumber(constant) ) {
+        let comparison = new Atom({ op: 'compare', operator: operator, value: constant });
+        return _.sortBy(boundaryValues(constant), value => !comparison.test(value));
+    }
+    if( _.isString(constant) ) {
+        return [constant, `${constant}x`];
+    }
+    return [constant, true];
+}
+
+
+/**
+ * Whether or not a node is used for its truthiness.
+ *
+ * @param   {Object}  node   Esprima node.
+ * @param   {Object}  parent Parent node.
+ * @returns {Boolean}        True for negations, logical operands and tests of conditionals.
+ */
+function isTest(node, parent) {
+    return (parent.type === 'UnaryExpression' && parent.operator === '!')
+        || parent.type === 'LogicalExpression'
+        || (_.includes(['IfStatement', 'ConditionalExpression', 'WhileStatement', 'DoWhileStatement', 'ForStatement'], parent.type) && parent.test === node);
+}
+
+
+/**
+ * Resolve a member expression to a parameter and a property path.
+ *
+ * @param   {Object}      node   Esprima expression node.
+ * @param   {String[]}    params Parameter names of the function.
+ * @returns {Object|null}        Reference as `{ ident, path }`, or null.
+ */
+function propertyReference(node, params) {
+    if( node.type === 'Identifier' && _.includes(params, node.name) ) {
+        return { ident: node.name, path: [] };
+    }
+    if( node.type === 'MemberExpression' && (!node.computed || _.get(node, 'property.type') === 'Literal') ) {
+        let object = propertyReference(node.object, params);
+        let key = node.computed ? String(node.property.value) : node.property.name;
+        return object !== null ? { ident: object.ident, path: [...object.path, key] } : null;
+    }
+    return null;
+}
+
+
+// Export
+module.exports = propertyPaths;
+module.exports.objectVariants = objectVariants;
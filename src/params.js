@@ -0,0 +1,243 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+// Local Modules
+const toSource            = require('./source');
+const { evaluateSource }  = require('./source');
+const boundaryValues      = require('./boundaries');
+const { numericConstant } = require('./boundaries');
+const { patternNames }    = require('./modules');
+const walk                = require('./ast');
+const { walkFunction }    = require('./ast');
+
+
+
+// Lengths of rest arrays tried besides those compared in the function.
+const restLengths = [0, 1, 2];
+
+// Names of Node-style callback parameters.
+const callbackNames = ['cb', 'callback'];
+
+
+/**
+ * Describe the parameters of a function.
+ *
+ * Plain parameters are named after their identifier. Destructured parameters
+ * are named after their pattern source, such as `{ a, b }`, and list the
+ * locals the pattern binds as fields, each with its path within the argument.
+ *
+ * @param   {Object}   funcNode Function node.
+ * @param   {String}   buf      Source code of the file.
+ * @returns {Object[]}          Parameters as `{ name, kind, fields, defaultNode, pattern }`, where kind is
+ *                              'plain', 'pattern' or 'rest', fields are `{ name, path, defaultNode }`
+ *                              and defaultNode is the default value of the parameter, or null.
+ */
+function functionParameters(funcNode, buf) {
+    return _.map(funcNode.params, node => {
+        let defaultNode = node.type === 'AssignmentPattern' ? node.right : null;
+        let target = node.type === 'AssignmentPattern' ? node.left : node;
+
+        if( target.type === 'Identifier' ) {
+            return { name: target.name, kind: 'plain', fields: [], defaultNode: defaultNode, pattern: target };
+        }
+        if( target.type === 'RestElement' && target.argument.type === 'Identifier' ) {
+            return { name: target.argument.name, kind: 'rest', fields: [], defaultNode: null, pattern: target };
+        }
+        return {
+            name: buf.substring(target.range[0], target.range[1]).replace(/\s+/g, ' '),
+            kind: 'pattern',
+            fields: patternFields(target, []),
+            defaultNode: defaultNode,
+            pattern: target
+        };
+    });
+}
+
+
+/**
+ * Names bound in the body of a function by its parameters.
+ *
+ * @param   {Object[]} parameters Parameters as returned by `functionParameters`.
+ * @returns {String[]}            Local names.
+ */
+function localNames(parameters) {
+    return _.uniq(_.flatMap(parameters, param => param.kind === 'pattern' ? patternNames(param.pattern) : [param.name]));
+}
+
+
+/**
+ * Callback parameter of a Node-style asynchronous function: its last
+ * parameter, if it is named `cb` or `callback` or the function invokes it,
+ * possibly from a nested function such as the callback of an fs call.
+ *
+ * @param   {Object[]}    parameters Parameters as returned by `functionParameters`.
+ * @param   {Object}      funcNode   Function node.
+ * @returns {String|null}            Name of the callback parameter, or null if there is none.
+ */
+function callbackParameter(parameters, funcNode) {
+
+    let last = _.last(parameters);
+    if( !last || last.kind !== 'plain' || last.defaultNode !== null ) {
+        return null;
+    }
+
+    let invoked = false;
+    walk(funcNode.body, node => {
+        if( node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === last.name ) {
+            invoked = true;
+        }
+    });
+    return _.includes(callbackNames, last.name) || invoked ? last.name : null;
+}
+
+
+/**
+ * Fields of a destructuring pattern: the locals it binds to a property or element.
+ *
+ * @param   {Object}   node Pattern node.
+ * @param   {Array}    path Path of the pattern within the argument.
+ * @returns {Object[]}      Fields as `{ name, path, defaultNode }`.
+ */
+function patternFields(node, path) {
+    switch( node.type ) {
+        case 'Identifier':
+            return [{ name: node.name, path: path, defaultNode: null }];
+        case 'AssignmentPattern':
+            return _.map(patternFields(node.left, path), field => _.isEqual(field.path, path) ? _.assign(field, { defaultNode: node.right }) : field);
+        case 'ObjectPattern':
+            return _.flatMap(node.properties, property => {
+                if( property.type === 'RestElement' || (property.computed && property.key.type !== 'Literal') ) {
+                    return [];
+                }
+                let key = property.key.type === 'Literal' ? String(property.key.value) : property.key.name;
+                return patternFields(property.value, [...path, key]);
+            });
+        case 'ArrayPattern':
+            return _.flatMap(node.elements, (element, index) => element && element.type !== 'RestElement' ? patternFields(element, [...path, index]) : []);
+    }
+    return [];
+}
+
+
+/**
+ * Arguments for a destructured parameter, built from the values of its fields.
+ *
+ * The first argument sets every field to its first value, each further one
+ * changes a single field to another of its values, or leaves out a field that
+ * has a default.
+ *
+ * @param   {Object}   param       Parameter as returned by `functionParameters`.
+ * @param   {Object}   fieldValues Sources of the values of each field, by field name.
+ * @returns {String[]}             Sources of the arguments, without duplicates.
+ */
+function patternValues(param, fieldValues) {
+
+    let values = _.mapValues(fieldValues, sources => _.reject(_.map(sources, evaluateSource), _.isUndefined));
+    let build = changes => {
+        let argument = param.pattern.type === 'ArrayPattern' ? [] : {};
+        for( let field of param.fields ) {
+            let value = _.has(changes, field.name) ? changes[field.name] : _.first(values[field.name]);
+            if( value !== undefined ) {
+                _.set(argument, field.path, value);
+            }
+        }
+        return argument;
+    };
+
+    let variants = [build({})];
+    for( let field of param.fields ) {
+        for( let value of _.tail(values[field.name]) ) {
+            variants.push(build({ [field.name]: value }));
+        }
+        if( field.defaultNode !== null ) {
+            variants.push(build({ [field.name]: undefined }));
+        }
+    }
+    return _.uniq(_.reject(_.map(variants, toSource), _.isNull));
+}
+
+
+/**
+ * Arguments for a rest parameter: arrays of a few lengths, and of the
+ * boundary lengths of the comparisons of its length, spread into the call.
+ *
+ * @param   {Object}   param    Parameter as returned by `functionParameters`.
+ * @param   {Object}   funcNode Function node.
+ * @returns {String[]}          Sources of the spread arrays, such as `...[1, 2]`.
+ */
+function restValues(param, funcNode) {
+
+    let lengths = [...restLengths];
+    walkFunction(funcNode.body, node => {
+        if( node.type === 'BinaryExpression' ) {
+            for( let [side, other] of [[node.left, node.right], [node.right, node.left]] ) {
+                if( side.type === 'MemberExpression' && _.get(side, 'object.name') === param.name && _.get(side, 'property.name') === 'length'
+                    && numericConstant(other) !== undefined ) {
+                    lengths.push(...boundaryValues(numericConstant(other)));
+                }
+            }
+        }
+    });
+
+    return _.map(_.sortBy(_.uniq(_.filter(lengths, length => _.isInteger(length) && length >= 0))), length => `...${toSource(_.range(1, length + 1))}`);
+}
+
+
+/**
+ * Arguments exercising the default value of a parameter: undefined, which
+ * makes the function use the default, and the default itself if it is a constant.
+ *
+ * @param   {Object}   param Parameter as returned by `functionParameters`.
+ * @returns {String[]}       Sources of the arguments, empty if the parameter has no default.
+ */
+function defaultValues(param) {
+    if( param.defaultNode === null ) {
+        return [];
+    }
+    let constant = evaluateNode(param.defaultNode);
+    return _.uniq(['undefined', ...(constant !== undefined && toSource(constant) !== null ? [toSource(constant)] : [])]);
+}
+
+
+/**
+ * Value of a constant node: a literal, a negated number, or an array or
+ * object literal of constants.
+ *
+ * @param   {Object} node ESTree expression node.
+ * @returns {*}           Value, or undefined if the node is not a constant.
+ */
+function evaluateNode(node) {
+    if( numericConstant(node) !== undefined ) {
+        return numericConstant(node);
+    }
+    switch( node.type ) {
+        case 'Literal':
+            return node.regex ? undefined : node.value;
+        case 'ArrayExpression': {
+            let elements = _.map(node.elements, element => element && evaluateNode(element));
+            return _.some(elements, _.isUndefined) ? undefined : elements;
+        }
+        case 'ObjectExpression': {
+            let object = {};
+            for( let property of node.properties ) {
+                if( property.type !== 'Property' || property.computed || property.kind !== 'init' ) return undefined;
+                let value = evaluateNode(property.value);
+                if( value === undefined ) return undefined;
+                object[property.key.type === 'Literal' ? property.key.value : property.key.name] = value;
+            }
+            return object;
+        }
+    }
+    return undefined;
+}
+
+
+// Export
+module.exports = functionParameters;
+module.exports.localNames = localNames;
+module.exports.callbackParameter = callbackParameter;
+module.exports.patternValues = patternValues;
+module.exports.restValues = restValues;
+module.exports.defaultValues = defaultValues;
+module.exports.evaluateNode = evaluateNode;
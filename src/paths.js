@@ -0,0 +1,314 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+// Local Modules
+const solve                        = require('./solver');
+const { Atom, mirroredOperator }   = require('./solver');
+const stringPredicate              = require('./strings');
+const { linearAtom }               = require('./linear');
+const walk                         = require('./ast');
+
+
+
+// Maximum number of paths enumerated per function.
+const maxPaths = 64;
+
+
+/**
+ * Enumerate the paths through a function and derive one set of parameter
+ * values per feasible path.
+ *
+ * A path is the conjunction of the branch conditions taken from the start of
+ * the function to a return, a throw or its end. Compound conditions (&&, ||, !)
+ * are split into their operands, so each way of making a condition true or
+ * false is its own path. Conditions that cannot be expressed as constraints
+ * on the parameters leave the path unconstrained on them, and conditions on a
+ * parameter after it has been reassigned are ignored.
+ *
+ * @param   {Object}   funcNode Esprima function node.
+ * @param   {String[]} params   Parameter names of the function.
+ * @param   {String}   buf      Source code of the input file.
+ * @returns {Object[]}          Paths as `{ conditions, values }`, where conditions lists the
+ *                              source of each condition on the path and values maps
+ *                              parameter names to value sources satisfying all of them.
+ */
+function functionPaths(funcNode, params, buf) {
+
+    let state = { literals: [], assigned: [], done: false };
+    let paths = funcNode.body.type === 'BlockStatement' ? walkStatements(funcNode.body.body, state) : [state];
+
+    let feasible = [];
+    for( let path of paths ) {
+
+        // Translate literals to atoms on the parameters, skipping those that cannot be.
+        let atoms = _.compact(_.map(path.literals, literal => toAtom(literal, params)));
+        let values = solve(atoms);
+        if( values === null ) {
+            continue;
+        }
+
+        let conditions = _.map(path.literals, literal => {
+            let expression = buf.substring(literal.node.range[0], literal.node.range[1]);
+            return literal.polarity ? expression : `!(${expression})`;
+        });
+
+        // Different paths may end up with the same values, keep the first one.
+        if( !_.some(feasible, p => _.isEqual(p.values, values)) ) {
+            feasible.push({ conditions, values });
+        }
+    }
+
+    return feasible;
+}
+
+
+/**
+ * Walk a list of statements, extending every path with each statement in turn.
+ *
+ * @param   {Object[]} statements Esprima statement nodes.
+ * @param   {Object}   state      Path so far as `{ literals, assigned, done }`.
+ * @returns {Object[]}            Paths through the statements.
+ */
+function walkStatements(statements, state) {
+
+    let paths = [state];
+    for( let statement of statements ) {
+        paths = _.take(_.flatMap(paths, path => path.done ? [path] : walkStatement(statement, path)), maxPaths);
+    }
+    return paths;
+}
+
+
+/**
+ * Walk a single statement.
+ *
+ * @param   {Object}   statement Esprima statement node.
+ * @param   {Object}   state     Path so far as `{ literals, assigned, done }`.
+ * @returns {Object[]}           Paths through the statement.
+ */
+function walkStatement(statement, state) {
+
+    switch( statement.type ) {
+
+        case 'BlockStatement':
+            return walkStatements(statement.body, state);
+
+        case 'IfStatement': {
+            let whenTrue = _.flatMap(outcomes(statement.test, true), literals => walkStatement(statement.consequent, extend(state, literals)));
+            let whenFalse = _.flatMap(outcomes(statement.test, false), literals => statement.alternate
+                ? walkStatement(statement.alternate, extend(state, literals))
+                : [extend(state, literals)]);
+            return [...whenTrue, ...whenFalse];
+        }
+
+        case 'ReturnStatement':
+        case 'ThrowStatement':
+            return [_.assign({}, state, { done: true })];
+
+        default:
+            return [_.assign({}, state, { assigned: _.union(state.assigned, assignedIdentifiers(statement)) })];
+    }
+}
+
+
+/**
+ * Extend a path with literals, dropping those on reassigned identifiers.
+ *
+ * @param   {Object}   state    Path so far as `{ literals, assigned, done }`.
+ * @param   {Object[]} literals Literals as `{ node, polarity }`.
+ * @returns {Object}            Extended path.
+ */
+function extend(state, literals) {
+    let fresh = _.reject(literals, literal => _.some(identifiers(literal.node), ident => _.includes(state.assigned, ident)));
+    return _.assign({}, state, { literals: [...state.literals, ...fresh] });
+}
+
+
+/**
+ * The ways a condition can evaluate to the given truth value, each a
+ * conjunction of literals.
+ *
+ * @param   {Object}     node     Esprima expression node.
+ * @param   {Boolean}    polarity Truth value of the condition.
+ * @returns {Object[][]}          Disjunction of conjunctions of literals as `{ node, polarity }`.
+ */
+function outcomes(node, polarity) {
+
+    if( node.type === 'UnaryExpression' && node.operator === '!' ) {
+        return outcomes(node.argument, !polarity);
+    }
+
+    if( node.type === 'LogicalExpression' ) {
+        let conjunctive = (node.operator === '&&') === polarity;
+        let left  = outcomes(node.left,  polarity);
+        let right = outcomes(node.right, polarity);
+        if( conjunctive ) {
+            // Both operands must take the truth value.
+            return _.flatMap(left, l => _.map(right, r => [...l, ...r]));
+        }
+        // Either the left operand takes the truth value, or it takes the other one and the right operand does.
+        let leftOther = outcomes(node.left, !polarity);
+        return [...left, ..._.flatMap(leftOther, l => _.map(right, r => [...l, ...r]))];
+    }
+
+    return [[{ node, polarity }]];
+}
+
+
+/**
+ * Translate a literal to an atom on a parameter, or a linear atom relating several.
+ *
+ * @param   {Object}               literal Literal as `{ node, polarity }`.
+ * @param   {String[]}             params  Parameter names of the function.
+ * @returns {Atom|LinearAtom|null}         Atom equivalent to the literal, or null if there is none.
+ */
+function toAtom(literal, params) {
+
+    let node = literal.node;
+    let atom = null;
+
+    // Truthiness of a parameter or one of its properties.
+    let reference = parameterReference(node, params);
+    if( reference !== null ) {
+        atom = new Atom({ ident: reference.ident, path: reference.path, op: 'truthy' });
+    }
+
+    // String predicates, e.g. `/^\d+$/.test(code)` or `name.startsWith("x")`.
+    else if( _.get(stringPredicate(node, params), 'test') ) {
+        let predicate = stringPredicate(node, params);
+        atom = new Atom({ ident: predicate.ident, op: 'matches', value: predicate.regex });
+    }
+
+    else if( node.type === 'BinaryExpression' && _.has(mirroredOperator, node.operator) ) {
+
+        // Comparison between a parameter (or property) and a constant, in either order.
+        let left  = parameterReference(node.left, params);
+        let right = parameterReference(node.right, params);
+        if( left !== null && isConstant(node.right) ) {
+            atom = new Atom({ ident: left.ident, path: left.path, op: 'compare', operator: node.operator, value: constantValue(node.right) });
+        }
+        else if( right !== null && isConstant(node.left) ) {
+            atom = new Atom({ ident: right.ident, path: right.path, op: 'compare', operator: mirroredOperator[node.operator], value: constantValue(node.left) });
+        }
+
+        // Position of a constant string within a parameter, e.g. `mode.indexOf("werw") == 0`.
+        else if( isIndexOfCall(node.left, params) && isConstant(node.right) && _.includes(['==', '==='], node.operator) ) {
+            atom = new Atom({ ident: node.left.callee.object.name, op: 'indexOf', value: node.left.arguments[0].value, index: constantValue(node.right) });
+        }
+        else if( isIndexOfCall(node.left, params) && isConstant(node.right) && _.includes(['!=', '!=='], node.operator) ) {
+            atom = new Atom({ ident: node.left.callee.object.name, op: 'notIndexOf', value: node.left.arguments[0].value, index: constantValue(node.right) });
+        }
+    }
+
+    // Linear comparisons relating parameters, e.g. `p + q > 10` or `x < y`.
+    if( atom === null ) {
+        atom = linearAtom(node, params);
+    }
+
+    if( atom === null ) {
+        return null;
+    }
+    return literal.polarity ? atom : atom.negate();
+}
+
+
+/**
+ * Resolve a node to a parameter or a (nested) property of a parameter.
+ *
+ * @param   {Object}      node   Esprima expression node.
+ * @param   {String[]}    params Parameter names of the function.
+ * @returns {Object|null}        Reference as `{ ident, path }`, or null.
+ */
+function parameterReference(node, params) {
+    if( node.type === 'Identifier' && _.includes(params, node.name) ) {
+        return { ident: node.name, path: [] };
+    }
+    if( node.type === 'MemberExpression' && !node.computed ) {
+        let object = parameterReference(node.object, params);
+        return object !== null ? { ident: object.ident, path: [...object.path, node.property.name] } : null;
+    }
+    return null;
+}
+
+
+/**
+ * Whether or not a node is a call to indexOf with a constant string on a parameter.
+ *
+ * @param   {Object}   node   Esprima expression node.
+ * @param   {String[]} params Parameter names of the function.
+ * @returns {Boolean}         True if the node is `param.indexOf("...")`.
+ */
+function isIndexOfCall(node, params) {
+    return node.type === 'CallExpression'
+        && _.get(node, 'callee.property.name') === 'indexOf'
+        && _.includes(params, _.get(node, 'callee.object.name'))
+        && node.arguments.length > 0 && node.arguments[0].type === 'Literal' && _.isString(node.arguments[0].value);
+}
+
+
+/**
+ * Whether or not a node is a constant: a literal, a negated number literal or undefined.
+ *
+ * @param   {Object}  node Esprima expression node.
+ * @returns {Boolean}      True if the node is a constant.
+ */
+function isConstant(node) {
+    return (node.type === 'Literal' && !node.regex)
+        || (node.type === 'Identifier' && node.name === 'undefined')
+        || (node.type === 'UnaryExpression' && node.operator === '-' && node.argument.type === 'Literal' && _.isNumber(node.argument.value));
+}
+
+
+/**
+ * Value of a constant node.
+ *
+ * @param   {Object} node Esprima expression node accepted by `isConstant`.
+ * @returns {*}           Value of the constant.
+ */
+function constantValue(node) {
+    if( node.type === 'Identifier' )      return undefined;
+    if( node.type === 'UnaryExpression' ) return -node.argument.value;
+    return node.value;
+}
+
+
+/**
+ * Identifiers assigned to by a statement.
+ *
+ * @param   {Object}   statement Esprima statement node.
+ * @returns {String[]}           Names of the assigned identifiers.
+ */
+function assignedIdentifiers(statement) {
+    let names = [];
+    walk(statement, node => {
+        if( node.type === 'AssignmentExpression' && node.left.type === 'Identifier' ) {
+            names.push(node.left.name);
+        }
+        if( node.type === 'UpdateExpression' && node.argument.type === 'Identifier' ) {
+            names.push(node.argument.name);
+        }
+    });
+    return names;
+}
+
+
+/**
+ * Identifiers referenced by an expression.
+ *
+ * @param   {Object}   node Esprima expression node.
+ * @returns {String[]}      Names of the referenced identifiers.
+ */
+function identifiers(node) {
+    let names = [];
+    walk(node, child => {
+        if( child.type === 'Identifier' ) {
+            names.push(child.name);
+        }
+    });
+    return names;
+}
+
+
+// Export
+module.exports = functionPaths;
@@ -0,0 +1,49 @@
+// Core/NPM Modules
+const faker   = require('faker');
+const Random  = require('random-js');
+
+
+
+// Shared random generator engine. All random choices made while generating
+// test cases draw from it or from faker, which is seeded along with it, so
+// that seeding it makes generation reproducible.
+const engine = Random.engines.mt19937();
+
+// Environment variable read for the seed when none is given explicitly.
+const seedVariable = 'TESTGEN_SEED';
+
+
+/**
+ * Seed the shared engine.
+ *
+ * Without an explicit seed, the TESTGEN_SEED environment variable is used,
+ * and without that a fresh seed is picked. Either way the seed in use is
+ * returned so that it can be recorded and passed back in to reproduce a run.
+ *
+ * @param   {Number|String} [value] Seed to use.
+ * @returns {Number}                Seed in use.
+ */
+function seed(value) {
+
+    if( value === undefined || value === null || value === '' ) {
+        value = process.env[seedVariable];
+    }
+
+    let seedValue = value === undefined || value === '' ? Random.integer(0, 0x7fffffff)(Random.engines.nativeMath) : Number(value);
+    if( !Number.isInteger(seedValue) ) {
+        throw new Error(`Invalid seed '${value}', expected an integer`);
+    }
+
+    engine.seed(seedValue);
+    faker.seed(seedValue);
+    return seedValue;
+}
+
+
+// Seed once on load, so that the engine is usable without an explicit seed.
+seed();
+
+
+// Export
+module.exports = seed;
+module.exports.engine = engine;
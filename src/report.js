@@ -0,0 +1,139 @@
+// Core/NPM Modules
+const fs      = require('fs');
+const path    = require('path');
+const _       = require('lodash');
+
+
+// Local Modules
+const { enumerateTestCases, testCaseTitle } = require('./testgenerator');
+const { stateLabel }                        = require('./fsmodel');
+const { canonicalSource }                   = require('./source');
+
+
+
+// Style of the HTML report.
+const style = `
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; }
+td { vertical-align: top; padding: 0 .5em; }
+td.line { color: #999; text-align: right; user-select: none; }
+pre { margin: 0; }
+tr.constraints td { background: #f4f8ff; font-size: .85em; }
+tr.constraints ul { margin: .2em 0; padding-left: 1.2em; }
+li.untargeted { color: #b00; }
+code { background: #eee; padding: 0 .2em; }
+`;
+
+
+/**
+ * Build the inspection report of the constraints found in a file: every
+ * function with its parameters and constraints, where each constraint lists
+ * the test cases passing its value, and the test cases themselves.
+ *
+ * @param   {String} filePath            Path of the input file.
+ * @param   {Object} functionConstraints Constraints object as returned by `constraints`.
+ * @param   {Object} [options]           Combination options, see `enumerateTestCases`.
+ * @returns {Object}                     Report as `{ file, functions, testCases }`, where functions maps
+ *                                       each function name to `{ params, loc, constraints, paths }` and
+ *                                       each constraint refers to test cases by their index in testCases.
+ */
+function buildReport(filePath, functionConstraints, options = {}) {
+
+    let testCases = enumerateTestCases(functionConstraints, options);
+
+    // Test cases pass a value whatever expression it is written as.
+    let passed = _.map(testCases, testCase => _.map(testCase.values, value => canonicalSource(String(value))));
+
+    let functions = _.mapValues(functionConstraints, (func, funcName) => ({
+        params: func.params,
+        loc: func.loc,
+        constraints: _.flatMap(func.params, (param, index) => _.map(func.constraints[param], constraint => ({
+            ident: constraint.ident,
+            expression: constraint.expression,
+            operator: constraint.operator,
+            value: constraint.value,
+            kind: constraint.kind,
+            layout: constraint.layout ? stateLabel(constraint.layout) : undefined,
+            loc: constraint.loc,
+            testCases: _.filter(_.range(testCases.length), i => testCases[i].funcName === funcName && passed[i][index] === canonicalSource(String(constraint.value)))
+        }))),
+        paths: func.paths || []
+    }));
+
+    return {
+        file: filePath,
+        functions: functions,
+        testCases: _.map(testCases, testCase => ({ funcName: testCase.funcName, title: testCaseTitle(testCase), args: testCase.args, mockFs: testCase.mockFs }))
+    };
+}
+
+
+/**
+ * Render a report as a static HTML page showing the source of the file, with
+ * the constraints found in each line listed below it. Constraints that do not
+ * come from a single expression are listed below the first line of their function.
+ *
+ * @param   {String} buf    Source code of the input file.
+ * @param   {Object} report Report as returned by `buildReport`.
+ * @returns {String}        HTML page.
+ */
+function htmlReport(buf, report) {
+
+    // Group constraints by the line they are shown below.
+    let byLine = {};
+    for( let funcName in report.functions ) {
+        let func = report.functions[funcName];
+        for( let constraint of func.constraints ) {
+            let line = _.get(constraint.loc, 'start.line') || _.get(func.loc, 'start.line') || 1;
+            (byLine[line] = byLine[line] || []).push(_.assign({ funcName: funcName }, constraint));
+        }
+    }
+
+    let rows = _.map(buf.split('\n'), (text, index) => {
+        let line = index + 1;
+        let row = `<tr><td class="line">${line}</td><td><pre>${_.escape(text) || ' '}</pre></td></tr>`;
+        if( byLine[line] ) {
+            let items = _.map(byLine[line], constraint => {
+                let origin = constraint.expression ? ` from <code>${_.escape(constraint.expression.replace(/\s+/g, ' '))}</code>` : '';
+                let layout = constraint.layout ? `: ${_.escape(constraint.layout)}` : '';
+                let targeted = constraint.testCases.length;
+                return `<li class="${targeted > 0 ? 'targeted' : 'untargeted'}">${_.escape(constraint.funcName)}: <code>${_.escape(constraint.ident)} = ${_.escape(String(constraint.value))}</code>`
+                    + ` (${_.escape(constraint.kind)}${layout}${origin}), ${targeted} test case${targeted === 1 ? '' : 's'}</li>`;
+            });
+            row += `\n<tr class="constraints"><td></td><td><ul>${items.join('')}</ul></td></tr>`;
+        }
+        return row;
+    });
+
+    let title = `Constraints of ${_.escape(report.file)}`;
+    return `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>${title}</title>\n<style>${style}</style>\n</head>\n<body>\n`
+        + `<h1>${title}</h1>\n<p>${report.testCases.length} test cases. Constraints no test case passes are shown in red.</p>\n`
+        + `<table>\n${rows.join('\n')}\n</table>\n</body>\n</html>\n`;
+}
+
+
+/**
+ * Write the JSON and HTML reports of a file to a directory, as
+ * `<module>.constraints.json` and `<module>.constraints.html`.
+ *
+ * @param   {String}   filePath            Path of the input file.
+ * @param   {Object}   functionConstraints Constraints object as returned by `constraints`.
+ * @param   {String}   dir                 Directory to write the reports to.
+ * @param   {Object}   [options]           Combination options, see `enumerateTestCases`.
+ * @returns {String[]}                     Paths of the written files.
+ */
+function writeReport(filePath, functionConstraints, dir, options = {}) {
+
+    let report = buildReport(filePath, functionConstraints, options);
+    let base = path.join(dir, `${path.basename(filePath, path.extname(filePath))}.constraints`);
+
+    fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2), 'utf8');
+    fs.writeFileSync(`${base}.html`, htmlReport(fs.readFileSync(filePath, 'utf8'), report), 'utf8');
+    return [`${base}.json`, `${base}.html`];
+}
+
+
+// Export
+module.exports = buildReport;
+module.exports.htmlReport = htmlReport;
+module.exports.writeReport = writeReport;
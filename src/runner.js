@@ -0,0 +1,223 @@
+// Core/NPM Modules
+const mock    = require('mock-fs');
+const path    = require('path');
+const _       = require('lodash');
+
+
+// Local Modules
+const { isModule, loadModule } = require('./modules');
+
+
+
+// Milliseconds an asynchronous call is given to settle by default.
+const defaultTimeout = 2000;
+
+
+/**
+ * Load a fresh copy of a module, dropping any copy cached by an earlier load.
+ * ES modules are loaded from their CommonJS rewrite.
+ *
+ * @param   {String} filePath Path of the module to load.
+ * @returns {Object}          Exports of the module.
+ */
+function loadSubject(filePath) {
+    let resolved = require.resolve(path.resolve(filePath));
+    if( isModule(resolved) ) {
+        return loadModule(resolved).exports;
+    }
+    delete require.cache[resolved];
+    return require(resolved);
+}
+
+
+/**
+ * Look up an exported function by its path within a module's exports.
+ *
+ * @param   {Object}   subject    Exports of the module.
+ * @param   {String[]} exportPath Path of the function, empty for a module exporting a single function.
+ * @returns {Object}              Function and the object it is a method of, as `{ func, receiver }`.
+ */
+function resolveExport(subject, exportPath) {
+    let receiver = exportPath.length > 1 ? _.get(subject, _.initial(exportPath)) : subject;
+    let func = exportPath.length > 0 ? _.get(subject, exportPath) : subject;
+    return { func, receiver };
+}
+
+
+/**
+ * Look up the function a test case calls, building the instance it is a
+ * method of, by calling the constructor and making the calls of the setup,
+ * for test cases of instance methods. The calls of the sequence of a test
+ * case are made first, the subject should be a fresh copy for those.
+ *
+ * @param   {Object} subject  Exports of the module.
+ * @param   {Object} testCase Test case as returned by `enumerateTestCases`.
+ * @returns {Object}          Function and the object it is a method of, as `{ func, receiver }`.
+ */
+function resolveCall(subject, testCase) {
+
+    for( let call of _.get(testCase, 'sequence.calls', []) ) {
+        let { func, receiver } = resolveExport(subject, call.exportPath);
+        func.apply(receiver, evaluate(`[${call.args}]`));
+    }
+
+    let kind = _.get(testCase, 'member.kind');
+    if( kind === undefined ) {
+        return resolveExport(subject, testCase.exportPath);
+    }
+
+    let Class = resolveExport(subject, testCase.member.classPath).func;
+    if( kind === 'constructor' ) {
+        return { func: (...args) => new Class(...args), receiver: null };
+    }
+
+    let instance = new Class(...evaluate(`[${testCase.instance.args}]`));
+    for( let call of testCase.instance.calls ) {
+        instance[call.method](...evaluate(`[${call.args}]`));
+    }
+    return { func: instance[testCase.member.name], receiver: instance };
+}
+
+
+/**
+ * Evaluate a generated source fragment, with `mock` in scope as it is
+ * in the generated test files.
+ *
+ * @param   {String} source JavaScript expression source.
+ * @returns {*}             Value of the expression.
+ */
+function evaluate(source) {
+    return new Function('mock', `return (${source});`)(mock);
+}
+
+
+/**
+ * Run a single test case against a loaded module and record what happened.
+ *
+ * Asynchronous outcomes are not waited for: callback-style functions are
+ * passed a callback ignoring its arguments, and rejections of returned
+ * promises are ignored. See `settleTestCase` to record them.
+ *
+ * @param   {Object} subject  Exports of the module under test.
+ * @param   {Object} testCase Test case as returned by `enumerateTestCases`.
+ * @returns {Object}          Outcome as `{ threw: false, value }` or `{ threw: true, error }`.
+ */
+function runTestCase(subject, testCase) {
+
+    // Evaluate arguments before mocking, the sources may need the real file system.
+    let args = evaluate(`[${testCase.args}]`);
+    let layout = testCase.mockFs !== null ? evaluate(testCase.mockFs) : null;
+
+    if( layout !== null ) {
+        mock(layout);
+    }
+
+    try {
+        let { func, receiver } = resolveCall(subject, testCase);
+        let value = func.apply(receiver, testCase.callback ? [...args, _.noop] : args);
+        if( isThenable(value) ) {
+            value.then(_.noop, _.noop);
+        }
+        return { threw: false, value: value };
+    }
+    catch (e) {
+        return { threw: true, error: e };
+    }
+    finally {
+        if( layout !== null ) {
+            mock.restore();
+        }
+    }
+}
+
+
+/**
+ * Run a single test case against a loaded module, waiting for asynchronous
+ * outcomes: the promise a function returns, or the first call of the callback
+ * passed to a callback-style function. The file system stays mocked until the
+ * call has settled.
+ *
+ * @param   {Object}  subject   Exports of the module under test.
+ * @param   {Object}  testCase  Test case as returned by `enumerateTestCases`.
+ * @param   {Number}  [timeout] Milliseconds the call is given to settle.
+ * @returns {Promise}           Outcome as returned by `runTestCase` for synchronous calls. Asynchronous
+ *                              ones also have `settled`: 'resolved' with the value, 'rejected' with the
+ *                              error as thrown, or 'pending' if the call did not settle in time.
+ */
+async function settleTestCase(subject, testCase, timeout = defaultTimeout) {
+
+    let args = evaluate(`[${testCase.args}]`);
+    let layout = testCase.mockFs !== null ? evaluate(testCase.mockFs) : null;
+
+    if( layout !== null ) {
+        mock(layout);
+    }
+
+    try {
+        let result;
+        try {
+            // Building the instance or making the calls of a sequence may throw as well.
+            let { func, receiver } = resolveCall(subject, testCase);
+            if( testCase.callback ) {
+                // As in the generated tests, errors passed to the callback or thrown reject the call.
+                result = new Promise((resolve, reject) => func.apply(receiver, [...args, (error, value) => error ? reject(error) : resolve(value)]));
+            }
+            else {
+                result = func.apply(receiver, args);
+            }
+        }
+        catch (e) {
+            return { threw: true, error: e };
+        }
+        if( !testCase.callback && !isThenable(result) ) {
+            return { threw: false, value: result };
+        }
+        return await settle(result, timeout);
+    }
+    finally {
+        if( layout !== null ) {
+            mock.restore();
+        }
+    }
+}
+
+
+/**
+ * Wait for a promise to settle.
+ *
+ * @param   {Promise} promise Promise to wait for.
+ * @param   {Number}  timeout Milliseconds to wait at most.
+ * @returns {Promise}         Outcome with `settled`, see `settleTestCase`.
+ */
+function settle(promise, timeout) {
+    let timer;
+    let expired = new Promise(resolve => {
+        timer = setTimeout(() => resolve({ threw: false, value: undefined, settled: 'pending' }), timeout);
+    });
+    let settled = Promise.resolve(promise).then(
+        value => ({ threw: false, value: value, settled: 'resolved' }),
+        error => ({ threw: true, error: error, settled: 'rejected' }));
+    return Promise.race([settled, expired]).then(outcome => {
+        clearTimeout(timer);
+        return outcome;
+    });
+}
+
+
+/**
+ * Whether or not a value is a promise, or behaves like one.
+ *
+ * @param   {*}       value Value to check.
+ * @returns {Boolean}       True if the value has a `then` method.
+ */
+function isThenable(value) {
+    return value !== null && (typeof value === 'object' || typeof value === 'function') && _.isFunction(value.then);
+}
+
+
+// Export
+module.exports = runTestCase;
+module.exports.settleTestCase = settleTestCase;
+module.exports.loadSubject = loadSubject;
+module.exports.resolveExport = resolveExport;
+module.exports.defaultTimeout = defaultTimeout;
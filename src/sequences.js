@@ -0,0 +1,257 @@
+// Core/NPM Modules
+const mock    = require('mock-fs');
+const _       = require('lodash');
+
+
+// Local Modules
+const { parseFile, traverseScoped }   = require('./constraint');
+const exportedFunctions               = require('./functions');
+const { functionTypes, unwrapExport } = require('./functions');
+const { stateConditions }             = require('./classes');
+const { argumentRows }                = require('./classes');
+const { resolveExport }               = require('./runner');
+const toSource                        = require('./source');
+const { commonJsSource, loadModule }  = require('./modules');
+const { patternNames }                = require('./modules');
+
+
+
+// Property of the private copies of a module evaluating expressions in its scope.
+const stateVariable = '__testgenState__';
+
+// Longest sequence of calls tried to put the module in a state.
+const maxCalls = 4;
+
+// Most copies of the module loaded while searching for its states.
+const maxLoads = 300;
+
+
+/**
+ * Module-level variables of a module: the variables declared at its top
+ * level, leaving out those holding functions, classes or required modules.
+ *
+ * @param   {Object}   ast Program node.
+ * @returns {String[]}     Names of the variables.
+ */
+function stateVariables(ast) {
+
+    let names = [];
+    for( let statement of _.map(ast.body, unwrapExport) ) {
+        if( statement.type !== 'VariableDeclaration' ) continue;
+        for( let declarator of statement.declarations ) {
+            let init = declarator.init;
+            let type = _.get(init, 'type');
+            if( _.includes(functionTypes, type) || type === 'ClassExpression'
+                || (type === 'CallExpression' && _.get(init, 'callee.name') === 'require') ) {
+                continue;
+            }
+            names.push(...patternNames(declarator.id));
+        }
+    }
+    return _.uniq(names);
+}
+
+
+/**
+ * Module-level variables a function reads and writes, not counting those
+ * its parameters or locals shadow. Assigning or updating a variable or one of
+ * its members, deleting one of its members or calling one of its methods,
+ * like `cache.set(key, value)`, writes to it.
+ *
+ * @param   {Object}   funcNode Function node.
+ * @param   {String[]} names    Module-level variables, as returned by `stateVariables`.
+ * @returns {Object}            Accessed variables as `{ reads, writes }`.
+ */
+function stateAccess(funcNode, names) {
+
+    let reads = [], writes = [];
+    let keys = new Set();
+    let root = node => node.type === 'MemberExpression' ? root(node.object) : node;
+
+    traverseScoped(funcNode, names, (node, visible) => {
+        if( !node || !node.type ) return;
+
+        // Property names are not references.
+        if( node.type === 'MemberExpression' && !node.computed ) keys.add(node.property);
+        if( (node.type === 'Property' || node.type === 'MethodDefinition') && !node.computed && !node.shorthand ) keys.add(node.key);
+
+        if( node.type === 'Identifier' && _.includes(visible, node.name) && !keys.has(node) ) {
+            reads.push(node.name);
+        }
+
+        let target = node.type === 'AssignmentExpression' ? node.left
+            : node.type === 'UpdateExpression' ? node.argument
+            : node.type === 'UnaryExpression' && node.operator === 'delete' ? node.argument
+            : node.type === 'CallExpression' && node.callee.type === 'MemberExpression' ? node.callee.object
+            : null;
+        if( target && root(target).type === 'Identifier' && _.includes(visible, root(target).name) ) {
+            writes.push(root(target).name);
+        }
+    });
+
+    return { reads: _.uniq(reads), writes: _.uniq(writes) };
+}
+
+
+/**
+ * Find the call sequences putting the module-level state of a module in the
+ * states its exported functions test.
+ *
+ * The conditions each function tests on the module-level variables it reads
+ * are collected, then sequences of calls to the exported functions writing
+ * to those variables are tried on fresh copies of the module, shortest
+ * first, with the values found for their parameters, until every condition
+ * was seen both true and false or the search budget runs out. Each function
+ * gets one sequence per condition a fresh module does not meet.
+ *
+ * @param   {String} filePath            Path of the module.
+ * @param   {Object} functionConstraints Constraints object as returned by `constraints`.
+ * @returns {Object}                     The constraints object, where functions testing the module
+ *                                       state have `sequences`, as `{ calls, label }` where calls are
+ *                                       `{ funcName, exportPath, args }` and label is the condition met.
+ */
+function stateSequences(filePath, functionConstraints) {
+
+    let { buf, ast } = parseFile(filePath);
+    let names = stateVariables(ast);
+    let functions = _.filter(exportedFunctions(ast), f => !f.member && _.has(functionConstraints, f.name));
+    if( names.length === 0 || functions.length === 0 ) {
+        return functionConstraints;
+    }
+
+    let access = _.fromPairs(_.map(functions, f => [f.name, stateAccess(f.node, names)]));
+    let targets = _.fromPairs(_.map(functions, f => [f.name,
+        _.flatMap(stateConditions(f.node, buf, access[f.name].reads), condition => [condition, `!(${condition})`])]));
+    let writers = _.flatMap(_.filter(functions, f => access[f.name].writes.length > 0 && functionConstraints[f.name].callback === null),
+        f => _.map(argumentRows(functionConstraints[f.name]), args => ({ funcName: f.name, exportPath: f.exportPath, args: args })));
+    if( _.every(targets, _.isEmpty) || writers.length === 0 ) {
+        return functionConstraints;
+    }
+
+    let code;
+    try {
+        code = `${commonJsSource(filePath)}\n;module.${stateVariable} = source => eval(source);\n`;
+    }
+    catch (e) {
+        return functionConstraints;
+    }
+
+    // Breadth-first search over call sequences, on a fresh copy of the module for each, skipping states seen before.
+    let found = {}, initial = {}, seen = [], loads = 0;
+    let queue = [[]];
+    let remaining = () => _.some(targets, (conditions, funcName) => _.some(conditions, condition => !_.has(found, [funcName, condition])));
+
+    while( queue.length > 0 && loads < maxLoads && remaining() ) {
+        let calls = queue.shift();
+        let state = replay(filePath, code, calls);
+        loads++;
+        if( state === null ) {
+            continue;
+        }
+
+        for( let funcName in targets ) {
+            for( let condition of targets[funcName] ) {
+                if( !_.has(found, [funcName, condition]) && holds(state, condition) ) {
+                    _.set(found, [funcName, condition], calls);
+                    if( calls.length === 0 ) {
+                        _.set(initial, [funcName, condition], true);
+                    }
+                }
+            }
+        }
+
+        let snapshot = toSource(_.fromPairs(_.map(names, name => [name, evaluate(state, name)])));
+        if( calls.length < maxCalls && (snapshot === null || !_.includes(seen, snapshot)) ) {
+            seen.push(snapshot);
+            queue.push(..._.map(writers, call => [...calls, call]));
+        }
+    }
+
+    // Functions are already tested on a fresh module, sequences are only needed for the conditions it does not meet.
+    for( let funcName in targets ) {
+        let sequences = [];
+        for( let condition of targets[funcName] ) {
+            let calls = _.get(found, [funcName, condition]);
+            if( calls && !_.get(initial, [funcName, condition]) && !_.some(sequences, s => _.isEqual(s.calls, calls)) ) {
+                sequences.push({ calls: calls, label: condition });
+            }
+        }
+        if( sequences.length > 0 ) {
+            functionConstraints[funcName].sequences = sequences;
+        }
+    }
+    return functionConstraints;
+}
+
+
+/**
+ * Load a fresh copy of a module and make a sequence of calls to its exports,
+ * with an empty mocked file system.
+ *
+ * @param   {String}        filePath Path of the module.
+ * @param   {String}        code     Source of the module, exposing its scope.
+ * @param   {Object[]}      calls    Calls as `{ exportPath, args }`.
+ * @returns {Function|null}          Function evaluating an expression in the scope of the module,
+ *                                   or null if the module could not be loaded or a call threw.
+ */
+function replay(filePath, code, calls) {
+
+    // The module is loaded before mocking the file system, it may require other local modules.
+    let loaded;
+    try {
+        loaded = loadModule(filePath, code);
+    }
+    catch (e) {
+        return null;
+    }
+
+    mock({});
+    try {
+        for( let call of calls ) {
+            let { func, receiver } = resolveExport(loaded.exports, call.exportPath);
+            func.apply(receiver, new Function(`return [${call.args}];`)());
+        }
+        return loaded[stateVariable];
+    }
+    catch (e) {
+        return null;
+    }
+    finally {
+        mock.restore();
+    }
+}
+
+
+/**
+ * Whether or not a condition holds in the scope of a module.
+ *
+ * @param   {Function} state     Function evaluating an expression in the scope of the module.
+ * @param   {String}   condition Source of the condition.
+ * @returns {Boolean}            True if the condition is truthy, false if not or if it throws.
+ */
+function holds(state, condition) {
+    return Boolean(evaluate(state, condition));
+}
+
+
+/**
+ * Evaluate an expression in the scope of a module.
+ *
+ * @param   {Function} state  Function evaluating an expression in the scope of the module.
+ * @param   {String}   source Source of the expression.
+ * @returns {*}               Value of the expression, or undefined if it throws.
+ */
+function evaluate(state, source) {
+    try {
+        return state(`(${source})`);
+    }
+    catch (e) {
+        return undefined;
+    }
+}
+
+
+// Export
+module.exports = stateSequences;
+module.exports.stateVariables = stateVariables;
+module.exports.stateAccess = stateAccess;
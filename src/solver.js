@@ -0,0 +1,217 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+// Local Modules
+const toSource                              = require('./source');
+const { matchingString, nonMatchingString } = require('./strings');
+const boundaryValues                        = require('./boundaries');
+const solveLinear                           = require('./linear');
+const { LinearAtom }                        = require('./linear');
+
+
+
+// Operator used when a comparison is negated.
+const negatedOperator = { '<': '>=', '<=': '>', '>': '<=', '>=': '<', '==': '!=', '!=': '==', '===': '!==', '!==': '===' };
+
+// Operator used when the operands of a comparison are swapped.
+const mirroredOperator = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '==': '==', '!=': '!=', '===': '===', '!==': '!==' };
+
+
+/**
+ * Atom class. A single condition on one parameter, as found on a path through a function.
+ *
+ * @property {String}                                                                    ident    Parameter the atom constrains.
+ * @property {String[]}                                                                  path     Property path read from the parameter, empty for the parameter itself.
+ * @property {'compare'|'truthy'|'falsy'|'indexOf'|'notIndexOf'|'matches'|'notMatches'} op       Kind of condition.
+ * @property {String}                                                                    operator Comparison operator, for compare atoms.
+ * @property {*}                                                                         value    Constant compared against, searched for by indexOf, or regular expression to (not) match.
+ * @property {Number}                                                                    index    Index the value must (not) be found at, for indexOf atoms.
+ */
+class Atom {
+    constructor(properties){
+        this.ident = properties.ident;
+        this.path = properties.path || [];
+        this.op = properties.op;
+        this.operator = properties.operator;
+        this.value = properties.value;
+        this.index = properties.index;
+    }
+
+    /**
+     * The atom with the opposite meaning.
+     *
+     * @returns {Atom} Negated atom.
+     */
+    negate() {
+        let op = { truthy: 'falsy', falsy: 'truthy', indexOf: 'notIndexOf', notIndexOf: 'indexOf', matches: 'notMatches', notMatches: 'matches', compare: 'compare' }[this.op];
+        let operator = this.op === 'compare' ? negatedOperator[this.operator] : this.operator;
+        return new Atom(_.assign({}, this, { op, operator }));
+    }
+
+    /**
+     * Whether or not a concrete parameter value satisfies the atom.
+     *
+     * @param   {*}       paramValue Value of the parameter.
+     * @returns {Boolean}            True if the condition holds for the value.
+     */
+    test(paramValue) {
+        let v = this.path.length === 0 ? paramValue : _.get(paramValue, this.path);
+        switch( this.op ) {
+            case 'truthy':     return !!v;
+            case 'falsy':      return !v;
+            case 'indexOf':    return _.isString(v) && v.indexOf(this.value) === this.index;
+            case 'notIndexOf': return _.isString(v) && v.indexOf(this.value) !== this.index;
+            case 'matches':    return _.isString(v) && new RegExp(this.value.source, this.value.flags.replace('g', '')).test(v);
+            case 'notMatches': return _.isString(v) && !new RegExp(this.value.source, this.value.flags.replace('g', '')).test(v);
+            case 'compare':    return compare(v, this.operator, this.value);
+        }
+        return false;
+    }
+}
+
+
+/**
+ * Evaluate a comparison with JavaScript semantics.
+ *
+ * @param   {*}       left     Left operand.
+ * @param   {String}  operator Comparison operator.
+ * @param   {*}       right    Right operand.
+ * @returns {Boolean}          Result of the comparison.
+ */
+function compare(left, operator, right) {
+    switch( operator ) {
+        case '<':   return left < right;
+        case '<=':  return left <= right;
+        case '>':   return left > right;
+        case '>=':  return left >= right;
+        case '==':  return left == right;
+        case '!=':  return left != right;
+        case '===': return left === right;
+        case '!==': return left !== right;
+    }
+    return false;
+}
+
+
+/**
+ * Find concrete parameter values satisfying a conjunction of atoms.
+ *
+ * Candidate values are derived from the constants of the atoms (around each
+ * numeric bound, the compared strings and prefixes, truthy and falsy values)
+ * and the first candidate satisfying every atom on a parameter is kept.
+ * Parameters compared with each other are solved together by `solveLinear`.
+ *
+ * @param   {Array}       atoms Atoms and linear atoms that must all hold.
+ * @returns {Object|null}       Map from parameter name to value source, or null if the atoms are infeasible.
+ */
+function solve(atoms) {
+
+    let values = {};
+
+    // Parameters related by linear atoms are solved together, restricted by their own atoms.
+    let [linear, simple] = _.partition(atoms, atom => atom instanceof LinearAtom);
+    if( linear.length > 0 ) {
+        let related = _.uniq(_.flatMap(linear, atom => atom.idents));
+        let domains = _.mapValues(_.groupBy(_.filter(simple, atom => _.includes(related, atom.ident)), 'ident'), paramAtoms => ({
+            candidates: _.filter(candidates(paramAtoms), _.isNumber),
+            test: value => _.every(paramAtoms, atom => atom.test(value))
+        }));
+        let solution = solveLinear(linear, domains);
+        if( solution === null ) {
+            return null;
+        }
+        values = _.mapValues(solution, toSource);
+        simple = _.reject(simple, atom => _.includes(related, atom.ident));
+    }
+
+    for( let [ident, paramAtoms] of _.toPairs(_.groupBy(simple, 'ident')) ) {
+        let value = _.find(candidates(paramAtoms), candidate => _.every(paramAtoms, atom => atom.test(candidate)));
+        if( value === undefined && !_.every(paramAtoms, atom => atom.test(undefined)) ) {
+            return null;
+        }
+        values[ident] = toSource(value);
+    }
+
+    return values;
+}
+
+
+/**
+ * Candidate values for a parameter constrained by some atoms.
+ *
+ * @param   {Atom[]} atoms Atoms on the parameter.
+ * @returns {Array}        Candidate values, most specific first.
+ */
+function candidates(atoms) {
+
+    // Atoms on properties are satisfied by objects built from their candidate property values.
+    let [own, nested] = _.partition(atoms, atom => atom.path.length === 0);
+    if( nested.length > 0 && _.every(nested, atom => _.isEqual(atom.path, ['length'])) ) {
+        return stringsOfLength(own, nested);
+    }
+    if( nested.length > 0 ) {
+        let properties = _.groupBy(nested, atom => atom.path.join('.'));
+        let object = {};
+        for( let key in properties ) {
+            let propertyAtoms = _.map(properties[key], atom => new Atom(_.assign({}, atom, { path: [] })));
+            let value = _.find(candidates(propertyAtoms), candidate => _.every(propertyAtoms, atom => atom.test(candidate)));
+            _.set(object, key, value);
+        }
+        return [object, {}, null, undefined];
+    }
+
+    let values = [];
+    for( let atom of own ) {
+        if( atom.op === 'indexOf' ) {
+            values.push(_.repeat('x', Math.max(atom.index, 0)) + atom.value);
+        }
+        else if( atom.op === 'notIndexOf' ) {
+            values.push('', 'x' + atom.value);
+        }
+        else if( atom.op === 'matches' ) {
+            values.push(matchingString(atom.value));
+        }
+        else if( atom.op === 'notMatches' ) {
+            values.push(..._.compact([nonMatchingString(atom.value)]));
+        }
+        else if( atom.op === 'compare' && _.isNumber(atom.value) ) {
+            values.push(...boundaryValues(atom.value), Math.floor(atom.value) - 1, Math.ceil(atom.value) + 1);
+        }
+        else if( atom.op === 'compare' ) {
+            values.push(atom.value, _.isString(atom.value) ? atom.value + 'x' : 0);
+        }
+    }
+
+    // Prefer values satisfying the numeric bounds of all atoms at once.
+    let lower = _.max(_.map(_.filter(own, a => a.op === 'compare' && _.isNumber(a.value) && _.includes(['>', '>='], a.operator)), a => a.operator === '>' ? Math.floor(a.value) + 1 : Math.ceil(a.value)));
+    let upper = _.min(_.map(_.filter(own, a => a.op === 'compare' && _.isNumber(a.value) && _.includes(['<', '<='], a.operator)), a => a.operator === '<' ? Math.ceil(a.value) - 1 : Math.floor(a.value)));
+    if( lower !== undefined ) values.unshift(lower);
+    if( upper !== undefined ) values.unshift(upper);
+
+    return [...values, true, false, 1, 0, -1, 'x', '', null, undefined];
+}
+
+
+/**
+ * Candidate strings for a parameter whose length is constrained, built by
+ * padding or truncating the candidates of the other atoms to the candidate lengths.
+ *
+ * @param   {Atom[]} own     Atoms on the parameter itself.
+ * @param   {Atom[]} lengths Atoms on the length of the parameter.
+ * @returns {Array}          Candidate values.
+ */
+function stringsOfLength(own, lengths) {
+    let lengthAtoms = _.map(lengths, atom => new Atom(_.assign({}, atom, { path: [] })));
+    let sizes = _.filter(candidates(lengthAtoms), size => _.isInteger(size) && size >= 0 && size <= 1000);
+    let strings = _.uniq(['', ..._.filter(candidates(own), _.isString)]);
+    let fitted = _.flatMap(sizes, size => _.flatMap(strings, string => [_.padEnd(string, size, 'x'), string.slice(0, size)]));
+    return [...fitted, ...candidates(own)];
+}
+
+
+// Export
+module.exports = solve;
+module.exports.Atom = Atom;
+module.exports.LinearAtom = LinearAtom;
+module.exports.mirroredOperator = mirroredOperator;
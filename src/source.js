@@ -0,0 +1,114 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+
+/**
+ * Serialize a runtime value back to JavaScript source, so that a value
+ * recorded while running the subject can be written into a generated test.
+ *
+ * Handles primitives (including undefined, NaN, Infinity and -0), arrays,
+ * dates and plain objects. Anything else (functions, class instances,
+ * symbols, circular structures) cannot be reproduced and yields null.
+ *
+ * @param   {*}           value Value to serialize.
+ * @returns {String|null}       Source of an expression evaluating to an equal value, or null.
+ */
+function toSource(value) {
+    return serialize(value, []);
+}
+
+
+/**
+ * Serialize a value, keeping track of the objects being serialized to detect cycles.
+ *
+ * @param   {*}           value   Value to serialize.
+ * @param   {Object[]}    parents Objects currently being serialized.
+ * @returns {String|null}         Source of the value, or null.
+ */
+function serialize(value, parents) {
+
+    // Primitives
+    if( value === undefined )   return 'undefined';
+    if( value === null )        return 'null';
+    if( _.isNumber(value) ) {
+        if( _.isNaN(value) )    return 'NaN';
+        if( value === Infinity )  return 'Infinity';
+        if( value === -Infinity ) return '-Infinity';
+        if( Object.is(value, -0) ) return '-0';
+        return String(value);
+    }
+    if( _.isString(value) || _.isBoolean(value) ) {
+        return JSON.stringify(value);
+    }
+    if( _.isDate(value) ) {
+        return `new Date(${value.getTime()})`;
+    }
+
+    // Containers
+    if( typeof value !== 'object' || _.includes(parents, value) ) {
+        return null;
+    }
+    if( _.isArray(value) ) {
+        let items = _.map(value, v => serialize(v, [...parents, value]));
+        return _.includes(items, null) ? null : `[${items.join(', ')}]`;
+    }
+    if( _.isPlainObject(value) ) {
+        let entries = _.map(_.keys(value), k => [k, serialize(value[k], [...parents, value])]);
+        if( _.some(entries, e => e[1] === null) ) return null;
+        return entries.length === 0 ? '{}' : `{ ${_.map(entries, e => `${JSON.stringify(e[0])}: ${e[1]}`).join(', ')} }`;
+    }
+    return null;
+}
+
+
+/**
+ * Constraint kind of the source of a value.
+ *
+ * @param   {String} source Source of the value.
+ * @returns {String}        'string', 'object' for arrays and objects, 'integer' otherwise.
+ */
+function kindOfSource(source) {
+    if( /^["']/.test(source) ) return 'string';
+    if( /^(\.\.\.)?[[{]/.test(source) ) return 'object';
+    return 'integer';
+}
+
+
+/**
+ * Evaluate the source of a value.
+ *
+ * @param   {String} source JavaScript expression source.
+ * @returns {*}             Value of the expression, or undefined if it cannot be evaluated.
+ */
+function evaluateSource(source) {
+    try {
+        return new Function(`return (${source});`)();
+    }
+    catch (e) {
+        return undefined;
+    }
+}
+
+
+/**
+ * Canonical source of the value a source evaluates to, so that sources of
+ * equal values, such as "'a'" and '"a"', have the same canonical source.
+ * Sources that do not evaluate, or whose value cannot be serialized, are
+ * their own canonical source.
+ *
+ * @param   {String} source JavaScript expression source.
+ * @returns {String}        Canonical source.
+ */
+function canonicalSource(source) {
+    let value = evaluateSource(source);
+    let canonical = value !== undefined ? toSource(value) : null;
+    return canonical !== null ? canonical : source;
+}
+
+
+// Export
+module.exports = toSource;
+module.exports.kindOfSource = kindOfSource;
+module.exports.evaluateSource = evaluateSource;
+module.exports.canonicalSource = canonicalSource;
@@ -0,0 +1,137 @@
+// Core/NPM Modules
+const RandExp = require('randexp');
+const Random  = require('random-js');
+const _       = require('lodash');
+
+
+// Local Modules
+const { engine } = require('./random');
+
+
+
+// String methods whose result tells whether a string matches a pattern.
+const testMethods = ['startsWith', 'endsWith', 'includes', 'match', 'test'];
+
+// String methods applying a pattern without telling whether it matched.
+const applyMethods = ['replace', 'search', 'split'];
+
+// Longest repetition randexp generates for unbounded quantifiers.
+const maxRepetition = 5;
+
+
+/**
+ * Recognize a string predicate applied to a parameter.
+ *
+ * Recognizes `param.startsWith('..')`, `param.endsWith('..')` and
+ * `param.includes('..')` with constant strings, `param.replace(/../, ..)`,
+ * `param.match(/../)`, `param.search(/../)` and `param.split(/../)` with
+ * regex literals, and `/../.test(param)`. Every predicate is expressed as
+ * the regular expression a string has to match for it to hold.
+ *
+ * @param   {Object}      node   Esprima node.
+ * @param   {String[]}    params Parameter names of the function.
+ * @returns {Object|null}        Predicate as `{ ident, method, regex, test }`, where test tells whether
+ *                               the call's truthiness is the outcome of the match, or null.
+ */
+function stringPredicate(node, params) {
+
+    if( _.get(node, 'type') !== 'CallExpression' || node.callee.type !== 'MemberExpression' || node.callee.computed ) {
+        return null;
+    }
+    let method = node.callee.property.name;
+    let receiver = node.callee.object;
+    let argument = node.arguments[0];
+    let isParam = n => _.get(n, 'type') === 'Identifier' && _.includes(params, n.name);
+
+    // Pattern tested against a parameter.
+    if( method === 'test' && isRegexLiteral(receiver) && isParam(argument) ) {
+        return { ident: argument.name, method, regex: regexOf(receiver), test: true };
+    }
+    if( !isParam(receiver) ) {
+        return null;
+    }
+
+    // Constant strings searched for in a parameter.
+    if( _.includes(['startsWith', 'endsWith', 'includes'], method) && _.isString(_.get(argument, 'value')) ) {
+        let escaped = _.escapeRegExp(argument.value);
+        let source = { startsWith: `^${escaped}`, endsWith: `${escaped}$`, includes: escaped }[method];
+        return { ident: receiver.name, method, regex: new RegExp(source), test: true };
+    }
+
+    // Patterns applied to a parameter.
+    if( _.includes(['match', ...applyMethods], method) && isRegexLiteral(argument) ) {
+        return { ident: receiver.name, method, regex: regexOf(argument), test: _.includes(testMethods, method) };
+    }
+
+    return null;
+}
+
+
+/**
+ * Generate a string matching a regular expression.
+ *
+ * @param   {RegExp} regex Regular expression.
+ * @returns {String}       Matching string.
+ */
+function matchingString(regex) {
+    let generator = new RandExp(regex);
+    generator.max = maxRepetition;
+    generator.randInt = (from, to) => Random.integer(from, to)(engine);
+    return generator.gen();
+}
+
+
+/**
+ * Generate a string not matching a regular expression, by breaking a
+ * matching one at either end, or trying a few unrelated strings.
+ *
+ * @param   {RegExp}      regex Regular expression.
+ * @returns {String|null}       Non-matching string, or null if every candidate matches.
+ */
+function nonMatchingString(regex) {
+    let matching = matchingString(regex);
+    let candidates = [`${matching}!`, `!${matching}`, matching.slice(0, -1), matching.slice(1), '', new Random(engine).string(matching.length + 1)];
+    let found = _.find(candidates, candidate => !new RegExp(regex.source, regex.flags.replace('g', '')).test(candidate));
+    return found === undefined ? null : found;
+}
+
+
+/**
+ * Generate strings around a length comparison, one character shorter,
+ * exactly as long and one character longer than the compared length.
+ *
+ * @param   {Number}   length Compared length.
+ * @returns {String[]}        Strings of distinct, non-negative lengths.
+ */
+function stringsAroundLength(length) {
+    return _.map(_.filter(_.uniq([length - 1, length, length + 1]), n => n >= 0), n => new Random(engine).string(n));
+}
+
+
+/**
+ * Whether or not a node is a regex literal.
+ *
+ * @param   {Object}  node Esprima node.
+ * @returns {Boolean}      True for regex literals.
+ */
+function isRegexLiteral(node) {
+    return _.get(node, 'type') === 'Literal' && _.has(node, 'regex');
+}
+
+
+/**
+ * Regular expression of a regex literal.
+ *
+ * @param   {Object} node Esprima regex literal node.
+ * @returns {RegExp}      Regular expression.
+ */
+function regexOf(node) {
+    return new RegExp(node.regex.pattern, node.regex.flags);
+}
+
+
+// Export
+module.exports = stringPredicate;
+module.exports.matchingString = matchingString;
+module.exports.nonMatchingString = nonMatchingString;
+module.exports.stringsAroundLength = stringsAroundLength;
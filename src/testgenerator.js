@@ -1,127 +1,378 @@
 // Core/NPM Modules
-const product = require('iter-tools/lib/product');
 const fs      = require("fs");
-const mock    = require('mock-fs');
 const _       = require('lodash');
 
 
+// Local Modules
+const combinations                 = require('./combinations');
+const { settleTestCase }           = require('./runner');
+const { loadSubject }              = require('./runner');
+const { defaultTimeout }           = require('./runner');
+const toSource                     = require('./source');
+const { canonicalSource }          = require('./source');
+const { mockFsLayout, stateLabel } = require('./fsmodel');
+const emitters                     = require('./emitters');
+const { isModule }                 = require('./modules');
 
-// Mock file operations
-const mockFileLibrary = {
-    pathExists: {
-        // 'path/fileExists': {  },
-        // 'path/nonempty': { 'file': '' },
-        emptyDir: 'mock.directory()',
-        nonEmptyDir: 'mock.directory({ items: { file: mock.file() } })',
-        file: 'mock.file()'
-    },
-    fileWithContent: {
-        pathContent: {
-            file1: "new Buffer('abc')",
-            someDir: 'mock.directory()'
-        }
-    }
-};
 
 
 /**
  * Generate test cases based on the global object functionConstraints.
  *
- * @param {String} filepath            Path to write test file.
- * @param {Object} functionConstraints Constraints object as returned by `constraints`.
+ * Every test case is run once against the subject while generating, and the
+ * recorded return value or thrown error is pinned with an assertion, so that
+ * the generated file works as a regression suite for the subject. Calls
+ * returning a promise, and calls of callback-style functions, are waited for
+ * and their resolution or rejection is pinned by an awaited assertion, while
+ * calls that do not settle within the timeout get no test. The
+ * format of the file is up to the emitter, mocha and chai by default.
+ *
+ * @param   {String}  filepath            Path of the module under test.
+ * @param   {Object}  functionConstraints Constraints object as returned by `constraints`.
+ * @param   {Object}  [options]           Combination options, see `enumerateTestCases`, the `seed`
+ *                                        used for generation, recorded in the file header, the
+ *                                        `output` path of the test file (test.js by default), the
+ *                                        name of the `emitter`, see `emitters`, and the `timeout` in
+ *                                        milliseconds given to asynchronous calls.
+ * @returns {Promise}                     Resolved once the test file is written.
  */
-function generateTestCases(filepath, functionConstraints) {
+async function generateTestCases(filepath, functionConstraints, options = {}) {
+
+    let emitter = emitters(options.emitter);
+    let timeout = options.timeout || defaultTimeout;
+    let testCases = enumerateTestCases(functionConstraints, options);
 
     // Content string. This will be built up to generate the full text of the test string.
-    let content = `let subject = require('${filepath}')\nlet mock = require('mock-fs');\n`;
+    let content = '';
+    if( options.seed !== undefined ) {
+        content += `// Generated with seed ${options.seed}, re-run with --seed ${options.seed} to reproduce.\n`;
+    }
+    let context = { mocksFs: _.some(testCases, testCase => testCase.mockFs !== null), esm: isModule(filepath) };
+    content += emitter.header(filepath, context);
+
+    // Load the subject to record the behavior of each test case.
+    let subject = loadSubject(filepath);
+
+    // Generate one suite per function, with one test per test case. Call sequences start from a fresh copy.
+    let testCasesByFunction = _.groupBy(testCases, 'funcName');
+    let reloads = 0;
+    for ( let funcName in testCasesByFunction ) {
+        let tests = [];
+        for ( let testCase of testCasesByFunction[funcName] ) {
+            let outcome = await settleTestCase(testCase.sequence ? loadSubject(filepath) : subject, testCase, timeout);
+
+            // Calls that did not settle have no outcome to assert, and would outlive their test.
+            if( outcome.settled === 'pending' ) {
+                continue;
+            }
+            let reload = testCase.sequence ? emitter.reload(filepath, context, ++reloads) : null;
+            tests.push(generateTestCase(testCase, outcome, emitter, timeout, reload));
+        }
+        if( tests.length > 0 ) {
+            content += emitter.suite(funcName, tests);
+        }
+    }
+    content += emitter.footer(context);
+
+    // Write final content string to the output file.
+    fs.writeFileSync(options.output || 'test.js', content, "utf8");
+
+}
+
+
+/**
+ * Enumerate every test case for the global object functionConstraints.
+ *
+ * Each test case is a plain description of a single call: the function name,
+ * its path within the subject's exports, the argument string and the source of
+ * each argument, and, if the function touches the file system, the
+ * mock-fs layout string to install before calling it. The layout creates exactly
+ * the paths the arguments refer to, in the states or with the contents they
+ * were chosen for, and the label describes them. Test cases of callback-style
+ * functions leave the callback out of the arguments, the test passes its own.
+ *
+ * Test cases of class members also have the member, see `exportedFunctions`,
+ * and those of instance methods the instance to call them on, as a setup
+ * found by `instanceSetups`: every argument combination is tried on the
+ * default instance, and the first one on each other instance. Functions
+ * with call sequences, see `stateSequences`, get one more test case per
+ * sequence, with the first value of every parameter, made on a fresh copy of
+ * the subject after the calls of the sequence.
+ *
+ * @param   {Object}   functionConstraints Constraints object as returned by `constraints`.
+ * @param   {Object}   [options]           Combination options as `{ strategy, strength }`, see `combinations`.
+ * @returns {Object[]}                     Test cases as `{ funcName, exportPath, args, values, callback, mockFs, label }`,
+ *                                         along with `member` and `instance` as `{ args, calls }` for class members,
+ *                                         and `sequence` as `{ calls }` for test cases after a call sequence.
+ */
+function enumerateTestCases(functionConstraints, options = {}) {
+
+    let testCases = [];
 
     // Iterate over each function in functionConstraints
     for ( let funcName in functionConstraints ) {
 
         // Reference all constraints for funcName.
         let params = functionConstraints[funcName].params;
+        let exportPath = functionConstraints[funcName].exportPath || [funcName];
+        let callback = params.indexOf(functionConstraints[funcName].callback);
+        let member = functionConstraints[funcName].member;
+        let setups = functionConstraints[funcName].setups || [null];
+
+        // Methods of classes that could not be instantiated cannot be called.
+        if( setups.length === 0 ) {
+            continue;
+        }
 
-        // Get constraints and map to values
-        let constraints = functionConstraints[funcName].constraints;
+        // Get constraints and map to values, once per value whatever expression it comes from.
+        let constraints = _.mapValues(functionConstraints[funcName].constraints, distinctConstraints);
         let values =  _.mapValues(constraints, (arr) => _.map(arr, c => c.value));
+        let defaults = _.map(params, p => !_.isEmpty(values[p]) ? values[p] : ["''"]);
 
-        // Generate possible combinations of arguments
-        let argCombinations = product(..._.map(params, p => !_.isEmpty(values[p]) ? values[p] : ["''"]));
+        // Parameters passed as paths put the file system in a state through their value.
+        let fsLayouts = _.map(params, p => _.fromPairs(_.map(_.filter(constraints[p], 'layout'), c => [c.value, c.layout])));
+        let touchesFs = _.some(fsLayouts, layouts => !_.isEmpty(layouts));
 
-        // Handle global constraints...
-        // Whether or not any constraint is of type fileWithContent of fileExists.
-        let allConstraints = _.flattenDeep(_.map(constraints));
-        let fileWithContent = _.some(allConstraints, { kind: 'fileWithContent' });
-        let pathExists      = _.some(allConstraints, { kind: 'fileExists' });
+        // Generate combinations of arguments.
+        let argCombinations = _.map(combinations(defaults, options.strategy, options.strength), combination => ({ combination, label: null, setup: setups[0] }));
+
+        // Add one combination per feasible path, with unconstrained parameters at their first value.
+        for (let path of functionConstraints[funcName].paths || []) {
+            let combination = _.map(params, (p, i) => _.has(path.values, p) ? path.values[p] : defaults[i][0]);
+            if( !_.some(argCombinations, c => _.isEqual(c.combination, combination)) ) {
+                argCombinations.push({ combination, label: `path: ${path.conditions.join(' && ') || 'default'}`, setup: setups[0] });
+            }
+        }
+
+        // Add one combination per instance state, with every parameter at its first value.
+        for (let setup of _.tail(setups)) {
+            argCombinations.push({ combination: _.map(defaults, _.first), label: `state: ${setup.label}`, setup: setup });
+        }
+
+        // Add one combination per call sequence, likewise.
+        for (let sequence of functionConstraints[funcName].sequences || []) {
+            argCombinations.push({ combination: _.map(defaults, _.first), label: `state: ${sequence.label}`, setup: setups[0], sequence: sequence });
+        }
 
         // Generate function argument strings from parameter objects.
-        for (let combination of argCombinations) {
-
-            // Get final argument string
-            let args = combination.join(', ');
-
-            // If some constraint is of type fileWithContent or pathExists
-            // Generate all combinations of file system test cases.
-            if( pathExists || fileWithContent ) {
-                content += generateMockFsTestCases(true,  true,  funcName, args);
-                content += generateMockFsTestCases(false, true,  funcName, args);
-                content += generateMockFsTestCases(true,  false, funcName, args);
-                content += generateMockFsTestCases(false, false, funcName, args);
+        for (let { combination, label, setup, sequence } of argCombinations) {
+
+            // Get final argument string, without the callback
+            let args = _.filter(combination, (value, i) => i !== callback).join(', ');
+
+            // Mock exactly the paths the arguments refer to, in their states.
+            let layouts = _.map(combination, (value, i) => fsLayouts[i][value]);
+            let mockFs = touchesFs ? mockFsLayout(_.compact(layouts)) : null;
+            let fsLabel = _.compact(_.map(layouts, (layout, i) => layout && `${params[i]}: ${stateLabel(layout)}`)).join(', ');
+
+            let testCase = { funcName, exportPath, args, values: combination, callback: callback !== -1, mockFs, label: joinLabels(label, fsLabel) };
+            if( member ) {
+                _.assign(testCase, { member: member }, setup ? { instance: _.pick(setup, ['args', 'calls']) } : {});
             }
-            // Otherwise, just generate the naive test of calling the function
-            // with default arguments and alternative arguments.
-            else {
-                content += `try { ${ "subject.{0}({1});".format(funcName, args) } } catch (e) {} \n`;
+            if( sequence ) {
+                testCase.sequence = { calls: sequence.calls };
             }
+            testCases.push(testCase);
+        }
+
+    }
+
+    return testCases;
+}
+
+
+/**
+ * Keep one constraint per value, by canonical source, see `canonicalSource`.
+ * Of constraints with equal values, the first one putting the file system in
+ * a state is kept, or else the first one.
+ *
+ * @param   {Object[]} paramConstraints Constraints of a parameter.
+ * @returns {Object[]}                  Constraints with distinct values, in the order they come in.
+ */
+function distinctConstraints(paramConstraints) {
 
+    let distinct = [];
+    let canonical = [];
+    for( let constraint of paramConstraints ) {
+        let key = canonicalSource(String(constraint.value));
+        let index = canonical.indexOf(key);
+        if( index === -1 ) {
+            distinct.push(constraint);
+            canonical.push(key);
+        }
+        else if( constraint.layout && !distinct[index].layout ) {
+            distinct[index] = constraint;
         }
+    }
+    return distinct;
+}
+
 
+/**
+ * Join test case labels, skipping missing ones.
+ *
+ * @param   {...String}   labels Labels to join.
+ * @returns {String|null}        Joined label, or null if there is none.
+ */
+function joinLabels(...labels) {
+    return _.compact(labels).join('; ') || null;
+}
+
+
+/**
+ * Generate the test for a single test case, asserting the recorded outcome.
+ * Tests of asynchronous calls await them, within the timeout. Tests of
+ * constructors assert the own fields of the instance, and tests of methods
+ * build the instance and make the calls of its setup before calling them.
+ * Tests after a call sequence load a fresh copy of the subject and make the
+ * calls on it, and are asynchronous since ES modules are imported again.
+ *
+ * @param   {Object}      testCase Test case as returned by `enumerateTestCases`.
+ * @param   {Object}      outcome  Outcome of the test case as returned by `settleTestCase`.
+ * @param   {Object}      emitter  Emitter writing the test, see `emitters`.
+ * @param   {Number}      timeout  Milliseconds given to asynchronous calls.
+ * @param   {String|null} [reload] Source of the fresh copy of the subject, for test cases after a call sequence.
+ * @returns {String}               Full text of the generated test.
+ */
+function generateTestCase(testCase, outcome, emitter, timeout, reload = null) {
+
+    let kind = _.get(testCase, 'member.kind');
+    let root = testCase.sequence ? 'fresh' : 'subject';
+    let callee = kind === 'method' ? calleeSource([testCase.member.name], 'instance') : calleeSource(testCase.exportPath, root);
+    let setup = kind === 'method' ? instanceSetup(testCase) : '';
+    if( testCase.sequence ) {
+        setup = [`const fresh = ${reload};`, ..._.map(testCase.sequence.calls, call => `${calleeSource(call.exportPath, 'fresh')}(${call.args});`)].join('\n') + '\n';
+    }
+
+    let call = `${callee}(${testCase.args})`;
+    if( testCase.callback ) {
+        // Callback-style calls are turned into promises, rejected with the error passed to the callback.
+        let args = _.compact([testCase.args, '(error, result) => error ? reject(error) : resolve(result)']).join(', ');
+        call = `new Promise((resolve, reject) => ${callee}(${args}))`;
     }
+    if( kind === 'constructor' ) {
+        call = `new ${call}`;
+        if( !outcome.threw ) {
+            call = `Object.assign({}, ${call})`;
+            outcome = { threw: false, value: _.assign({}, outcome.value) };
+        }
+    }
+
+    if( outcome.settled !== undefined ) {
+        return emitter.test(testCaseTitle(testCase), setup + generateAsyncAssertion(call, outcome, emitter), testCase.mockFs, timeout);
+    }
+    return emitter.test(testCaseTitle(testCase), setup + generateAssertion(call, outcome, emitter), testCase.mockFs, testCase.sequence ? timeout : undefined);
+}
+
+
+/**
+ * Generate the statements building the instance a method is called on.
+ *
+ * @param   {Object} testCase Test case of a method, as returned by `enumerateTestCases`.
+ * @returns {String}          Source of the statements, each on its own line.
+ */
+function instanceSetup(testCase) {
+    let statements = [`const instance = new ${calleeSource(testCase.member.classPath)}(${testCase.instance.args});`];
+    for( let call of testCase.instance.calls ) {
+        statements.push(`${calleeSource([call.method], 'instance')}(${call.args});`);
+    }
+    return statements.join('\n') + '\n';
+}
 
-    // Write final content string to file test.js.
-    fs.writeFileSync('test.js', content, "utf8");
 
+/**
+ * Title of the test for a test case: the call, followed by its label if any.
+ *
+ * @param   {Object} testCase Test case as returned by `enumerateTestCases`.
+ * @returns {String}          Title.
+ */
+function testCaseTitle(testCase) {
+    let call = `${testCase.funcName}(${testCase.args})`;
+    return (_.get(testCase, 'member.kind') === 'constructor' ? `new ${call}` : call) + (testCase.label ? ` [${testCase.label}]` : '');
+}
+
+
+/**
+ * Generate the source referring to an exported function of the subject.
+ *
+ * @param   {String[]} exportPath Path of the function within the subject's exports.
+ * @param   {String}   [root]     Source of the object the path starts from, the subject by default.
+ * @returns {String}              Source of the member expression, e.g. `subject.utils.parse`.
+ */
+function calleeSource(exportPath, root = 'subject') {
+    return root + _.map(exportPath, key => /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${toSource(key)}]`).join('');
 }
 
 
 /**
- * Generate test cases for constraints dealing with whether or not a file exists.
+ * Code of an error of the system, such as the errors of fs.
  *
- * @param   {Boolean} pathExists      Whether or not to mock the path existing.
- * @param   {Boolean} fileWithContent Whether or not to mock the file existing with content.
- * @param   {String}  funcName        Name of the function under test.
- * @param   {String}  args            Function argument string.
- * @returns {string}                  Full text of the generated file system test.
+ * @param   {Error}  error Error thrown or rejected by a call.
+ * @returns {String}       Code of the error, or undefined if it has none.
  */
-function generateMockFsTestCases (pathExists, fileWithContent, funcName, args) {
+function errorCode(error) {
+    return typeof error.code === 'string' ? error.code : undefined;
+}
+
 
-    // Partial test data
-    let testCase = "";
-    let mergedFS = {};
+/**
+ * Generate the assertion statement pinning the outcome of a call.
+ *
+ * Errors are asserted by type and message, along with their code for errors
+ * of the system. Outcomes that cannot be serialized back to source are
+ * reduced to calling the function.
+ *
+ * @param   {String} call    Source of the call expression.
+ * @param   {Object} outcome Outcome of the call as returned by `runTestCase`.
+ * @param   {Object} emitter Emitter writing the assertion, see `emitters`.
+ * @returns {String}         Source of the assertion statement.
+ */
+function generateAssertion(call, outcome, emitter) {
 
-    // Add mock data for path if pathExists is true.
-    if( pathExists ) {
-        for (let attrname in mockFileLibrary.pathExists) {
-            mergedFS[attrname] = mockFileLibrary.pathExists[attrname];
+    if( outcome.threw ) {
+        let error = outcome.error;
+        if( error instanceof Error && /^[A-Za-z_$][\w$]*$/.test(error.name) && global[error.name] === error.constructor ) {
+            return emitter.assertThrows(call, error.name, error.message, errorCode(error));
         }
+        return emitter.assertThrows(call);
     }
 
-    // Add mock data for content if fileWithContent is true.
-    if( fileWithContent ) {
-        for (let attrname in mockFileLibrary.fileWithContent) {
-            mergedFS[attrname] = mockFileLibrary.fileWithContent[attrname];
+    let expected = toSource(outcome.value);
+    if( expected === null ) {
+        return `${call};`;
+    }
+    return emitter.assertEqual(call, expected);
+}
+
+
+/**
+ * Generate the awaited assertion pinning the resolution or rejection of an
+ * asynchronous call, in the same way as `generateAssertion`.
+ *
+ * @param   {String} call    Source of the expression evaluating to a promise.
+ * @param   {Object} outcome Settled outcome of the call as returned by `settleTestCase`.
+ * @param   {Object} emitter Emitter writing the assertion, see `emitters`.
+ * @returns {String}         Source of the assertion statement.
+ */
+function generateAsyncAssertion(call, outcome, emitter) {
+
+    if( outcome.settled === 'rejected' ) {
+        let error = outcome.error;
+        if( error instanceof Error && /^[A-Za-z_$][\w$]*$/.test(error.name) && global[error.name] === error.constructor ) {
+            return emitter.assertRejects(call, error.name, error.message, errorCode(error));
         }
+        return emitter.assertRejects(call);
     }
 
-    // Generate and return test case string.
-    testCase += 'try{\n';
-    testCase += `\tmock(${JSON.stringify(mergedFS).replace(/"/g, '')});\n`;
-    testCase += `\t\tsubject.${funcName}(${args});\n`;
-    testCase += "\tmock.restore();\n";
-    testCase += '} catch(e) {}\n';
-    return testCase;
+    let expected = toSource(outcome.value);
+    if( expected === null ) {
+        return `await ${call};`;
+    }
+    return emitter.assertResolves(call, expected);
 }
 
 
 // Export
-module.exports = generateTestCases;
\ No newline at end of file
+module.exports = generateTestCases;
+module.exports.enumerateTestCases = enumerateTestCases;
+module.exports.testCaseTitle = testCaseTitle;
\ No newline at end of file
@@ -0,0 +1,135 @@
+// Core/NPM Modules
+const Random  = require('random-js');
+const _       = require('lodash');
+
+
+// Local Modules
+const { engine }       = require('./random');
+const { walkFunction } = require('./ast');
+
+
+
+// Methods only strings have.
+const stringMethods = ['indexOf', 'lastIndexOf', 'replace', 'substring', 'substr', 'slice', 'split', 'startsWith', 'endsWith',
+    'includes', 'toLowerCase', 'toUpperCase', 'trim', 'match', 'search', 'charAt', 'charCodeAt', 'padStart', 'padEnd', 'repeat'];
+
+// Operators only meaningful for numbers.
+const arithmeticOperators = ['-', '*', '/', '%', '**'];
+
+// Operators ordering their operands.
+const relationalOperators = ['<', '<=', '>', '>='];
+
+
+/**
+ * Infer the type of each parameter of a function from how the function body uses it.
+ *
+ * - string: string methods are called on it (`.indexOf`, `.replace`, ...), its length
+ *           is read, or it is compared to a string.
+ * - number: it is an operand of arithmetic, or compared to a number.
+ * - path:   it is passed as the first argument of an `fs` method.
+ * - object: properties other than string methods are read from it.
+ *
+ * Each use counts as a vote; a path is always a path, otherwise the type
+ * with the most votes wins, and parameters without any use are unknown.
+ *
+ * @param   {Object}   funcNode Esprima node of the function.
+ * @param   {String[]} params   Parameter names of the function.
+ * @returns {Object}            Inferred type by parameter name, as `{ type, fsMethods, properties }`.
+ */
+function inferTypes(funcNode, params) {
+
+    let votes = _.zipObject(params, _.map(params, () => ({ string: 0, number: 0, object: 0, fsMethods: [], properties: [] })));
+    let isParam = node => _.get(node, 'type') === 'Identifier' && _.includes(params, node.name);
+    let isLiteralOf = (node, kind) => _.get(node, 'type') === 'Literal' && typeof node.value === kind;
+
+    walkFunction(funcNode.body, node => {
+
+        // Member access: string methods or object properties.
+        if( node.type === 'MemberExpression' && isParam(node.object) && !node.computed ) {
+            let property = node.property.name;
+            if( _.includes(stringMethods, property) || property === 'length' ) votes[node.object.name].string++;
+            else {
+                votes[node.object.name].object++;
+                votes[node.object.name].properties = _.union(votes[node.object.name].properties, [property]);
+            }
+        }
+
+        // Arithmetic, relational and equality operators.
+        if( node.type === 'BinaryExpression' ) {
+            for( let [operand, other] of [[node.left, node.right], [node.right, node.left]] ) {
+                if( !isParam(operand) ) continue;
+                if( _.includes(arithmeticOperators, node.operator) ) votes[operand.name].number++;
+                if( node.operator === '+' && isLiteralOf(other, 'number') ) votes[operand.name].number++;
+                if( node.operator === '+' && isLiteralOf(other, 'string') ) votes[operand.name].string++;
+                if( !_.includes(arithmeticOperators, node.operator) && node.operator !== '+' ) {
+                    if( isLiteralOf(other, 'number') || (_.includes(relationalOperators, node.operator) && !isLiteralOf(other, 'string')) ) {
+                        votes[operand.name].number++;
+                    }
+                    if( isLiteralOf(other, 'string') ) votes[operand.name].string++;
+                }
+            }
+        }
+        if( (node.type === 'UnaryExpression' && node.operator === '-' && isParam(node.argument))
+            || (node.type === 'UpdateExpression' && isParam(node.argument)) ) {
+            votes[node.argument.name].number++;
+        }
+
+        // Arguments of fs methods.
+        if( node.type === 'CallExpression' && isFsCall(node) && isParam(node.arguments[0]) ) {
+            let method = node.callee.property.name;
+            votes[node.arguments[0].name].fsMethods = _.union(votes[node.arguments[0].name].fsMethods, [method]);
+        }
+    });
+
+    return _.mapValues(votes, vote => {
+        let type = 'unknown';
+        if( vote.fsMethods.length > 0 ) {
+            type = 'path';
+        }
+        else if( vote.string + vote.number + vote.object > 0 ) {
+            type = _.maxBy(['string', 'number', 'object'], kind => vote[kind]);
+        }
+        return { type: type, fsMethods: vote.fsMethods, properties: vote.properties };
+    });
+}
+
+
+/**
+ * Generate a value of an inferred type.
+ *
+ * @param   {Object}      inferred Inferred type as returned by `inferTypes`.
+ * @returns {String|null}          Source of the generated value, or null for unknown types.
+ */
+function generateValue(inferred) {
+    switch( inferred.type ) {
+        case 'string':
+            return `'${new Random(engine).string(Random.integer(1, 10)(engine))}'`;
+        case 'number':
+            return String(Random.integer(-100, 100)(engine));
+        case 'object':
+            return `{ ${_.map(inferred.properties, p => `${p}: ${Random.integer(0, 100)(engine)}`).join(', ')} }`;
+    }
+    return null;
+}
+
+
+/**
+ * Whether or not a call is a call to a method of `fs` (or `fs.promises`).
+ *
+ * @param   {Object}  node Esprima call expression node.
+ * @returns {Boolean}      True for `fs.method(...)` calls.
+ */
+function isFsCall(node) {
+    let callee = node.callee;
+    if( callee.type !== 'MemberExpression' || callee.computed ) return false;
+    let object = callee.object;
+    return (object.type === 'Identifier' && object.name === 'fs')
+        || (object.type === 'MemberExpression' && _.get(object, 'object.name') === 'fs' && _.get(object, 'property.name') === 'promises');
+}
+
+
+// Export
+module.exports = inferTypes;
+module.exports.generateValue = generateValue;
+module.exports.isFsCall = isFsCall;
+module.exports.stringMethods = stringMethods;
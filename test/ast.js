@@ -0,0 +1,42 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var walk = require("../src/ast.js");
+var walkFunction = require("../src/ast.js").walkFunction;
+var parseSource = require("../src/modules.js").parseSource;
+
+function visitedTypes(walker, source) {
+  var types = [];
+  walker(parseSource(source).body[0], function(node) { types.push(node.type); });
+  return types;
+}
+
+describe("AST walking", function() {
+  it("visits every node depth first, with its parent", function() {
+     var parents = [];
+     walk(parseSource("f(a, 1);").body[0], function(node, parent) {
+          parents.push(node.type + " < " + (parent ? parent.type : null));
+     });
+     expect(parents).to.deep.equal([
+       "ExpressionStatement < null",
+       "CallExpression < ExpressionStatement",
+       "Identifier < CallExpression",
+       "Identifier < CallExpression",
+       "Literal < CallExpression"
+     ]);
+  });
+
+  it("enters nested functions unless asked not to", function() {
+     var source = "function f() { var g = () => x; }";
+     expect(visitedTypes(walk, source)).to.include("ArrowFunctionExpression");
+     var own = visitedTypes(function(node, visitor) { walkFunction(node.body, visitor); }, source);
+     expect(own).to.include("VariableDeclarator");
+     expect(own).to.not.include("ArrowFunctionExpression");
+  });
+
+  it("filters the children it enters", function() {
+     var types = [];
+     walk(parseSource("a + (b * c);").body[0], function(node) { types.push(node.type); }, function(child) { return child.operator !== "*"; });
+     expect(types).to.deep.equal(["ExpressionStatement", "BinaryExpression", "Identifier"]);
+  });
+});
@@ -0,0 +1,38 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var boundaryValues = require("../src/boundaries.js");
+var extractConstraints = require("../src/constraint.js").extractConstraints;
+var walk = require("../src/ast.js");
+var parseSource = require("../src/modules.js").parseSource;
+
+function valuesOf(source) {
+  var node = parseSource(source).body[0];
+  var params = node.params.map(function(p) { return p.name; });
+  var functionConstraints = { f: { params: params, constraints: { p: [] } } };
+  walk(node, function(n) {
+    extractConstraints(n, source, "f", params, functionConstraints, node);
+  });
+  return functionConstraints.f.constraints.p.map(function(c) { return c.value; });
+}
+
+describe("Boundary values", function() {
+  it("takes c-1, c and c+1 for integers", function() {
+     expect(boundaryValues(0)).to.deep.equal([-1, 0, 1]);
+     expect(boundaryValues(-5)).to.deep.equal([-6, -5, -4]);
+  });
+
+  it("takes the nearest doubles for other numbers", function() {
+     var values = boundaryValues(0.1);
+     expect(values[0]).to.be.below(0.1);
+     expect(values[2]).to.be.above(0.1);
+     expect(boundaryValues.nextFloat(values[0], 1)).to.equal(0.1);
+     expect(boundaryValues.nextFloat(0, -1)).to.equal(-Number.MIN_VALUE);
+  });
+
+  it("handles the constant on either side of the comparison", function() {
+     expect(valuesOf("function f(p) { if (p < 0) return 1; }")).to.deep.equal(["-1", "0", "1"]);
+     expect(valuesOf("function f(p) { if (100 > p) return 1; }")).to.deep.equal(["99", "100", "101"]);
+     expect(valuesOf("function f(p) { if (p >= -2.5) return 1; }")).to.have.length(3).and.include("-2.5");
+  });
+});
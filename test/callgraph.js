@@ -0,0 +1,69 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var callGraph = require("../src/callgraph.js");
+var constraints = require("../src/constraint.js");
+var parseSource = require("../src/modules.js").parseSource;
+
+describe("Call graph", function() {
+  it("links each function to the module functions it calls", function() {
+     var graph = callGraph(parseSource("function a(x) { return b(x) + c(x); } function b(x) { return [x].map(function(y) { return c(y); }); } var c = function(x) { return Math.abs(x); };"));
+     expect(Object.keys(graph)).to.deep.equal(["a", "b", "c"]);
+     expect(graph.a.callees).to.deep.equal(["b", "c"]);
+     expect(graph.b.callees).to.deep.equal(["c"]);
+     expect(graph.c.callees).to.deep.equal([]);
+  });
+
+  it("translates comparisons on the result of a call back to the caller's parameters", function() {
+     var functionConstraints = constraints("subject.js");
+     var values = functionConstraints.blackListNumber.constraints.phoneNumber.map(function(c) { return eval(c.value); });
+     var subject = require("../subject.js");
+     expect(values.map(subject.blackListNumber)).to.include.members([true, false]);
+  });
+
+  it("summarizes the calls observed on a function", function() {
+     var summaries = new callGraph.CallSummaries("subject.js", callGraph(constraints.parseFile("subject.js").ast));
+     expect(summaries.call("normalize", ["(212) 555-1234"]).value).to.equal("2125551234");
+     expect(summaries.call("normalize", [null]).threw).to.be.true;
+     expect(summaries.summary("normalize")).to.have.length(2);
+  });
+
+  it("calls the functions of the module without the real file system", function() {
+     var summaries = new callGraph.CallSummaries("subject.js", callGraph(constraints.parseFile("subject.js").ast));
+     expect(require("../subject.js").fileTest("test", "package.json")).to.equal(true);
+     expect(summaries.call("fileTest", ["test", "package.json"]).value).to.not.equal(true);
+  });
+
+  it("interrupts calls that do not return, and goes on searching", function() {
+     this.timeout(10000);
+     var summaries = new callGraph.CallSummaries("test/fixtures/looping.js", callGraph(constraints.parseFile("test/fixtures/looping.js").ast));
+     var outcome = summaries.call("twice", [-3]);
+     expect(outcome.timedOut).to.be.true;
+     expect(summaries.call("twice", [4])).to.include({ threw: false, value: 8, timedOut: false });
+
+     var values = constraints("test/fixtures/looping.js").check.constraints.k.map(function(c) { return c.value; });
+     expect(values).to.include("10");
+  });
+
+  it("does not call the functions of the module on dry runs", function() {
+     var values = constraints("subject.js", { dryRun: true }).blackListNumber.constraints.phoneNumber.map(function(c) { return c.value; });
+     expect(values).to.not.include('"212"');
+  });
+
+  it("gives parameters the constraints of the module functions they are passed to", function() {
+     var functionConstraints = constraints("subject.js");
+     var expressions = functionConstraints.blackListNumber.constraints.phoneNumber.map(function(c) { return c.expression; });
+     expect(expressions.join()).to.contain("phoneNumber.replace(");
+  });
+
+  it("does not mix the parameters of nested functions with those of the outer function", function() {
+     var functionConstraints = {};
+     var source = "function f(x) { return [1].map(function(x) { return x > 5; }); }";
+     var node = parseSource(source).body[0];
+     functionConstraints.f = { constraints: { x: [] } };
+     constraints.traverseScoped(node.body, ["x"], function(child, params) {
+       constraints.extractConstraints(child, source, "f", params, functionConstraints, node);
+     });
+     expect(functionConstraints.f.constraints.x).to.be.empty;
+  });
+});
@@ -0,0 +1,51 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var parseSource = require("../src/modules.js").parseSource;
+var classes = require("../src/classes.js");
+var constraints = require("../src/constraint.js");
+var enumerateTestCases = require("../src/testgenerator.js").enumerateTestCases;
+
+function method(source) {
+  return parseSource("class A { m(x) { " + source + " } }").body[0].body.body[0].value;
+}
+
+describe("Classes", function() {
+  it("finds the conditions a method tests on the state of its instance", function() {
+     var source = "if (this.count > 2 && x) { return 1; } while (!this.items.length) { x(); } return x > 1 ? this.a : 0;";
+     var buf = "class A { m(x) { " + source + " } }";
+     expect(classes.stateConditions(method(source), buf)).to.deep.equal(["this.count > 2", "this.items.length"]);
+  });
+
+  it("tells methods writing to their instance apart", function() {
+     expect(classes.writesState(method("this.count++;"))).to.equal(true);
+     expect(classes.writesState(method("x.forEach(y => this.items.push(y));"))).to.equal(true);
+     expect(classes.writesState(method("return this.count + x;"))).to.equal(false);
+  });
+
+  it("finds the calls putting instances in the states their methods test", function() {
+     var setups = constraints("test/fixtures/classes.js")["Counter#describe"].setups;
+     expect(setups[0]).to.deep.equal({ args: "0", calls: [], label: null });
+     var many = setups.filter(function(setup) { return setup.label === "this.count > 2"; })[0];
+     expect(many.calls.map(function(call) { return call.method; })).to.deep.equal(["increment", "increment"]);
+  });
+
+  it("gives setters the values their members are compared to", function() {
+     var functionConstraints = constraints("test/fixtures/sized.js");
+     expect(functionConstraints["Box#label"].setups[1]).to.deep.equal({ args: "", calls: [{ method: "setSize", args: "101" }], label: "this.size > 100" });
+     expect(functionConstraints["Box#level"].setups[1]).to.deep.equal({ args: "", calls: [{ method: "inc", args: "101" }], label: "this.count > 100" });
+  });
+
+  it("does not build instances on dry runs", function() {
+     var functionConstraints = constraints("test/fixtures/store.js", { dryRun: true });
+     expect(functionConstraints["Store#status"].setups).to.be.undefined;
+     expect(require("fs").existsSync("missing")).to.be.false;
+  });
+
+  it("constructs instances in the test cases of methods", function() {
+     var testCases = enumerateTestCases(constraints("test/fixtures/classes.js"));
+     var describe = testCases.filter(function(testCase) { return testCase.funcName === "Counter#describe"; });
+     expect(describe[0].instance).to.deep.equal({ args: "0", calls: [] });
+     expect(describe.map(function(testCase) { return testCase.label; })).to.include("state: this.items.length > 0");
+  });
+});
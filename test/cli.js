@@ -0,0 +1,76 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var parseArguments = require("../src/cli.js");
+
+describe("Command line interface", function() {
+  var root = path.resolve(__dirname, "..");
+
+  describe("parseArguments", function() {
+    it("defaults to subject.js", function() {
+       var options = parseArguments([]);
+       expect(options.inputs).to.deep.equal([path.resolve("subject.js")]);
+    });
+
+    it("expands globs and function lists", function() {
+       var options = parseArguments([root + "/*ject.js", "--include", "inc,weird", "--exclude", "weird", "--iterate"]);
+       expect(options.inputs).to.deep.equal([path.join(root, "subject.js")]);
+       expect(options.include).to.deep.equal(["inc", "weird"]);
+       expect(options.exclude).to.deep.equal(["weird"]);
+       expect(options.iterations).to.equal(5);
+    });
+
+    it("matches every file below a trailing **, skipping node_modules, .git and broken links", function() {
+       var dir = fs.mkdtempSync(path.join(os.tmpdir(), "glob-"));
+       ["lib/deep", "node_modules/dep", ".git/hooks"].forEach(function(sub) { fs.mkdirSync(path.join(dir, sub), { recursive: true }); });
+       ["top.js", "lib/a.js", "lib/deep/b.js", "node_modules/dep/index.js", ".git/hooks/pre-commit.js"].forEach(function(file) {
+         fs.writeFileSync(path.join(dir, file), "");
+       });
+       fs.symlinkSync(path.join(dir, "missing.js"), path.join(dir, "lib/broken.js"));
+       fs.symlinkSync(dir, path.join(dir, "lib/loop"));
+
+       expect(parseArguments([dir + "/**"]).inputs).to.deep.equal(["lib/a.js", "lib/deep/b.js", "top.js"].map(function(file) { return path.join(dir, file); }));
+       expect(parseArguments([dir + "/lib/**/*.js"]).inputs).to.deep.equal(["lib/a.js", "lib/deep/b.js"].map(function(file) { return path.join(dir, file); }));
+    });
+
+    it("leaves generated test files out of globs, unless the glob names them", function() {
+       var dir = fs.mkdtempSync(path.join(os.tmpdir(), "glob-"));
+       ["util.js", "util.test.js"].forEach(function(file) { fs.writeFileSync(path.join(dir, file), ""); });
+
+       expect(parseArguments([dir + "/*.js"]).inputs).to.deep.equal([path.join(dir, "util.js")]);
+       expect(parseArguments([dir + "/*.test.js"]).inputs).to.deep.equal([path.join(dir, "util.test.js")]);
+    });
+
+    it("rejects unknown options and strategies", function() {
+       expect(function() { parseArguments(["--bogus"]); }).to.throw(/Unknown option/);
+       expect(function() { parseArguments(["--strategy", "random"]); }).to.throw(/Unknown strategy/);
+    });
+  });
+
+  describe("outputPaths", function() {
+    it("writes several inputs to their own test files", function() {
+       var outputs = parseArguments.outputPaths({ inputs: ["/a/subject.js", "/a/mystery.js"] });
+       expect(outputs["/a/subject.js"]).to.equal(path.resolve("subject.test.js"));
+       expect(outputs["/a/mystery.js"]).to.equal(path.resolve("mystery.test.js"));
+    });
+
+    it("refuses to overwrite one module's tests with another's", function() {
+       expect(function() { parseArguments.outputPaths({ inputs: ["/a/util.js", "/b/util.js"], outDir: "out" }); }).to.throw(/would both be written/);
+    });
+
+    it("refuses to overwrite an input with tests", function() {
+       expect(function() { parseArguments.outputPaths({ inputs: [path.resolve("subject.js")], output: "subject.js" }); }).to.throw(/would overwrite the input/);
+       expect(function() { parseArguments.outputPaths({ inputs: [path.resolve("a.js"), path.resolve("a.test.js")] }); }).to.throw(/would overwrite the input/);
+    });
+  });
+
+  describe("selectFunctions", function() {
+    it("applies include and exclude lists", function() {
+       var selected = parseArguments.selectFunctions({ inc: {}, weird: {}, format: {} }, { include: ["inc", "weird"], exclude: ["weird"] });
+       expect(Object.keys(selected)).to.deep.equal(["inc"]);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var combinations = require("../src/combinations.js");
+var enumerateTestCases = require("../src/testgenerator.js").enumerateTestCases;
+
+describe("Combination strategies", function() {
+  var dimensions = [[1, 2, 3], ["a", "b", "c"], [true, false], ["x", "y", "z"], [0, -1]];
+
+  it("product generates every combination", function() {
+     expect(combinations(dimensions, "product")).to.have.lengthOf(3 * 3 * 2 * 3 * 2);
+  });
+
+  it("pairwise covers every pair of values with fewer rows", function() {
+     var rows = combinations(dimensions, "pairwise");
+     expect(rows.length).to.be.below(3 * 3 * 2 * 3 * 2);
+     for (var d1 = 0; d1 < dimensions.length; d1++) {
+       for (var d2 = d1 + 1; d2 < dimensions.length; d2++) {
+         dimensions[d1].forEach(function(v1) {
+           dimensions[d2].forEach(function(v2) {
+             assert(rows.some(function(row) { return row[d1] === v1 && row[d2] === v2; }), "pair " + v1 + ", " + v2 + " is covered");
+           });
+         });
+       }
+     }
+  });
+
+  it("paths generates no combinations", function() {
+     expect(combinations(dimensions, "paths")).to.be.empty;
+  });
+
+  it("combines equal values written as different expressions once", function() {
+     var functionConstraints = { f: { params: ["mode", "n"], constraints: {
+       mode: [{ value: "'strict'" }, { value: "\"strict\"" }, { value: "'loose'" }],
+       n: [{ value: "1" }, { value: "1.0" }, { value: "missing.value" }, { value: "missing.value" }]
+     } } };
+     var args = enumerateTestCases(functionConstraints).map(function(testCase) { return testCase.args; });
+     expect(args).to.deep.equal(["'strict', 1", "'strict', missing.value", "'loose', 1", "'loose', missing.value"]);
+  });
+
+  it("rejects unknown strategies", function() {
+     expect(function() { combinations(dimensions, "random"); }).to.throw(/Unknown combination strategy/);
+  });
+});
@@ -0,0 +1,42 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var coverage = require("../src/coverage.js");
+var constraints = require("../src/constraint.js");
+var enumerateTestCases = require("../src/testgenerator.js").enumerateTestCases;
+
+function values(functionConstraints, funcName, param) {
+  return functionConstraints[funcName].constraints[param].map(function(c) { return c.value; });
+}
+
+describe("Coverage guidance", function() {
+  it("targets the uncovered branches of arrow functions", function() {
+     var functionConstraints = constraints("test/fixtures/guarded.js");
+     functionConstraints.classify.constraints.n = [{ ident: "n", value: "0", funcName: "classify", kind: "integer" }];
+     functionConstraints.classify.paths = [];
+
+     var measured = coverage.measureBranchCoverage("test/fixtures/guarded.js", enumerateTestCases(functionConstraints));
+     expect(measured.uncovered.map(function(branch) { return branch.loc.start.line; })).to.include(4);
+
+     coverage.targetUncoveredBranches("test/fixtures/guarded.js", functionConstraints, measured.uncovered);
+     expect(values(functionConstraints, "classify", "n")).to.include("11");
+  });
+
+  it("does not constrain parameters redeclared by the callback holding the branch", function() {
+     var functionConstraints = constraints("test/fixtures/guarded.js");
+     var before = values(functionConstraints, "scale", "factor");
+
+     var measured = coverage.measureBranchCoverage("test/fixtures/guarded.js", enumerateTestCases(functionConstraints));
+     expect(measured.uncovered.map(function(branch) { return branch.loc.start.line; })).to.deep.equal([11]);
+
+     coverage.targetUncoveredBranches("test/fixtures/guarded.js", functionConstraints, measured.uncovered);
+     expect(values(functionConstraints, "scale", "factor")).to.deep.equal(before);
+  });
+
+  it("measures the coverage of async functions, rest parameters and spread", function() {
+     var functionConstraints = constraints("test/fixtures/rested.js");
+     var measured = coverage.measureBranchCoverage("test/fixtures/rested.js", enumerateTestCases(functionConstraints));
+     expect(measured.total).to.equal(2);
+     expect(measured.uncovered.map(function(branch) { return branch.loc.start.line; })).to.deep.equal([3]);
+  });
+});
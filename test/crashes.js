@@ -0,0 +1,34 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var findCrashes = require("../src/crashes.js");
+var constraints = require("../src/constraint.js");
+
+describe("Crashes", function() {
+  it("classifies outcomes by the error thrown", function() {
+     expect(findCrashes.classifyOutcome({ threw: false, value: 1 })).to.equal("returned");
+     expect(findCrashes.classifyOutcome({ threw: true, error: new Error("bad input") })).to.equal("expected");
+     expect(findCrashes.classifyOutcome({ threw: true, error: new TypeError("x is undefined"), settled: "rejected" })).to.equal("crashed");
+  });
+
+  it("locates the throw site within the module", function() {
+     var error = new TypeError("x");
+     error.stack = "TypeError: x\n    at helper (/lib/util.js:3:9)\n    at weird (" + require("path").resolve("subject.js") + ":24:23)\n    at run (/lib/runner.js:1:1)";
+     expect(findCrashes.throwSite(error, "subject.js")).to.deep.equal({ site: "subject.js:24:23", frames: [{ func: "weird", site: "subject.js:24:23" }] });
+  });
+
+  it("reports crashes deduplicated by throw site with minimized arguments", function() {
+     return findCrashes("subject.js", constraints("subject.js")).then(function(findings) {
+       var weird = findings.crashes.filter(function(crash) { return crash.funcNames[0] === "weird"; });
+       expect(weird).to.have.lengthOf(1);
+       expect(weird[0].name).to.equal("TypeError");
+       expect(weird[0].site).to.equal("subject.js:24:23");
+       expect(weird[0].testCase.args).to.equal("undefined, undefined, null");
+       expect(findings.outcomes.weird.crashed).to.equal(weird[0].count);
+
+       var replace = findings.crashes.filter(function(crash) { return crash.site === "subject.js:66:24"; });
+       expect(replace[0].funcNames).to.include.members(["normalize", "blackListNumber"]);
+       expect(findCrashes.formatCrashes("subject.js", findings)).to.contain("simplest: weird(undefined, undefined, null)");
+     });
+  });
+});
@@ -0,0 +1,40 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var derivation = require("../src/dataflow.js");
+var parseSource = require("../src/modules.js").parseSource;
+
+function derive(source, name) {
+  var node = parseSource(source).body[0];
+  var read = source.lastIndexOf(name);
+  return derivation(name, read, node, node.params.map(function(p) { return p.name; }));
+}
+
+describe("Data-flow tracking", function() {
+  it("follows locals back to the parameter they derive from", function() {
+     var derived = derive("function f(phone) { var num = phone.trim(); var area = num.substring(1, 4); return area; }", "area");
+     expect(derived.param).to.equal("phone");
+     expect(derived.transforms.map(function(t) { return t.op; })).to.deep.equal(["trim", "substring"]);
+  });
+
+  it("inverts substring, concatenation and arithmetic", function() {
+     var area = derive("function f(num) { var area = num.substring(1, 4); return area; }", "area");
+     expect(derivation.invert("212", area).substring(1, 4)).to.equal("212");
+
+     var label = derive("function f(n) { var label = 'L-' + n; return label; }", "label");
+     expect(derivation.invert("L-7", label)).to.equal("7");
+
+     var total = derive("function f(p) { var total = p * 2 + 10; return total; }", "total");
+     expect(derivation.invert(50, total)).to.equal(20);
+  });
+
+  it("does not invert calls to other functions", function() {
+     var derived = derive("function f(phone) { var num = format(phone); var area = num.substring(1, 4); return area; }", "area");
+     expect(derived.param).to.equal("phone");
+     expect(derivation.invert("212", derived)).to.be.undefined;
+  });
+
+  it("ignores locals that do not derive from a parameter", function() {
+     expect(derive("function f(x) { var y = 3; return y; }", "y")).to.be.null;
+  });
+});
@@ -0,0 +1,64 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var path = require("path");
+var _ = require("lodash");
+var constraints = require("../src/constraint.js");
+var differentialTest = require("../src/differential.js");
+
+describe("Differential testing", function() {
+  var subject = path.resolve(__dirname, "../subject.js");
+  var mystery = path.resolve(__dirname, "../mystery.js");
+
+  describe("identical implementations", function() {
+    it("reports no differences", function() {
+       return differentialTest(subject, subject, constraints(subject), constraints(subject)).then(function(differences) {
+         expect(differences).to.be.empty;
+       });
+    });
+
+    it("awaits asynchronous calls before comparing them", function() {
+       var async = path.resolve(__dirname, "fixtures/async.js");
+       return differentialTest(async, async, constraints(async), constraints(async), { timeout: 50 }).then(function(differences) {
+         expect(differences).to.be.empty;
+       });
+    });
+
+    it("compares instances of each copy of a class by their fields", function() {
+       var classes = path.resolve(__dirname, "fixtures/classes.js");
+       return differentialTest(classes, classes, constraints(classes), constraints(classes)).then(function(differences) {
+         expect(differences).to.be.empty;
+       });
+    });
+  });
+
+  describe("diverging implementations", function() {
+    it("groups differences by function", function() {
+       return differentialTest(subject, mystery, constraints(subject), constraints(mystery)).then(function(differences) {
+         expect(differences).to.have.property("inc");
+         expect(differences).to.have.property("weird");
+         differences.inc.forEach(function(difference) {
+           assert.notDeepEqual(difference.left, difference.right);
+         });
+       });
+    });
+
+    it("compares the values passed to callbacks", function() {
+       var async = path.resolve(__dirname, "fixtures/async.js");
+       var changed = path.resolve(__dirname, "fixtures/async-changed.js");
+       return differentialTest(async, changed, constraints(async), constraints(changed), { timeout: 50 }).then(function(differences) {
+         expect(_.keys(differences)).to.deep.equal(["halve"]);
+         expect(differences.halve[0].left).to.deep.equal({ threw: false, value: 0, settled: "resolved" });
+       });
+    });
+
+    it("reports the functions only one implementation exports", function() {
+       var listing = path.resolve(__dirname, "fixtures/listing.js");
+       return differentialTest(subject, listing, constraints(subject), constraints(listing)).then(function(differences) {
+         expect(differences.inc).to.deep.equal([{ onlyIn: "left" }]);
+         expect(differences.count).to.deep.equal([{ onlyIn: "right" }]);
+         expect(differentialTest.formatReport("subject.js", "listing.js", differences)).to.contain("\ncount: only in listing.js\n");
+       });
+    });
+  });
+});
@@ -0,0 +1,62 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var vm = require("vm");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var childProcess = require("child_process");
+var emitters = require("../src/emitters");
+var constraints = require("../src/constraint.js");
+var generateTestCases = require("../src/testgenerator.js");
+
+describe("Emitters", function() {
+  it("writes syntactically valid tests for every runner", function() {
+     emitters.emitterNames.forEach(function(name) {
+       var emitter = emitters(name);
+       var tests = [
+         emitter.test("inc(1, 2)", emitter.assertEqual("subject.inc(1, 2)", "2"), null),
+         emitter.test("f('x')", emitter.assertThrows("subject.f('x')", "TypeError", "bad"), "{ file: mock.file({ content: 'abc' }) }"),
+         emitter.test("g(1)", emitter.assertResolves("subject.g(1)", "2"), null, 100),
+         emitter.test("g(-1)", emitter.assertRejects("subject.g(-1)", "RangeError", "bad"), "{}", 100),
+         emitter.test("h()", "const fresh = " + emitter.reload("./subject.js", {}, 1) + ";\n" + emitter.assertEqual("fresh.h()", "1"), null, 100)
+       ];
+       var source = emitter.header("./subject.js", { mocksFs: true }) + emitter.suite("inc", tests) + emitter.footer({ mocksFs: true });
+       expect(function() { new vm.Script(source); }, name).to.not.throw();
+     });
+  });
+
+  it("only requires a file system mock when some test mocks it", function() {
+     expect(emitters("mocha").header("./subject.js", { mocksFs: false })).to.not.contain("mock-fs");
+     expect(emitters("jest").header("./subject.js", { mocksFs: true })).to.contain("jest.mock('fs'");
+  });
+
+  it("asserts with the conventions of each runner", function() {
+     expect(emitters("mocha").assertEqual("f()", "1")).to.equal("assert.deepEqual(f(), 1);");
+     expect(emitters("jest").assertEqual("f()", "1")).to.equal("expect(f()).toEqual(1);");
+     expect(emitters("node-test").assertThrows("f()", "TypeError", "bad")).to.equal("assert.throws(() => f(), { name: \"TypeError\", message: \"bad\" });");
+  });
+
+  it("loads fresh copies of the subject", function() {
+     expect(emitters("mocha").reload("./subject.js", { esm: false }, 1)).to.contain("delete require.cache");
+     expect(emitters("jest").reload("./subject.js", { esm: false }, 1)).to.contain("jest.isolateModules");
+     expect(emitters("tap").reload("/tmp/subject.mjs", { esm: true }, 2)).to.equal("await import(\"file:///tmp/subject.mjs?sequence=2\")");
+  });
+
+  it("writes jest suites that pass on the file system jest mocks", function() {
+     this.timeout(60000);
+     var subject = path.resolve("test/fixtures/listing.js");
+     var dir = fs.mkdtempSync(path.join(os.tmpdir(), "jest-"));
+     var output = path.join(dir, "listing.test.js");
+     return generateTestCases(subject, constraints(subject), { emitter: "jest", output: output }).then(function() {
+       expect(fs.readFileSync(output, "utf8")).to.contain("code: \"ENOTDIR\"");
+       var run = childProcess.spawnSync(process.execPath, [require.resolve("jest/bin/jest"), "--ci", "--rootDir", dir, "--modulePaths", path.resolve("node_modules"), output], { encoding: "utf8", timeout: 50000 });
+       expect(run.status, run.stderr).to.equal(0);
+       expect(run.stderr).to.contain("5 passed");
+     });
+  });
+
+  it("rejects unknown emitters", function() {
+     expect(function() { emitters("ava"); }).to.throw(/Unknown emitter/);
+  });
+});
@@ -0,0 +1,40 @@
+var fs = require('fs');
+
+async function double(n) {
+    if( n < 0 ) {
+        throw new RangeError('negative');
+    }
+    return 2 * n;
+}
+
+function later(value) {
+    return new Promise(function(resolve, reject) {
+        setTimeout(function() {
+            return value ? resolve(value) : reject(new Error('nothing'));
+        }, 1);
+    });
+}
+
+function size(path, done) {
+    fs.stat(path, function(err, stats) {
+        if( err ) {
+            return done(err);
+        }
+        done(null, stats.size);
+    });
+}
+
+function never(cb) {
+}
+
+function halve(n, cb) {
+    setTimeout(function() {
+        cb(null, n > 3 ? n / 2 : n);
+    }, 1);
+}
+
+exports.double = double;
+exports.later = later;
+exports.size = size;
+exports.never = never;
+exports.halve = halve;
@@ -0,0 +1,35 @@
+class Counter {
+    constructor(start) {
+        if( start < 0 ) {
+            throw new RangeError('negative start');
+        }
+        this.count = start;
+        this.items = [];
+    }
+
+    increment() {
+        this.count++;
+    }
+
+    add(item) {
+        if( typeof item === 'string' ) {
+            this.items.push(item);
+        }
+    }
+
+    describe(verbose) {
+        if( this.count > 2 ) {
+            return verbose ? `many (${this.count})` : 'many';
+        }
+        if( this.items.length > 0 && this.count === 0 ) {
+            return 'items only';
+        }
+        return 'few';
+    }
+
+    static of(n) {
+        return new Counter(n);
+    }
+}
+
+module.exports.Counter = Counter;
@@ -0,0 +1,11 @@
+import { count, bump } from './tally.mjs';
+import * as tally from './tally.mjs';
+
+export function next() {
+    bump();
+    return tally.count;
+}
+
+export function first() {
+    return count;
+}
@@ -0,0 +1,13 @@
+// Exported as arrow functions, one of them with a callback whose parameter
+// shadows its own.
+exports.classify = n => {
+    if( n > 10 ) {
+        return 'big';
+    }
+    return 'small';
+};
+
+exports.scale = (x, factor) => {
+    let factors = [1].map(factor => factor > 2 ? factor : 1);
+    return factor > 0 ? x * factor * factors[0] : 0;
+};
@@ -0,0 +1,3 @@
+// Module counting the entries of a directory, whatever state the directory is in.
+const fs = require('fs');
+exports.count = dir => fs.readdirSync(dir).length;
@@ -0,0 +1,10 @@
+// Helper that never returns for some inputs, called on the way to a branch.
+function twice(n) {
+    while( n % 7 === -3 ) {}
+    return n * 2;
+}
+
+exports.check = k => {
+    let doubled = twice(k);
+    return doubled == 20 ? 'hit' : 'other';
+};
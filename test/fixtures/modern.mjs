@@ -0,0 +1,20 @@
+import { strict as assert } from 'assert';
+
+export function area({ width, height = 1 }) {
+    if( width > 10 ) {
+        return 'wide';
+    }
+    return width * height;
+}
+
+export const greet = (name = 'world', ...titles) => {
+    if( titles.length > 2 ) {
+        return `Hello, ${titles.join(' ')} ${name}`;
+    }
+    return `Hello ${name}`;
+};
+
+export default function pick([first, second], { verbose } = {}) {
+    assert.ok(true);
+    return verbose ? second : first;
+}
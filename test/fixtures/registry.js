@@ -0,0 +1,29 @@
+var entries = [];
+var hits = 0;
+
+function register(name) {
+    entries.push(name);
+    return entries.length;
+}
+
+function lookup(name) {
+    hits++;
+    if( entries.length === 0 ) {
+        return 'empty';
+    }
+    if( entries.length > 2 ) {
+        return 'crowded';
+    }
+    return entries.indexOf(name);
+}
+
+function stats() {
+    return hits > 1 ? 'busy' : 'idle';
+}
+
+function reset() {
+    entries = [];
+    hits = 0;
+}
+
+module.exports = { register, lookup, stats, reset };
@@ -0,0 +1,7 @@
+// Async function with rest parameters and spread, syntax older instrumenters cannot parse.
+exports.total = async function(...values) {
+    if( Array.isArray(values) ) {
+        return Math.max(0, ...values);
+    }
+    return 0;
+};
@@ -0,0 +1,9 @@
+// Class whose state is only set through setters.
+class Box {
+    constructor() { this.size = 0; this.count = 0; }
+    setSize(n) { this.size = n; }
+    inc(by) { this.count += by; }
+    label() { return this.size > 100 ? 'large' : 'small'; }
+    level() { return this.count > 100 ? 'high' : 'low'; }
+}
+exports.Box = Box;
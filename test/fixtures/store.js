@@ -0,0 +1,8 @@
+// Class whose state changes by writing files.
+const fs = require('fs');
+class Store {
+    constructor() { this.saved = 0; }
+    save(file) { fs.writeFileSync(file, 'x'); this.saved++; }
+    status() { return this.saved > 1 ? 'many' : 'few'; }
+}
+exports.Store = Store;
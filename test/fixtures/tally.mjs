@@ -0,0 +1,11 @@
+export let count = 0;
+
+export function bump() {
+    count++;
+    return count;
+}
+
+export function leak() {
+    total = count;
+    return total;
+}
@@ -0,0 +1,54 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var fsCalls = require("../src/fsmodel.js");
+var extractConstraints = require("../src/constraint.js").extractConstraints;
+var walk = require("../src/ast.js");
+var parseSource = require("../src/modules.js").parseSource;
+
+function contentsOf(source) {
+  var node = parseSource(source).body[0];
+  var params = node.params.map(function(p) { return p.name; });
+  var functionConstraints = { f: { params: params, constraints: { p: [] } } };
+  walk(node, function(n) {
+    extractConstraints(n, source, "f", params, functionConstraints, node);
+  });
+  return functionConstraints.f.constraints.p.map(function(c) { return c.layout.content; }).filter(function(c) { return c !== undefined; });
+}
+
+function callsOf(expression, params) {
+  return fsCalls(parseSource(expression).body[0].expression, params);
+}
+
+describe("File system model", function() {
+  it("recognizes sync, callback and promise forms of fs methods", function() {
+     expect(callsOf("fs.readdirSync(dir)", ["dir"])).to.deep.equal([{ ident: "dir", operation: "readdir" }]);
+     expect(callsOf("fs.stat(p, function() {})", ["p"])).to.deep.equal([{ ident: "p", operation: "stat" }]);
+     expect(callsOf("fs.promises.writeFile(out, data)", ["out", "data"])).to.deep.equal([{ ident: "out", operation: "writeFile" }]);
+     expect(callsOf("fs.copyFileSync(a, b)", ["a", "b"])).to.deep.equal([
+       { ident: "a", operation: "copyFile" }, { ident: "b", operation: "writeFile" }
+     ]);
+     expect(callsOf("other.readFileSync(p)", ["p"])).to.deep.equal([]);
+  });
+
+  it("tries states that matter to each operation", function() {
+     expect(fsCalls.pathStates("readdir")).to.include.members(["missing", "emptyDir", "populatedDir", "file"]);
+     expect(fsCalls.pathStates("lstat")).to.include("symlink");
+     expect(fsCalls.pathStates("mkdir")).to.include.members(["missing", "emptyDir"]);
+  });
+
+  it("derives file contents from how the contents are used", function() {
+     var contents = contentsOf("function f(p) { var text = fs.readFileSync(p, 'utf8').trim(); if (text.startsWith('#!')) return 1; " +
+       "var config = JSON.parse(text); return config.version > 2; }");
+     expect(contents).to.include.members(["#!", '{"version":3}', '{"version":2}', "{}", "{"]);
+     expect(contentsOf("function f(p) { fs.readFile(p, function(err, data) { if (data.length > 3) done(); }); }")).to.have.length(3);
+  });
+
+  it("mocks exactly the paths of the chosen states", function() {
+     var layout = function(states) { return fsCalls.mockFsLayout(states.map(function(s) { return fsCalls.pathLayout(s); })); };
+     expect(layout([])).to.equal("{}");
+     expect(layout(["missing", "emptyDir"])).to.equal("{ emptyDir: mock.directory() }");
+     expect(layout(["symlink"])).to.contain("file: ").and.contain("symlink: ");
+     expect(layout(["readOnlyDir"])).to.equal("{ readOnlyDir: mock.directory({ mode: 0o555 }) }");
+  });
+});
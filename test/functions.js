@@ -0,0 +1,45 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var exportedFunctions = require("../src/functions.js");
+var parseSource = require("../src/modules.js").parseSource;
+
+function exportsOf(source) {
+  return exportedFunctions(parseSource(source)).map(function(f) { return f.name + " -> " + f.exportPath.join("."); });
+}
+
+describe("Exported function discovery", function() {
+  it("names functions after their export path", function() {
+     var names = exportsOf([
+       "const add = (a, b) => a + b;",
+       "function helper(x) { return x; }",
+       "module.exports = { add, math: { twice(x) { return 2 * x; } } };",
+       "module.exports.greet = function (name) { return name; };",
+       "exports.hello = function hello() {};"
+     ].join("\n"));
+     expect(names).to.deep.equal(["add -> add", "math.twice -> math.twice", "greet -> greet", "hello -> hello"]);
+  });
+
+  it("skips internal helpers", function() {
+     expect(exportsOf("function helper() {}\nfunction api() { return helper(); }\nexports.api = api;")).to.deep.equal(["api -> api"]);
+  });
+
+  it("names a module exporting a single function after the function", function() {
+     expect(exportsOf("module.exports = function parse(s) {};")).to.deep.equal(["parse -> "]);
+  });
+
+  it("discovers the exports of ES modules", function() {
+     var ast = parseSource("function helper() {}\nexport function add(a, b) {}\nexport const twice = x => 2 * x;\nexport { helper as help };\nexport default function (s) {}");
+     var names = exportedFunctions(ast).map(function(f) { return f.name; });
+     expect(names).to.have.members(["default", "add", "twice", "help"]);
+  });
+
+  it("discovers the constructor and methods of exported classes", function() {
+     var ast = parseSource("class Stack { constructor(items) {} push(x) {} get size() {} static from(list) {} }\nexports.Stack = Stack;");
+     var functions = exportedFunctions(ast);
+     expect(functions.map(function(f) { return f.name; })).to.deep.equal(["Stack", "Stack#push", "Stack.from"]);
+     expect(functions[1].member).to.include({ kind: "method", name: "push" });
+     expect(functions[1].exportPath).to.deep.equal(["Stack"]);
+     expect(functions[2].exportPath).to.deep.equal(["Stack", "from"]);
+  });
+});
@@ -0,0 +1,56 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var constraints = require("../src/constraint.js");
+var applyHints = require("../src/hints.js");
+var seed = require("../src/random.js");
+
+function hintsFile(name, text) {
+  var file = path.join(os.tmpdir(), name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+describe("Constraint hints", function() {
+  it("reads hints from YAML and JSON", function() {
+     var yaml = applyHints.loadHints(hintsFile("hints.yml", "inc:\n  exclude: true\n"));
+     var json = applyHints.loadHints(hintsFile("hints.json", '{ "inc": { "exclude": true } }'));
+     expect(yaml).to.deep.equal(json);
+  });
+
+  it("rejects unknown keys and generators", function() {
+     expect(function() { applyHints.loadHints(hintsFile("bad.json", '{ "inc": { "p": { "values": [1] } } }')); }).to.throw(/unknown key 'p'/);
+     expect(function() { applyHints.loadHints(hintsFile("bad.json", '{ "inc": { "params": { "p": { "faker": "no.such" } } } }')); }).to.throw(/unknown faker method/);
+  });
+
+  it("adds, generates and pins values, and excludes functions", function() {
+     seed(7);
+     var hinted = applyHints(constraints("subject.js"), {
+       inc: { exclude: true },
+       weird: { params: { mode: { values: ["lax"] }, x: { regex: "^9\\d$", count: 2, pin: true } } },
+       format: { params: { formatString: { faker: "internet.email", count: 1 } } }
+     });
+     expect(hinted).to.not.have.property("inc");
+
+     var modes = hinted.weird.constraints.mode.map(function(c) { return c.value; });
+     expect(modes).to.include('"lax"').and.to.include('"strict"');
+
+     var xs = hinted.weird.constraints.x.map(function(c) { return c.value; });
+     expect(xs).to.have.length(2);
+     xs.forEach(function(x) { expect(x).to.match(/^"9\d"$/); });
+     hinted.weird.paths.forEach(function(p) { expect(p.values).to.not.have.property("x"); });
+
+     expect(hinted.format.constraints.formatString.map(function(c) { return c.value; }).join()).to.contain("@");
+  });
+
+  it("generates as many distinct values as asked for", function() {
+     for( var i = 0; i < 10; i++ ) {
+       seed(i);
+       var hinted = applyHints(constraints("subject.js"), { inc: { params: { p: { regex: "^[ab]$", count: 2, pin: true } } } });
+       expect(hinted.inc.constraints.p.map(function(c) { return c.value; })).to.have.members(['"a"', '"b"']);
+     }
+  });
+});
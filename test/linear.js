@@ -0,0 +1,36 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var solveLinear = require("../src/linear.js");
+var parseSource = require("../src/modules.js").parseSource;
+
+function atomOf(expression, params) {
+  return solveLinear.linearAtom(parseSource(expression).body[0].expression, params);
+}
+
+describe("Linear constraints", function() {
+  it("moves every parameter of a comparison to the left", function() {
+     var atom = atomOf("p + q > 10", ["p", "q"]);
+     expect(atom.terms).to.deep.equal({ p: 1, q: 1 });
+     expect(atom.value).to.equal(10);
+     expect(atomOf("a * 2 === b", ["a", "b"]).terms).to.deep.equal({ a: 2, b: -1 });
+     expect(atomOf("len - 1 >= 0", ["len"]).value).to.equal(1);
+     expect(atomOf("x * y > 0", ["x", "y"])).to.be.null;
+  });
+
+  it("finds tuples satisfying and violating each guard", function() {
+     ["x < y", "p + q > 10", "a * 2 === b", "len - 1 >= 0", "3 * x - y <= -7"].forEach(function(expression) {
+       var atom = atomOf(expression, ["x", "y", "p", "q", "a", "b", "len"]);
+       expect(atom.test(solveLinear([atom])), expression).to.be.true;
+       expect(atom.test(solveLinear([atom.negate()])), expression).to.be.false;
+     });
+  });
+
+  it("solves systems together and detects infeasible ones", function() {
+     var params = ["x", "y", "z"];
+     var atoms = [atomOf("x < y", params), atomOf("y < z", params), atomOf("z - x <= 2", params)];
+     var solution = solveLinear(atoms);
+     expect(solution.x + 2).to.equal(solution.z);
+     expect(solveLinear([atomOf("x < y", params), atomOf("y < x", params)])).to.be.null;
+  });
+});
@@ -6,7 +6,7 @@ var main = require("../main.js");
 describe("Sanity check", function() {
   describe("runs", function() {
     it("doesn't crash", function() {
-       main.main()
+       return main.main();
     });
   });
 });
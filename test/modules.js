@@ -0,0 +1,35 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var modules = require("../src/modules.js");
+
+describe("ES modules", function() {
+  it("parses scripts as scripts and modules as modules", function() {
+     expect(modules.parseSource("var a = { ...b };").sourceType).to.equal("script");
+     expect(modules.parseSource("export const a = 1;").sourceType).to.equal("module");
+  });
+
+  it("loads ES modules through their CommonJS rewrite", function() {
+     var subject = modules.loadModule(require("path").resolve("test/fixtures/modern.mjs")).exports;
+     expect(subject.area({ width: 2, height: 3 })).to.equal(6);
+     expect(subject.greet()).to.equal("Hello world");
+     expect(subject.default([1, 2], { verbose: true })).to.equal(2);
+  });
+
+  it("runs ES modules in strict mode", function() {
+     var tally = modules.loadModule(require("path").resolve("test/fixtures/tally.mjs")).exports;
+     expect(function() { tally.leak(); }).to.throw(ReferenceError);
+  });
+
+  it("loads the ES modules an ES module imports, with live bindings", function() {
+     var counter = modules.loadModule(require("path").resolve("test/fixtures/counter.mjs")).exports;
+     expect(counter.next()).to.equal(1);
+     expect(counter.next()).to.equal(2);
+     expect(counter.first()).to.equal(2);
+  });
+
+  it("keeps line numbers when rewriting imports and exports", function() {
+     var source = modules.commonJsSource("test/fixtures/modern.mjs");
+     expect(source.split("\n")[3]).to.contain("if( width > 10 )");
+  });
+});
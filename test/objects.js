@@ -0,0 +1,35 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var propertyPaths = require("../src/objects.js");
+var parseSource = require("../src/modules.js").parseSource;
+
+function variantsOf(source, param) {
+  var node = parseSource(source).body[0];
+  var paths = propertyPaths(node, node.params.map(function(p) { return p.name; }));
+  return propertyPaths.objectVariants(paths[param]).map(function(v) { return eval("(" + v + ")"); });
+}
+
+describe("Object synthesis", function() {
+  it("covers both sides of a truthiness check with real booleans", function() {
+     var variants = variantsOf("function f(o) { if (!o.normalize) return 1; }", "o");
+     expect(variants).to.deep.include({ normalize: true });
+     expect(variants).to.deep.include({ normalize: false });
+     expect(variants).to.deep.include({});
+     expect(variants).to.deep.include({ normalize: null });
+  });
+
+  it("builds nested paths and typed values around comparisons", function() {
+     var variants = variantsOf("function f(o) { if (o.a.b && o.level > 3) return o.name.trim(); }", "o");
+     var base = variants[0];
+     expect(base.a).to.deep.equal({ b: true });
+     expect(base.level).to.equal(4);
+     expect(base.name).to.be.a("string");
+     expect(variants.map(function(v) { return v.level; })).to.include.members([2, 0, null, undefined]);
+     expect(variants).to.satisfy(function(vs) { return vs.some(function(v) { return v.a === undefined; }); });
+  });
+
+  it("ignores parameters without properties", function() {
+     expect(variantsOf("function f(o, x) { return x + o.y; }", "x")).to.deep.equal([]);
+  });
+});
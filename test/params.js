@@ -0,0 +1,55 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var parseSource = require("../src/modules.js").parseSource;
+var functionParameters = require("../src/params.js");
+var constraints = require("../src/constraint.js");
+
+function parameters(source) {
+  var node = parseSource(source).body[0];
+  return { node: node, params: functionParameters(node, source) };
+}
+
+describe("Parameters", function() {
+  it("describes plain, destructured, defaulted and rest parameters", function() {
+     var params = parameters("function f(a, { b, c: [d] = [] }, e = 5, ...rest) {}").params;
+     expect(params.map(function(p) { return p.name + ":" + p.kind; })).to.deep.equal(["a:plain", "{ b, c: [d] = [] }:pattern", "e:plain", "rest:rest"]);
+     expect(params[1].fields.map(function(f) { return f.name + "@" + f.path.join("."); })).to.deep.equal(["b@b", "d@c.0"]);
+     expect(functionParameters.localNames(params)).to.deep.equal(["a", "b", "d", "e", "rest"]);
+  });
+
+  it("builds destructured arguments from the values of their fields", function() {
+     var param = parameters("function f({ x, y = 2 }) {}").params[0];
+     var values = functionParameters.patternValues(param, { x: ["1", "5"], y: ["3"] });
+     expect(values).to.deep.equal(['{ "x": 1, "y": 3 }', '{ "x": 5, "y": 3 }', '{ "x": 1 }']);
+  });
+
+  it("spreads rest arguments of the lengths the function compares", function() {
+     var f = parameters("function f(...items) { return items.length > 4; }");
+     var values = functionParameters.restValues(f.params[0], f.node);
+     expect(values).to.include("...[]").and.to.include("...[1, 2, 3, 4, 5]");
+  });
+
+  it("tries undefined and the default of defaulted parameters", function() {
+     expect(functionParameters.defaultValues(parameters("function f(mode = 'fast') {}").params[0])).to.deep.equal(["undefined", '"fast"']);
+  });
+
+  it("extracts constraints from modern modules", function() {
+     var functionConstraints = constraints("test/fixtures/modern.mjs");
+     expect(Object.keys(functionConstraints)).to.have.members(["default", "area", "greet"]);
+     var areas = functionConstraints.area.constraints["{ width, height = 1 }"].map(function(c) { return eval("(" + c.value + ")"); });
+     expect(areas.map(function(a) { return a.width; })).to.include.members([10, 11]);
+     expect(functionConstraints.greet.constraints.name.map(function(c) { return c.value; })).to.deep.equal(["undefined", '"world"']);
+  });
+
+  it("finds the callback of callback-style functions", function() {
+     var callback = function(source) {
+       var f = parameters(source);
+       return functionParameters.callbackParameter(f.params, f.node);
+     };
+     expect(callback("function f(path, cb) {}")).to.equal("cb");
+     expect(callback("function f(path, done) { fs.stat(path, function(err) { done(err); }); }")).to.equal("done");
+     expect(callback("function f(done, path) { done(); }")).to.equal(null);
+     expect(callback("function f(a, b) { return a + b; }")).to.equal(null);
+  });
+});
@@ -0,0 +1,46 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var functionPaths = require("../src/paths.js");
+var parseSource = require("../src/modules.js").parseSource;
+
+function pathsOf(source) {
+  var node = parseSource(source).body[0];
+  return functionPaths(node, node.params.map(function(p) { return p.name; }), source);
+}
+
+describe("Path-sensitive constraints", function() {
+  describe("compound conditions", function() {
+    it("derives one tuple per way through && and else-if", function() {
+       var paths = pathsOf("function f(x, y, z) { if (x > 7 && y < 0) { return 1; } else if (z < 42) { return 2; } return 3; }");
+       expect(paths).to.deep.include({ conditions: ["x > 7", "y < 0"], values: { x: "8", y: "-1" } });
+       expect(paths).to.deep.include({ conditions: ["!(x > 7)", "z < 42"], values: { x: "7", z: "41" } });
+       expect(paths).to.deep.include({ conditions: ["x > 7", "!(y < 0)", "!(z < 42)"], values: { x: "8", y: "0", z: "42" } });
+    });
+
+    it("splits || into its operands", function() {
+       var paths = pathsOf("function f(a, b) { if (a == 1 || b == 2) { return 1; } return 0; }");
+       expect(paths.map(function(p) { return p.conditions; })).to.deep.equal([
+         ["a == 1"], ["!(a == 1)", "b == 2"], ["!(a == 1)", "!(b == 2)"]
+       ]);
+    });
+
+    it("drops infeasible paths", function() {
+       var paths = pathsOf("function f(x) { if (x > 5) { if (x < 3) { return 1; } } return 0; }");
+       paths.forEach(function(path) {
+         assert.notDeepEqual(path.conditions, ["x > 5", "x < 3"]);
+       });
+    });
+  });
+
+  describe("string predicates", function() {
+    it("solves patterns, prefixes and lengths together", function() {
+       var paths = pathsOf("function f(s) { if (s.startsWith('dr.') && s.length > 6) { return 1; } if (/^\\d+$/.test(s)) { return 2; } return 0; }");
+       var first = paths[0].values.s;
+       expect(JSON.parse(first)).to.match(/^dr\./).and.have.length.above(6);
+       expect(paths.map(function(p) { return JSON.parse(p.values.s); })).to.satisfy(function(values) {
+         return values.some(function(v) { return /^\d+$/.test(v); });
+       });
+    });
+  });
+});
@@ -0,0 +1,50 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var seed = require("../src/random.js");
+var constraints = require("../src/constraint.js");
+var generateTestCases = require("../src/testgenerator.js");
+
+function generated(seedValue, name) {
+  var output = path.join(os.tmpdir(), name);
+  seed(seedValue);
+  return generateTestCases("subject.js", constraints("subject.js"), { seed: seedValue, output: output }).then(function() {
+    return fs.readFileSync(output);
+  });
+}
+
+describe("Reproducible generation", function() {
+  it("writes byte-identical tests from the same seed, recording it in the header", function() {
+     return generated(1234, "seeded-a.js").then(function(first) {
+       return generated(1234, "seeded-b.js").then(function(second) {
+         expect(first.equals(second)).to.be.true;
+         expect(first.toString().split("\n")[0]).to.equal("// Generated with seed 1234, re-run with --seed 1234 to reproduce.");
+       });
+     });
+  });
+
+  it("draws other values from another seed", function() {
+     return generated(1234, "seeded-a.js").then(function(first) {
+       return generated(4321, "seeded-c.js").then(function(other) {
+         expect(other.toString().split("\n").slice(1)).to.not.deep.equal(first.toString().split("\n").slice(1));
+       });
+     });
+  });
+
+  it("reads the seed from the environment, and rejects seeds that are not integers", function() {
+     var previous = process.env.TESTGEN_SEED;
+     process.env.TESTGEN_SEED = "99";
+     try {
+       expect(seed()).to.equal(99);
+       expect(seed(5)).to.equal(5);
+     }
+     finally {
+       if (previous === undefined) delete process.env.TESTGEN_SEED;
+       else process.env.TESTGEN_SEED = previous;
+     }
+     expect(function() { seed("abc"); }).to.throw(/Invalid seed 'abc'/);
+  });
+});
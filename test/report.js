@@ -0,0 +1,34 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var fs = require("fs");
+var constraints = require("../src/constraint.js");
+var buildReport = require("../src/report.js");
+
+describe("Constraint report", function() {
+  var report = buildReport("subject.js", constraints("subject.js"));
+
+  it("lists the constraints of each function with their source location", function() {
+     var weird = report.functions.weird;
+     expect(weird.params).to.deep.equal(["x", "y", "z", "mode"]);
+     var strict = weird.constraints.filter(function(c) { return c.value === '"strict"'; })[0];
+     expect(strict.ident).to.equal("mode");
+     expect(strict.expression).to.equal('mode == "strict"');
+     expect(strict.loc.start.line).to.equal(20);
+  });
+
+  it("links each constraint to the test cases passing its value", function() {
+     report.functions.weird.constraints.forEach(function(constraint) {
+       expect(constraint.testCases).to.not.be.empty;
+       constraint.testCases.forEach(function(index) {
+         expect(report.testCases[index].funcName).to.equal("weird");
+       });
+     });
+  });
+
+  it("annotates the source with the constraints of each line", function() {
+     var html = buildReport.htmlReport(fs.readFileSync("subject.js", "utf8"), report);
+     expect(html).to.contain("<code>mode = &quot;strict&quot;</code>");
+     expect(html).to.contain("if( mode == &quot;strict&quot; )");
+  });
+});
@@ -0,0 +1,66 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var runTestCase = require("../src/runner.js");
+var generateTestCases = require("../src/testgenerator.js");
+var constraints = require("../src/constraint.js");
+
+describe("Asynchronous test cases", function() {
+  var subject = runTestCase.loadSubject("test/fixtures/async.js");
+  var testCase = function(funcName, args, callback) {
+    return { funcName: funcName, exportPath: [funcName], args: args, callback: callback, mockFs: null };
+  };
+
+  it("records the resolution and rejection of returned promises", function() {
+     return Promise.all([
+       runTestCase.settleTestCase(subject, testCase("double", "2")),
+       runTestCase.settleTestCase(subject, testCase("later", "0"))
+     ]).then(function(outcomes) {
+       expect(outcomes[0]).to.deep.equal({ threw: false, value: 4, settled: "resolved" });
+       expect(outcomes[1].settled).to.equal("rejected");
+       expect(outcomes[1].error.message).to.equal("nothing");
+     });
+  });
+
+  it("passes a callback to callback-style functions", function() {
+     return runTestCase.settleTestCase(subject, testCase("size", "'package.json'", true)).then(function(outcome) {
+       expect(outcome.settled).to.equal("resolved");
+       expect(outcome.value).to.be.above(0);
+     });
+  });
+
+  it("gives up on calls that do not settle in time", function() {
+     return runTestCase.settleTestCase(subject, testCase("never", "", true), 10).then(function(outcome) {
+       expect(outcome.settled).to.equal("pending");
+     });
+  });
+
+  it("records a throw while building the instance of a method as the outcome", function() {
+     var method = { funcName: "Missing#m", exportPath: ["Missing"], args: "", callback: false, mockFs: null,
+       member: { kind: "method", classPath: ["Missing"], name: "m" }, instance: { args: "", calls: [] } };
+     return runTestCase.settleTestCase(subject, method).then(function(outcome) {
+       expect(outcome.threw).to.equal(true);
+       expect(outcome.error).to.be.an.instanceof(TypeError);
+     });
+  });
+
+  it("writes no test for calls that do not settle in time", function() {
+     var output = path.join(os.tmpdir(), "testgen-pending.test.js");
+     var fixture = path.resolve("test/fixtures/async.js");
+     return generateTestCases(fixture, constraints(fixture), { output: output, timeout: 10 }).then(function() {
+       var content = fs.readFileSync(output, "utf8");
+       fs.unlinkSync(output);
+       expect(content).to.contain("describe(\"double\"");
+       expect(content).to.not.contain("never");
+     });
+  });
+
+  it("leaves synchronous outcomes as they are", function() {
+     var outcome = runTestCase(subject, testCase("double", "-1"));
+     expect(outcome.threw).to.equal(false);
+     expect(outcome.value).to.be.an.instanceof(Promise);
+  });
+});
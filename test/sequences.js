@@ -0,0 +1,44 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var parseSource = require("../src/modules.js").parseSource;
+var stateSequences = require("../src/sequences.js");
+var constraints = require("../src/constraint.js");
+var enumerateTestCases = require("../src/testgenerator.js").enumerateTestCases;
+var runTestCase = require("../src/runner.js");
+var loadSubject = require("../src/runner.js").loadSubject;
+
+describe("Sequences", function() {
+  it("finds the module-level variables of a module", function() {
+     var ast = parseSource("var fs = require('fs'); var count = 0, { a, b } = {}; let f = () => 1; function g() {}");
+     expect(stateSequences.stateVariables(ast)).to.deep.equal(["count", "a", "b"]);
+  });
+
+  it("finds the module-level variables a function reads and writes", function() {
+     var ast = parseSource("var count = 0, cache = {}, seen = []; function f(seen) { count++; cache.clear(); return seen.length + count; }");
+     var access = stateSequences.stateAccess(ast.body[1], ["count", "cache", "seen"]);
+     expect(access.reads).to.have.members(["count", "cache"]);
+     expect(access.writes).to.have.members(["count", "cache"]);
+  });
+
+  it("finds the calls putting the module in the states its functions test", function() {
+     var functionConstraints = stateSequences("test/fixtures/registry.js", constraints("test/fixtures/registry.js"));
+     var crowded = functionConstraints.lookup.sequences.filter(function(sequence) { return sequence.label === "entries.length > 2"; })[0];
+     expect(crowded.calls.map(function(call) { return call.funcName; })).to.deep.equal(["register", "register", "register"]);
+     expect(functionConstraints.stats.sequences[0].label).to.equal("hits > 1");
+     expect(functionConstraints.register.sequences).to.equal(undefined);
+  });
+
+  it("makes the calls of the search without the real file system", function() {
+     var functionConstraints = stateSequences("test/fixtures/probe.js", constraints("test/fixtures/probe.js"));
+     expect(require("fs").existsSync("package.json")).to.be.true;
+     expect(functionConstraints.status.sequences).to.equal(undefined);
+  });
+
+  it("makes the calls of a sequence before calling the function", function() {
+     var functionConstraints = stateSequences("test/fixtures/registry.js", constraints("test/fixtures/registry.js"));
+     var testCases = enumerateTestCases(functionConstraints).filter(function(testCase) { return testCase.label === "state: hits > 1"; });
+     expect(testCases).to.have.lengthOf(1);
+     expect(runTestCase(loadSubject("test/fixtures/registry.js"), testCases[0]).value).to.equal("busy");
+  });
+});
@@ -0,0 +1,62 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var toSource = require("../src/source.js");
+
+function roundTrip(value) {
+  return eval("(" + toSource(value) + ")");
+}
+
+describe("Value serialization", function() {
+  it("writes primitives, including the ones JSON cannot hold", function() {
+     expect(toSource(undefined)).to.equal("undefined");
+     expect(toSource(null)).to.equal("null");
+     expect(toSource(NaN)).to.equal("NaN");
+     expect(toSource(Infinity)).to.equal("Infinity");
+     expect(toSource(-Infinity)).to.equal("-Infinity");
+     expect(toSource(-0)).to.equal("-0");
+     expect(toSource(1.5)).to.equal("1.5");
+     expect(toSource(true)).to.equal("true");
+     expect(toSource("a \"quoted\"\nline")).to.equal('"a \\"quoted\\"\\nline"');
+  });
+
+  it("writes arrays, dates and plain objects that evaluate to equal values", function() {
+     var value = { list: [1, "two", [null]], nested: { empty: {}, "odd key": -0 }, when: new Date(86400000) };
+     expect(toSource([])).to.equal("[]");
+     expect(toSource({})).to.equal("{}");
+     expect(toSource(new Date(0))).to.equal("new Date(0)");
+     expect(roundTrip(value)).to.deep.equal(value);
+     expect(Object.is(roundTrip(value).nested["odd key"], -0)).to.be.true;
+  });
+
+  it("gives up on values it cannot reproduce", function() {
+     var cycle = { name: "a" };
+     cycle.self = cycle;
+     expect(toSource(function() {})).to.be.null;
+     expect(toSource(Symbol("s"))).to.be.null;
+     expect(toSource(new Map())).to.be.null;
+     expect(toSource(cycle)).to.be.null;
+     expect(toSource([1, function() {}])).to.be.null;
+     expect(toSource({ handler: function() {} })).to.be.null;
+  });
+
+  it("serializes the same value twice in one tree, as long as it does not contain itself", function() {
+     var shared = [1];
+     expect(toSource({ a: shared, b: shared })).to.equal('{ "a": [1], "b": [1] }');
+  });
+
+  it("evaluates sources, and gives undefined for the ones that do not evaluate", function() {
+     expect(toSource.evaluateSource('{ a: [1, "b"] }')).to.deep.equal({ a: [1, "b"] });
+     expect(toSource.evaluateSource("missing.value")).to.be.undefined;
+     expect(toSource.evaluateSource("[1,")).to.be.undefined;
+  });
+
+  it("tells the constraint kind of a source", function() {
+     expect(toSource.kindOfSource('"x"')).to.equal("string");
+     expect(toSource.kindOfSource("'x'")).to.equal("string");
+     expect(toSource.kindOfSource("[1]")).to.equal("object");
+     expect(toSource.kindOfSource("...[1, 2]")).to.equal("object");
+     expect(toSource.kindOfSource("{ a: 1 }")).to.equal("object");
+     expect(toSource.kindOfSource("-1")).to.equal("integer");
+  });
+});
@@ -0,0 +1,33 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var stringPredicate = require("../src/strings.js");
+var parseSource = require("../src/modules.js").parseSource;
+
+function predicateOf(expression) {
+  return stringPredicate(parseSource(expression).body[0].expression, ["s"]);
+}
+
+describe("String generation", function() {
+  it("expresses string predicates as regular expressions", function() {
+     expect(predicateOf("s.startsWith('a.b')").regex.source).to.equal("^a\\.b");
+     expect(predicateOf("s.endsWith('x')").regex.source).to.equal("x$");
+     expect(predicateOf("/^\\d{3}$/.test(s)").regex.source).to.equal("^\\d{3}$");
+     expect(predicateOf("s.replace(/a+/g, '')")).to.include({ method: "replace", test: false });
+     expect(predicateOf("other.startsWith('a')")).to.be.null;
+  });
+
+  it("generates matching and non-matching strings", function() {
+     var regex = /^[\+\d{1,3}\-\s]*\(?([0-9]{3})\)?[-. ]?([0-9]{3})[-. ]?([0-9]{4})$/;
+     for (var i = 0; i < 20; i++) {
+       expect(stringPredicate.matchingString(regex)).to.match(regex);
+       expect(stringPredicate.nonMatchingString(regex)).not.to.match(regex);
+     }
+     expect(stringPredicate.nonMatchingString(/.*/)).to.be.null;
+  });
+
+  it("generates strings around a compared length", function() {
+     expect(stringPredicate.stringsAroundLength(3).map(function(s) { return s.length; })).to.deep.equal([2, 3, 4]);
+     expect(stringPredicate.stringsAroundLength(0).map(function(s) { return s.length; })).to.deep.equal([0, 1]);
+  });
+});
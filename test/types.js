@@ -0,0 +1,32 @@
+var chai    = require("chai");
+var assert = chai.assert,
+    expect = chai.expect;
+var inferTypes = require("../src/types.js");
+var parseSource = require("../src/modules.js").parseSource;
+
+function infer(source) {
+  var node = parseSource(source).body[0];
+  return inferTypes(node, node.params.map(function(p) { return p.name; }));
+}
+
+describe("Type inference", function() {
+  it("infers strings, numbers and objects from their usage", function() {
+     var types = infer("function f(code, count, config) { if (code.indexOf('x') == 0 && count > 2) return config.verbose; }");
+     expect(types.code.type).to.equal("string");
+     expect(types.count.type).to.equal("number");
+     expect(types.config.type).to.equal("object");
+     expect(types.config.properties).to.deep.equal(["verbose"]);
+  });
+
+  it("infers paths from fs calls, whatever the parameter is called", function() {
+     var types = infer("function f(a, b) { if (fs.existsSync(a)) return fs.readdirSync(b); }");
+     expect(types.a.type).to.equal("path");
+     expect(types.b.fsMethods).to.deep.equal(["readdirSync"]);
+  });
+
+  it("leaves unused parameters unknown", function() {
+     var types = infer("function f(x) { return g(x); }");
+     expect(types.x.type).to.equal("unknown");
+     expect(inferTypes.generateValue(types.x)).to.be.null;
+  });
+});